@@ -0,0 +1,262 @@
+// Pulls the readable article out of a fetched news page, in the spirit of
+// Readability: strip boilerplate, score blocks by how much prose they hold
+// (Japanese 。 and 、 count as strongly as Western punctuation), keep the
+// best-scoring container and turn it into headings and paragraphs.
+
+const EXTRACTOR_REMOVE = "script, style, noscript, template, iframe, form, button, select, svg, canvas, nav, footer, aside, rt, rp, [hidden], [aria-hidden='true'], [role='navigation'], [role='banner'], [role='contentinfo'], [role='complementary']";
+const EXTRACTOR_NEGATIVE = /comment|share|sns|social|related|recommend|ranking|breadcrumb|menu|navi|footer|masthead|sidebar|banner|advert|\bads?\b|promo|popup|modal|pagination|pager|widget|newsletter|login|subscribe|tag-?list|skip/i;
+const EXTRACTOR_POSITIVE = /article|body|content|entry|main|story|text|detail|honbun|news_?text/i;
+const EXTRACTOR_BLOCKS = new Set(["P", "LI", "BLOCKQUOTE", "PRE", "DD", "H1", "H2", "H3", "H4", "H5", "H6"]);
+const EXTRACTOR_CANDIDATES = new Set(["DIV", "SECTION", "ARTICLE", "MAIN", "TD", "BODY"]);
+// Stands in for <br> so forced line breaks survive whitespace cleanup
+const EXTRACTOR_LINE_BREAK = "\u2028";
+const EXTRACTOR_DATELINE = /^[[(（【]?(?:\d{4}年)?\d{1,2}月\d{1,2}日[^。]{0,15}[\])）】]?$/;
+const EXTRACTOR_ARTICLE_TYPES = /^(?:News)?Article$|^(?:Reportage|Analysis|Opinion|Report|Blog)(?:News)?(?:Article|Posting)$/;
+
+class ArticleExtractor {
+  // Returns { title, author, published, blocks: [{ type, text }], text }
+  extract(doc) {
+    const metadata = this.readMetadata(doc);
+    const body = doc.body ? doc.body.cloneNode(true) : null;
+    if (!body) return { ...metadata, blocks: [], text: "" };
+
+    // <br> separated text inside a block becomes separate paragraphs
+    body.querySelectorAll("br").forEach((br) => br.replaceWith(EXTRACTOR_LINE_BREAK));
+    body.querySelectorAll(EXTRACTOR_REMOVE).forEach((element) => element.remove());
+    this.removeBoilerplate(body);
+
+    const container = this.pickContainer(body);
+    const blocks = container ? this.collectBlocks(container) : [];
+
+    // Lead with the headline unless the article body already opens with one
+    const title = metadata.title;
+    if (title && !(blocks[0] && blocks[0].type === "heading") && !blocks.some((block) => block.text === title)) {
+      blocks.unshift({ type: "heading", text: title });
+    }
+
+    return { ...metadata, blocks, text: blocks.map((block) => block.text).join("\n\n") };
+  }
+
+  // JSON-LD first, then Open Graph and other meta tags, then the page itself
+  readMetadata(doc) {
+    const article = this.readJsonLd(doc) || {};
+    const meta = (...names) => {
+      for (const name of names) {
+        const element = doc.querySelector(`meta[property="${name}"], meta[name="${name}"], meta[itemprop="${name}"]`);
+        if (element && element.getAttribute("content")) return element.getAttribute("content").trim();
+      }
+      return null;
+    };
+    const heading = doc.querySelector("h1");
+    const headingText = heading ? this.cleanText(this.visibleText(heading)) : "";
+    const socialTitle = meta("og:title", "twitter:title");
+    const time = doc.querySelector("time[datetime]");
+
+    // og:title often carries the site name too; the page's own <h1> inside
+    // it is the cleaner headline
+    let title = article.headline || this.stripSiteName(socialTitle || "") || headingText || this.stripSiteName(doc.title || "");
+    if (!article.headline && socialTitle && headingText && this.cleanText(socialTitle).includes(headingText)) title = headingText;
+
+    return {
+      title: this.cleanText(title),
+      author: this.authorName(article.author) || meta("author", "article:author", "byl", "cXenseParse:author"),
+      published: article.datePublished || meta("article:published_time", "datePublished", "pubdate", "date", "dc.date") || (time && time.getAttribute("datetime")) || this.datelineDate(doc),
+    };
+  }
+
+  // Pages like NHK Web Easy only print the date: "[2024年3月24日 11時32分]".
+  // Read as Japan time.
+  datelineDate(doc) {
+    for (const element of doc.querySelectorAll("p, span, div")) {
+      const text = this.cleanText(element.textContent);
+      if (text.length > 40 || !EXTRACTOR_DATELINE.test(text)) continue;
+      const match = text.match(/(\d{4})年(\d{1,2})月(\d{1,2})日(?:\s*(\d{1,2})時(\d{1,2})分)?/);
+      if (!match) continue;
+      const [, year, month, day, hour = "0", minute = "0"] = match;
+      const pad = (value) => value.padStart(2, "0");
+      return `${year}-${pad(month)}-${pad(day)}T${pad(hour)}:${pad(minute)}:00+09:00`;
+    }
+    return null;
+  }
+
+  readJsonLd(doc) {
+    for (const script of doc.querySelectorAll('script[type="application/ld+json"]')) {
+      let data;
+      try {
+        data = JSON.parse(script.textContent);
+      } catch (error) {
+        continue; // Sites do ship broken JSON-LD; the meta tags still work
+      }
+      const items = [data].flat().flatMap((item) => (item && item["@graph"] ? item["@graph"] : [item]));
+      const article = items.find((item) => item && [item["@type"]].flat().some((type) => EXTRACTOR_ARTICLE_TYPES.test(type)));
+      if (article) return article;
+    }
+    return null;
+  }
+
+  authorName(author) {
+    const names = [author].flat().filter(Boolean)
+      .map((person) => (typeof person === "string" ? person : person.name))
+      .filter((name) => typeof name === "string" && name.trim());
+    return names.length > 0 ? names.join(", ") : null;
+  }
+
+  // Text without furigana
+  visibleText(element) {
+    const copy = element.cloneNode(true);
+    copy.querySelectorAll("rt, rp").forEach((ruby) => ruby.remove());
+    return copy.textContent;
+  }
+
+  // "記事タイトル | NHKニュース" → "記事タイトル": the longest part is the headline
+  stripSiteName(title) {
+    return title.split(/\s*[|｜]\s*|\s+[-–—:]\s+/)
+      .reduce((longest, part) => (part.trim().length > longest.length ? part.trim() : longest), "");
+  }
+
+  // Drops elements named like page furniture. A name that also looks like
+  // content ("related-articles") only survives if it is mostly prose.
+  removeBoilerplate(root) {
+    root.querySelectorAll("[class], [id]").forEach((element) => {
+      if (!root.contains(element) || element === root) return;
+      const names = `${element.className || ""} ${element.id || ""}`;
+      if (!EXTRACTOR_NEGATIVE.test(names)) return;
+      if (!EXTRACTOR_POSITIVE.test(names) || this.linkDensity(element) > 0.5) {
+        element.remove();
+      }
+    });
+    // Site headers; an article's own header keeps its headline
+    root.querySelectorAll("header").forEach((element) => {
+      if (!element.closest("article") && !element.querySelector("h1")) element.remove();
+    });
+  }
+
+  // Every prose block adds its score to its parent and, at half weight, its
+  // grandparent; the container with the highest link-adjusted score wins.
+  // Sibling sections that score nearly as well are merged in, since sites
+  // often split one article across several divs.
+  pickContainer(root) {
+    const scores = new Map();
+    const addScore = (element, score) => {
+      if (!element || !EXTRACTOR_CANDIDATES.has(element.tagName)) return;
+      if (!scores.has(element)) scores.set(element, this.classWeight(element));
+      scores.set(element, scores.get(element) + score);
+    };
+
+    root.querySelectorAll("p, pre, td, blockquote, li, div").forEach((element) => {
+      // Divs only count when they hold text directly rather than other blocks
+      if (element.tagName === "DIV" && element.querySelector("p, div, li, table, h1, h2, h3")) return;
+      const text = this.cleanText(element.textContent);
+      if (text.length < 25) return;
+
+      const score = this.proseScore(text);
+      addScore(element.parentElement, score);
+      addScore(element.parentElement && element.parentElement.parentElement, score / 2);
+    });
+
+    let best = null;
+    let bestScore = 0;
+    scores.forEach((score, element) => {
+      const adjusted = score * (1 - this.linkDensity(element));
+      scores.set(element, adjusted);
+      if (adjusted > bestScore) {
+        best = element;
+        bestScore = adjusted;
+      }
+    });
+    if (!best) return root;
+
+    const parent = best.parentElement;
+    if (!parent) return best;
+    const threshold = Math.max(10, bestScore * 0.2);
+    const merged = Array.from(parent.children).filter((sibling) =>
+      sibling === best || (scores.get(sibling) || 0) >= threshold);
+    if (merged.length === 1) return best;
+
+    const wrapper = root.ownerDocument.createElement("div");
+    merged.forEach((element) => wrapper.appendChild(element.cloneNode(true)));
+    return wrapper;
+  }
+
+  proseScore(text) {
+    const commas = (text.match(/[、，,]/g) || []).length;
+    const stops = (text.match(/[。．！？.!?]/g) || []).length;
+    return 1 + commas + stops * 2 + Math.min(Math.floor(text.length / 100), 3);
+  }
+
+  classWeight(element) {
+    const names = `${element.className || ""} ${element.id || ""}`;
+    let weight = 0;
+    if (EXTRACTOR_POSITIVE.test(names)) weight += 25;
+    if (EXTRACTOR_NEGATIVE.test(names)) weight -= 25;
+    if (element.tagName === "ARTICLE" || element.tagName === "MAIN") weight += 10;
+    return weight;
+  }
+
+  linkDensity(element) {
+    const length = this.cleanText(element.textContent).length;
+    if (length === 0) return 0;
+    const linked = Array.from(element.querySelectorAll("a"))
+      .reduce((total, link) => total + this.cleanText(link.textContent).length, 0);
+    return Math.min(1, linked / length);
+  }
+
+  // Headings and paragraphs in document order. Text outside any block
+  // element (text directly in a div) becomes its own paragraph.
+  collectBlocks(container) {
+    const blocks = [];
+    const pushText = (type, raw) => {
+      raw.split(EXTRACTOR_LINE_BREAK).map((line) => this.cleanText(line)).filter(Boolean).forEach((text) => {
+        // Datelines like "3月24日 11時32分" are metadata, not prose
+        if (type === "paragraph" && EXTRACTOR_DATELINE.test(text)) return;
+        if (blocks.length === 0 || blocks[blocks.length - 1].text !== text) blocks.push({ type, text });
+      });
+    };
+
+    const walk = (element) => {
+      let loose = "";
+      const flush = () => {
+        pushText("paragraph", loose);
+        loose = "";
+      };
+
+      element.childNodes.forEach((node) => {
+        if (node.nodeType === Node.TEXT_NODE) {
+          loose += node.textContent;
+          return;
+        }
+        if (node.nodeType !== Node.ELEMENT_NODE) return;
+
+        if (EXTRACTOR_BLOCKS.has(node.tagName)) {
+          flush();
+          // Link lists (related articles, tag clouds) are not prose
+          if (node.tagName === "LI" && this.linkDensity(node) > 0.5) return;
+          pushText(/^H\d$/.test(node.tagName) ? "heading" : "paragraph", node.textContent);
+        } else if (this.isInline(node)) {
+          loose += node.textContent;
+        } else {
+          flush();
+          walk(node);
+        }
+      });
+      flush();
+    };
+
+    walk(container);
+    return blocks;
+  }
+
+  isInline(node) {
+    return ["A", "SPAN", "B", "STRONG", "EM", "I", "U", "RUBY", "RB", "SMALL", "SUB", "SUP", "MARK", "TIME", "ABBR", "CITE", "Q", "FONT"].includes(node.tagName);
+  }
+
+  // Collapses whitespace. A line break between two Japanese characters is
+  // only where the HTML source wrapped, so it goes entirely; a real space
+  // (as in headlines) stays.
+  cleanText(text) {
+    return text
+      .replace(/([\u3000-\u30ff\u4e00-\u9fff\uff00-\uffef])[^\S\n]*\n\s*(?=[\u3000-\u30ff\u4e00-\u9fff\uff00-\uffef])/g, "$1")
+      .replace(/\s+/g, " ")
+      .trim();
+  }
+}
@@ -0,0 +1,158 @@
+// Times the reader's rendering of a 20,000-character article: the two
+// string-based pipelines the app used before against StoryRenderer. Open
+// render-benchmark.html in a browser (a phone is the interesting case) and
+// press Run, or run benchmarks/run-jsdom.js with Node.
+
+const BENCHMARK_LENGTH = 20000;
+const BENCHMARK_RUNS = 3;
+
+const BENCHMARK_APPROACHES = [
+  { name: "Regex replace per unique word, listeners per word", render: renderWithRegex },
+  { name: "Segmented HTML string, listeners per word", render: renderWithHtmlString },
+  { name: "StoryRenderer, chunked DOM, delegated listeners", render: renderWithStoryRenderer },
+];
+
+// The bundled sample news, repeated up to the benchmark length
+async function benchmarkArticle() {
+  const items = await new SampleSource().fetchHeadlines();
+  const text = items.map((item) => item.content).join("\n\n");
+  let article = "";
+  while (article.length < BENCHMARK_LENGTH) article += `${text}\n\n`;
+  return article.slice(0, BENCHMARK_LENGTH);
+}
+
+function escapeHtml(string) {
+  return string.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+// Four listeners on every word, after cloning it to drop earlier ones
+function bindEveryWord(container) {
+  container.querySelectorAll(".clickable-word").forEach((word) => word.replaceWith(word.cloneNode(true)));
+  const words = container.querySelectorAll(".clickable-word");
+  words.forEach((word) => {
+    word.addEventListener("click", () => {});
+    word.addEventListener("touchstart", () => {}, { passive: true });
+    word.addEventListener("touchend", () => {}, { passive: false });
+    word.addEventListener("touchcancel", () => {});
+  });
+  return words.length * 4;
+}
+
+// The first reader: every distinct run of kana or kanji is wrapped by its
+// own global replace over the growing HTML string
+async function renderWithRegex(container, text) {
+  const particles = ["は", "が", "を", "に", "で", "と", "も", "の", "から", "まで", "より", "へ", "や", "か", "よ", "ね", "わ", "さ", "ぞ", "ぜ", "な", "だ", "である", "です", "ます", "だっ", "であっ", "という", "といった"];
+  const words = new Set((text.match(/[一-龯ひ-ゖヰ-ヷァ-ヺー]+/g) || []).filter((word) => !particles.includes(word)));
+
+  let html = text;
+  Array.from(words).sort((a, b) => b.length - a.length).forEach((word) => {
+    const pattern = new RegExp(`(?!<[^>]*>)(${word.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")})(?![^<]*>)`, "g");
+    html = html.replace(pattern, `<span class="clickable-word" data-word="${word}" data-source="dynamic">${word}</span>`);
+  });
+  container.innerHTML = html.replace(/\n/g, "<br>");
+  const listeners = bindEveryWord(container);
+  container.getBoundingClientRect();
+  return { listeners };
+}
+
+// The segmenter-based reader: one HTML string per text, then listeners
+async function renderWithHtmlString(container, text, tokenizer) {
+  const html = tokenizer.segmentWords(text).map((word) => {
+    const surface = escapeHtml(word.surface);
+    return word.clickable
+      ? `<span class="clickable-word" role="button" tabindex="-1" data-word="${surface}" data-lemma="${escapeHtml(word.baseForm)}" data-reading="${escapeHtml(word.reading || "")}" data-pos="${word.pos}" data-source="dynamic">${surface}</span>`
+      : surface;
+  }).join("");
+  container.innerHTML = html.replace(/\n/g, "<br>");
+  const listeners = bindEveryWord(container);
+  container.getBoundingClientRect();
+  return { listeners };
+}
+
+async function renderWithStoryRenderer(container, text, tokenizer) {
+  const renderer = new StoryRenderer(tokenizer);
+  const start = performance.now();
+  let firstChunk = null;
+  await new Promise((resolve) => {
+    renderer.renderInChunks(container, text.split(/(?<=\n)/), (line) => renderer.renderText(line), { onDone: resolve });
+    container.getBoundingClientRect();
+    firstChunk = performance.now() - start;
+  });
+  ["click", "touchstart", "touchend", "touchcancel"].forEach((type) => container.addEventListener(type, () => {}));
+  container.getBoundingClientRect();
+  return { listeners: 4, firstChunk };
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+// Returns one row per approach: { name, firstText, total, words, listeners }
+// with times in milliseconds, each the median of BENCHMARK_RUNS runs
+async function runRenderBenchmark(stage, onProgress = () => {}) {
+  const tokenizer = new JapaneseTokenizer();
+  const text = await benchmarkArticle();
+  const results = [];
+
+  for (const approach of BENCHMARK_APPROACHES) {
+    const totals = [];
+    const firsts = [];
+    let outcome;
+    for (let run = 0; run < BENCHMARK_RUNS; run++) {
+      onProgress(`${approach.name} (run ${run + 1} of ${BENCHMARK_RUNS})`);
+      // Lets the progress message paint before the page is blocked
+      await new Promise((resolve) => setTimeout(resolve, 0));
+
+      const container = document.createElement("div");
+      stage.replaceChildren(container);
+      const start = performance.now();
+      outcome = await approach.render(container, text, tokenizer);
+      const total = performance.now() - start;
+      totals.push(total);
+      firsts.push(outcome.firstChunk !== undefined ? outcome.firstChunk : total);
+    }
+    results.push({
+      name: approach.name,
+      firstText: median(firsts),
+      total: median(totals),
+      words: stage.querySelectorAll(".clickable-word").length,
+      listeners: outcome.listeners,
+    });
+  }
+  stage.replaceChildren();
+  return { length: text.length, results };
+}
+
+function showBenchmarkResults({ length, results }) {
+  document.getElementById("benchmark-summary").textContent = `${length.toLocaleString()} characters, median of ${BENCHMARK_RUNS} runs`;
+  const body = document.getElementById("benchmark-results");
+  body.replaceChildren(...results.map((result) => {
+    const row = document.createElement("tr");
+    [result.name, result.firstText.toFixed(0), result.total.toFixed(0), result.words, result.listeners].forEach((value) => {
+      const cell = document.createElement("td");
+      cell.textContent = value;
+      row.appendChild(cell);
+    });
+    return row;
+  }));
+}
+
+document.addEventListener("DOMContentLoaded", () => {
+  const button = document.getElementById("run-benchmark-btn");
+  const status = document.getElementById("benchmark-status");
+  button.addEventListener("click", async () => {
+    button.disabled = true;
+    try {
+      showBenchmarkResults(await runRenderBenchmark(document.getElementById("benchmark-stage"), (message) => {
+        status.textContent = message;
+      }));
+      status.textContent = "Done";
+    } catch (error) {
+      console.error("Benchmark failed:", error);
+      status.textContent = `Benchmark failed: ${error.message}`;
+    } finally {
+      button.disabled = false;
+    }
+  });
+});
@@ -0,0 +1,30 @@
+// Runs render-benchmark.html under jsdom and prints the results, for a
+// number that doesn't depend on a browser: node benchmarks/run-jsdom.js
+// jsdom has no layout, so this measures script and DOM work only; a phone
+// browser also pays for style and layout.
+
+const path = require("node:path");
+const { JSDOM } = require("jsdom");
+
+async function main() {
+  const dom = await JSDOM.fromFile(path.join(__dirname, "render-benchmark.html"), {
+    runScripts: "dangerously",
+    resources: "usable",
+    pretendToBeVisual: true,
+  });
+  const { window } = dom;
+  await new Promise((resolve) => window.addEventListener("load", resolve));
+
+  const stage = window.document.getElementById("benchmark-stage");
+  const { length, results } = await window.runRenderBenchmark(stage, (message) => console.error(message));
+  console.log(`${length.toLocaleString()} characters, median of ${window.eval("BENCHMARK_RUNS")} runs under jsdom`);
+  results.forEach((result) => {
+    console.log(`${result.name.padEnd(52)} ${result.firstText.toFixed(0).padStart(6)} ms first text ${result.total.toFixed(0).padStart(6)} ms total ${String(result.listeners).padStart(6)} listeners`);
+  });
+  window.close();
+}
+
+main().catch((error) => {
+  console.error("Benchmark failed:", error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,166 @@
+// Cloze drills built from the current text: the tokenizer's word segments are
+// blanked out by kind (particles, verb endings or vocabulary at one JLPT
+// level) and answered by typing romaji/kana or picking from choices.
+
+const CLOZE_PARTICLES = ["は", "が", "を", "に", "で", "と", "も", "へ", "の", "や", "から", "まで", "より"];
+const CLOZE_ENDINGS = ["た", "て", "ない", "ます", "ました", "られる", "ている", "ていた", "たい", "れば"];
+const CLOZE_MAX_BLANKS = 20;
+
+// Particles are often typed the way they sound
+const PARTICLE_SOUNDS = { は: "わ", へ: "え", を: "お" };
+
+const ROMAJI_KANA = {
+  a: "あ", i: "い", u: "う", e: "え", o: "お",
+  ka: "か", ki: "き", ku: "く", ke: "け", ko: "こ", kya: "きゃ", kyu: "きゅ", kyo: "きょ",
+  ga: "が", gi: "ぎ", gu: "ぐ", ge: "げ", go: "ご", gya: "ぎゃ", gyu: "ぎゅ", gyo: "ぎょ",
+  sa: "さ", si: "し", shi: "し", su: "す", se: "せ", so: "そ", sha: "しゃ", shu: "しゅ", sho: "しょ", she: "しぇ", sya: "しゃ", syu: "しゅ", syo: "しょ",
+  za: "ざ", zi: "じ", ji: "じ", zu: "ず", ze: "ぜ", zo: "ぞ", ja: "じゃ", ju: "じゅ", jo: "じょ", je: "じぇ", jya: "じゃ", jyu: "じゅ", jyo: "じょ", zya: "じゃ", zyu: "じゅ", zyo: "じょ",
+  ta: "た", ti: "ち", chi: "ち", tu: "つ", tsu: "つ", te: "て", to: "と", cha: "ちゃ", chu: "ちゅ", cho: "ちょ", che: "ちぇ", tya: "ちゃ", tyu: "ちゅ", tyo: "ちょ",
+  da: "だ", di: "ぢ", du: "づ", de: "で", do: "ど", dya: "ぢゃ", dyu: "ぢゅ", dyo: "ぢょ",
+  na: "な", ni: "に", nu: "ぬ", ne: "ね", no: "の", nya: "にゃ", nyu: "にゅ", nyo: "にょ",
+  ha: "は", hi: "ひ", hu: "ふ", fu: "ふ", he: "へ", ho: "ほ", hya: "ひゃ", hyu: "ひゅ", hyo: "ひょ", fa: "ふぁ", fi: "ふぃ", fe: "ふぇ", fo: "ふぉ",
+  ba: "ば", bi: "び", bu: "ぶ", be: "べ", bo: "ぼ", bya: "びゃ", byu: "びゅ", byo: "びょ",
+  pa: "ぱ", pi: "ぴ", pu: "ぷ", pe: "ぺ", po: "ぽ", pya: "ぴゃ", pyu: "ぴゅ", pyo: "ぴょ",
+  ma: "ま", mi: "み", mu: "む", me: "め", mo: "も", mya: "みゃ", myu: "みゅ", myo: "みょ",
+  ya: "や", yu: "ゆ", yo: "よ",
+  ra: "ら", ri: "り", ru: "る", re: "れ", ro: "ろ", rya: "りゃ", ryu: "りゅ", ryo: "りょ",
+  wa: "わ", wo: "を", nn: "ん", "n'": "ん",
+  xa: "ぁ", xi: "ぃ", xu: "ぅ", xe: "ぇ", xo: "ぉ", xya: "ゃ", xyu: "ゅ", xyo: "ょ", xtu: "っ", xtsu: "っ",
+  "-": "ー",
+};
+
+class ClozeDrill {
+  constructor(tokenizer) {
+    this.tokenizer = tokenizer;
+  }
+
+  // Returns the text as pieces: plain { text } or blanks { blank } in reading
+  // order. level is a JLPT number and only matters for vocabulary drills.
+  build(text, { kind, level = 3 }) {
+    const words = this.tokenizer.segmentWords(text);
+    const candidates = words
+      .map((word, index) => ({ index, blank: this.blankFor(word, kind, level) }))
+      .filter((candidate) => candidate.blank);
+
+    // Spread the blanks evenly through long texts instead of front-loading them
+    const step = Math.max(1, candidates.length / CLOZE_MAX_BLANKS);
+    const chosen = new Map();
+    for (let i = 0; i < candidates.length && chosen.size < CLOZE_MAX_BLANKS; i += step) {
+      const candidate = candidates[Math.floor(i)];
+      chosen.set(candidate.index, candidate.blank);
+    }
+
+    const pool = Array.from(new Set(candidates.map((candidate) => candidate.blank.answer)));
+    const pieces = [];
+    words.forEach((word, index) => {
+      const blank = chosen.get(index);
+      if (!blank) {
+        pieces.push({ text: word.surface });
+        return;
+      }
+      if (blank.prefix) pieces.push({ text: blank.prefix });
+      pieces.push({ blank: { ...blank, choices: this.choicesFor(blank, kind, pool) } });
+    });
+    return pieces;
+  }
+
+  // What to blank in one word, or null: the whole particle, the inflected
+  // tail after the shared stem (訪れ|た), or the whole vocabulary word
+  blankFor(word, kind, level) {
+    if (kind === "particles") {
+      if (word.pos !== "助詞" || !CLOZE_PARTICLES.includes(word.surface)) return null;
+      const sound = PARTICLE_SOUNDS[word.surface];
+      return { answer: word.surface, accepted: sound ? [word.surface, sound] : [word.surface], prefix: "" };
+    }
+
+    if (kind === "endings") {
+      const inflecting = word.pos === "動詞" || word.pos === "形容詞" || word.baseForm.endsWith("する");
+      if (!inflecting || word.surface === word.baseForm) return null;
+      let stem = 0;
+      while (stem < word.surface.length && word.surface[stem] === word.baseForm[stem]) stem++;
+      const ending = word.surface.slice(stem);
+      if (stem === 0 || !ending || new RegExp(`[${KANJI_CHARACTERS}]`).test(ending)) return null;
+      return { answer: ending, accepted: [ending], prefix: word.surface.slice(0, stem), hint: word.baseForm };
+    }
+
+    if (kind === "vocabulary") {
+      if (!word.clickable || word.jlpt !== level) return null;
+      const accepted = [word.surface];
+      if (word.reading) accepted.push(this.tokenizer.katakanaToHiragana(word.reading));
+      return { answer: word.surface, accepted, prefix: "", hint: `N${level}` };
+    }
+
+    return null;
+  }
+
+  // The answer plus three other answers of the same kind, shuffled
+  choicesFor(blank, kind, pool) {
+    const fallback = kind === "particles" ? CLOZE_PARTICLES : kind === "endings" ? CLOZE_ENDINGS : [];
+    const others = Array.from(new Set([...pool, ...fallback])).filter((option) => option !== blank.answer);
+    const picked = this.shuffle(others).slice(0, 3);
+    return this.shuffle([blank.answer, ...picked]);
+  }
+
+  shuffle(items) {
+    const result = [...items];
+    for (let i = result.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+  }
+
+  isCorrect(blank, response) {
+    const given = this.normalize(response);
+    return given !== "" && blank.accepted.some((answer) => this.normalize(answer) === given);
+  }
+
+  normalize(text) {
+    return this.tokenizer.katakanaToHiragana(this.romajiToKana(text.normalize("NFKC").trim().toLowerCase()));
+  }
+
+  // IME-style conversion: complete syllables become kana, a doubled consonant
+  // or tch becomes っ, and anything still being typed is left as romaji. With final
+  // set, a trailing n or nn is taken as ん.
+  romajiToKana(input, { final = true } = {}) {
+    let output = "";
+    let i = 0;
+    while (i < input.length) {
+      const rest = input.slice(i);
+      const char = rest[0];
+
+      if (/^[bcdfghjkmpqrstvwxyz]/.test(char) && rest[1] === char) {
+        output += "っ";
+        i++;
+        continue;
+      }
+      // Hepburn doubles ch as tch (matcha, kotchi)
+      if (rest.startsWith("tch")) {
+        output += "っ";
+        i++;
+        continue;
+      }
+      // n before a consonant, or the first n of "nni" (konnichiha), is ん
+      if (char === "n" && (/^n[^aiueoyn']/.test(rest) || /^nn[aiueoy]/.test(rest))) {
+        output += "ん";
+        i++;
+        continue;
+      }
+      // While typing, a trailing n or nn may still start the next syllable
+      if (!final && /^nn?$/.test(rest)) {
+        output += rest;
+        break;
+      }
+
+      const length = [4, 3, 2, 1].find((size) => ROMAJI_KANA[rest.slice(0, size)]);
+      if (length) {
+        output += ROMAJI_KANA[rest.slice(0, length)];
+        i += length;
+      } else {
+        output += char;
+        i++;
+      }
+    }
+    return final ? output.replace(/n$/, "ん") : output;
+  }
+}
@@ -0,0 +1,113 @@
+// Promise wrapper around the app's IndexedDB database.
+// Each entry in DATABASE_UPGRADES creates the stores for one schema version,
+// so new features append a step instead of editing an old one.
+const DATABASE_NAME = "japanese-study-app";
+
+const DATABASE_UPGRADES = [
+  // v1: offline dictionary entries, searchable by headword and reading
+  (db) => {
+    const dictionary = db.createObjectStore("dictionary", { keyPath: "id" });
+    dictionary.createIndex("headwords", "headwords", { multiEntry: true });
+    dictionary.createIndex("readings", "readings", { multiEntry: true });
+  },
+  // v2: flashcard deck with scheduling state
+  (db) => {
+    const deck = db.createObjectStore("deck", { keyPath: "id" });
+    deck.createIndex("due", "due");
+    deck.createIndex("lemma", "lemma");
+  },
+  // v3: reading library of loaded stories and articles
+  (db) => {
+    const library = db.createObjectStore("library", { keyPath: "id" });
+    library.createIndex("createdAt", "createdAt");
+  },
+  // v4: reading status of each word (learning, known, ignored)
+  (db) => {
+    db.createObjectStore("words", { keyPath: "lemma" });
+  },
+  // v5: KANJIDIC entries and KanjiVG stroke paths, keyed by character
+  (db) => {
+    db.createObjectStore("kanji", { keyPath: "literal" });
+    db.createObjectStore("strokes", { keyPath: "literal" });
+  },
+  // v6: definitions fetched from the language model, keyed by dictionary form
+  (db) => {
+    db.createObjectStore("definitions", { keyPath: "lemma" });
+  },
+  // v7: writing practice attempts with the model's corrections
+  (db) => {
+    const writing = db.createObjectStore("writing", { keyPath: "id" });
+    writing.createIndex("createdAt", "createdAt");
+  },
+];
+
+class StudyDatabase {
+  constructor(name = DATABASE_NAME) {
+    this.name = name;
+    this.connection = null;
+  }
+
+  open() {
+    if (!this.connection) {
+      this.connection = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.name, DATABASE_UPGRADES.length);
+        request.onupgradeneeded = (event) => {
+          const db = request.result;
+          for (let version = event.oldVersion; version < DATABASE_UPGRADES.length; version++) {
+            DATABASE_UPGRADES[version](db, request.transaction);
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => reject(new Error("Database upgrade blocked by another open tab"));
+      });
+    }
+    return this.connection;
+  }
+
+  async run(storeName, mode, operation) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeName, mode);
+      const store = transaction.objectStore(storeName);
+      const result = operation(store);
+      transaction.oncomplete = () => resolve(result instanceof IDBRequest ? result.result : result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error("Transaction aborted"));
+    });
+  }
+
+  get(storeName, key) {
+    return this.run(storeName, "readonly", (store) => store.get(key));
+  }
+
+  getAll(storeName) {
+    return this.run(storeName, "readonly", (store) => store.getAll());
+  }
+
+  getAllFromIndex(storeName, indexName, query) {
+    return this.run(storeName, "readonly", (store) => store.index(indexName).getAll(query));
+  }
+
+  count(storeName) {
+    return this.run(storeName, "readonly", (store) => store.count());
+  }
+
+  put(storeName, value) {
+    return this.run(storeName, "readwrite", (store) => store.put(value));
+  }
+
+  putAll(storeName, values) {
+    return this.run(storeName, "readwrite", (store) => {
+      values.forEach((value) => store.put(value));
+    });
+  }
+
+  delete(storeName, key) {
+    return this.run(storeName, "readwrite", (store) => store.delete(key));
+  }
+
+  clear(storeName) {
+    return this.run(storeName, "readwrite", (store) => store.clear());
+  }
+}
@@ -0,0 +1,213 @@
+// Word definitions from the language model, kept in IndexedDB so a word is
+// only paid for once. A new text is prefetched in batches, one request for
+// every word the cache doesn't have, so popups open without waiting.
+// The cache can be exported as a file and imported elsewhere to share it.
+
+// Bumped when the stored shape or the prompt changes; older entries are dropped
+const DEFINITION_CACHE_VERSION = 1;
+const DEFINITION_CACHE_LIMIT = 5000;
+const DEFINITION_MAX_LENGTH = 300;
+// Words per prefetch request, so the reply fits in the task's token limit
+const DEFINITION_BATCH_SIZE = 40;
+const DEFINITION_EXPORT_FORMAT = "japanese-study-definitions";
+// How long a popup waits for a prefetch batch before asking about its word alone
+const DEFINITION_WAIT_MS = 8000;
+
+const DEFINITION_BATCH_PROMPT = `You are a Japanese language teacher. Provide the reading and meaning of every Japanese word in the user's list. The words are in their dictionary form.
+
+Your response must be a valid JSON object with this exact structure:
+{
+  "definitions": [
+    { "word": "The word exactly as listed", "reading": "hiragana reading", "meaning": "Short English meaning" }
+  ]
+}
+
+Give one entry per listed word, in the same order.`;
+
+class DefinitionCache {
+  constructor(database, llm) {
+    this.database = database;
+    this.llm = llm;
+    this.entries = new Map();
+    // Lemmas in a prefetch request that hasn't answered yet
+    this.pending = new Map();
+  }
+
+  async load() {
+    const records = await this.database.getAll("definitions");
+    const outdated = records.filter((record) => record.version !== DEFINITION_CACHE_VERSION);
+    await Promise.all(outdated.map((record) => this.database.delete("definitions", record.lemma)));
+    this.entries = new Map(records
+      .filter((record) => record.version === DEFINITION_CACHE_VERSION)
+      .map((record) => [record.lemma, record]));
+    return this.entries.size;
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  // { reading, meaning } for a cached lemma, or null
+  get(lemma) {
+    const entry = this.entries.get(lemma);
+    return entry ? { reading: entry.reading, meaning: entry.meaning } : null;
+  }
+
+  // Resolves once a prefetch that includes the lemma has answered, or has
+  // failed, or after timeout milliseconds, with whatever is cached by then
+  async waitFor(lemma, { timeout = null } = {}) {
+    const request = this.pending.get(lemma);
+    if (request) {
+      let timer;
+      const answered = request.catch(() => {});
+      await (timeout === null ? answered : Promise.race([
+        answered,
+        new Promise((resolve) => { timer = setTimeout(resolve, timeout); }),
+      ]));
+      clearTimeout(timer);
+    }
+    return this.get(lemma);
+  }
+
+  async set(lemma, definition) {
+    await this.saveAll([{ lemma, ...definition }]);
+  }
+
+  // Marks a cached word as used, so it is the last to be evicted
+  async touch(lemma) {
+    const entry = this.entries.get(lemma);
+    if (!entry) return;
+    entry.usedAt = Date.now();
+    await this.database.put("definitions", entry);
+  }
+
+  // Stores valid { lemma, reading, meaning } entries and evicts the least
+  // recently used beyond DEFINITION_CACHE_LIMIT; returns how many were stored
+  async saveAll(definitions) {
+    const now = Date.now();
+    const records = definitions.map((definition) => this.toRecord(definition, now)).filter(Boolean);
+    if (records.length === 0) return 0;
+
+    await this.database.putAll("definitions", records);
+    records.forEach((record) => this.entries.set(record.lemma, record));
+    await this.trim();
+    return records.length;
+  }
+
+  // Imported files and model replies are both untrusted, so anything that
+  // isn't a string is rejected rather than converted
+  toRecord(definition, now) {
+    if (!definition || typeof definition.lemma !== "string" || !definition.lemma.trim()) return null;
+    if (typeof definition.meaning !== "string" || !definition.meaning.trim()) return null;
+    if (definition.reading !== undefined && definition.reading !== null && typeof definition.reading !== "string") return null;
+    return {
+      lemma: definition.lemma.trim(),
+      reading: definition.reading ? definition.reading.trim().slice(0, DEFINITION_MAX_LENGTH) : "",
+      meaning: definition.meaning.trim().slice(0, DEFINITION_MAX_LENGTH),
+      version: DEFINITION_CACHE_VERSION,
+      savedAt: now,
+      usedAt: now,
+    };
+  }
+
+  async trim() {
+    if (this.entries.size <= DEFINITION_CACHE_LIMIT) return;
+    const evicted = Array.from(this.entries.values())
+      .sort((a, b) => a.usedAt - b.usedAt)
+      .slice(0, this.entries.size - DEFINITION_CACHE_LIMIT);
+    await this.database.run("definitions", "readwrite", (store) => {
+      evicted.forEach((record) => store.delete(record.lemma));
+    });
+    evicted.forEach((record) => this.entries.delete(record.lemma));
+  }
+
+  // Asks the model about every lemma not cached yet, DEFINITION_BATCH_SIZE
+  // words per request. A failed batch is skipped; its words are looked up
+  // one at a time when opened. Returns how many definitions were added.
+  async prefetch(lemmas) {
+    let queue = Array.from(new Set(lemmas));
+    let added = 0;
+    while (queue.length > 0) {
+      // Words looked up while earlier batches were out aren't asked again
+      queue = queue.filter((lemma) => !this.entries.has(lemma) && !this.pending.has(lemma));
+      const batch = queue.splice(0, DEFINITION_BATCH_SIZE);
+      if (batch.length === 0) break;
+
+      const request = this.requestBatch(batch);
+      batch.forEach((lemma) => this.pending.set(lemma, request));
+      try {
+        added += await request;
+      } catch (error) {
+        console.error(`Definition batch of ${batch.length} words failed:`, error);
+      } finally {
+        batch.forEach((lemma) => this.pending.delete(lemma));
+      }
+    }
+    return added;
+  }
+
+  async requestBatch(lemmas) {
+    const content = await this.llm.complete("definitions", [
+      { role: "system", content: DEFINITION_BATCH_PROMPT },
+      { role: "user", content: lemmas.join("\n") },
+    ], { json: true, context: { words: lemmas } });
+
+    // A reply cut off at the token limit still has the entries before the
+    // cut; the last one may have been cut mid-meaning, so it is dropped
+    let response;
+    let definitions;
+    try {
+      response = this.llm.parseJson(content);
+      definitions = response && Array.isArray(response.definitions) ? response.definitions : [];
+    } catch (error) {
+      response = this.llm.parsePartialJson(content);
+      if (!response || !Array.isArray(response.definitions)) throw error;
+      definitions = response.definitions.slice(0, -1);
+    }
+
+    // Only the words asked about, in case the model adds or rewrites some
+    const asked = new Set(lemmas);
+    return this.saveAll(definitions
+      .filter((definition) => definition && asked.has(definition.word))
+      .map((definition) => ({ lemma: definition.word, reading: definition.reading, meaning: definition.meaning })));
+  }
+
+  // The whole cache as a JSON file another learner can import
+  export() {
+    const definitions = Array.from(this.entries.values())
+      .sort((a, b) => a.lemma.localeCompare(b.lemma, "ja"))
+      .map(({ lemma, reading, meaning }) => ({ lemma, reading, meaning }));
+    return new Blob([JSON.stringify({
+      format: DEFINITION_EXPORT_FORMAT,
+      version: DEFINITION_CACHE_VERSION,
+      exportedAt: new Date().toISOString(),
+      definitions,
+    }, null, 2)], { type: "application/json" });
+  }
+
+  // Adds the definitions from an exported file. Words already cached keep
+  // their definition.
+  async import(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error("Not a definition cache file");
+    }
+    if (!data || data.format !== DEFINITION_EXPORT_FORMAT || !Array.isArray(data.definitions)) {
+      throw new Error("Not a definition cache file");
+    }
+    if (data.version !== DEFINITION_CACHE_VERSION) {
+      throw new Error(`Unsupported definition cache version ${data.version}`);
+    }
+
+    const fresh = data.definitions.filter((definition) => definition && !this.entries.has(definition.lemma));
+    const added = await this.saveAll(fresh);
+    return { added, skipped: data.definitions.length - added };
+  }
+
+  async clear() {
+    await this.database.clear("definitions");
+    this.entries.clear();
+  }
+}
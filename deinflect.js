@@ -0,0 +1,176 @@
+// Rule-based deinflector: turns a conjugated surface form into candidate
+// dictionary forms and records the transformations applied on the way
+// (忘れられない → 忘れる via potential → negative).
+//
+// Each rule is [inflected ending, dictionary ending, type of the inflected
+// form, type of the result, reason]. Types let rules chain: ない produces an
+// adj-i form, so かった (adj-i past) can be undone before it.
+
+// How each verb class forms the stems the rules are built from
+const VERB_STEMS = [
+  { ending: "る", type: "v1", mizen: "", renyou: "", ta: "", katei: "れ", imperative: ["ろ", "よ"], volitional: "よう", potential: "られる", passive: "られる", causative: "させる", causativePassive: "させられる" },
+  { ending: "する", type: "vs", mizen: "し", renyou: "し", ta: "し", katei: "すれ", imperative: ["しろ", "せよ"], volitional: "しよう", potential: "できる", passive: "される", causative: "させる", causativePassive: "させられる" },
+  { ending: "くる", type: "vk", mizen: "こ", renyou: "き", ta: "き", katei: "くれ", imperative: ["こい"], volitional: "こよう", potential: "こられる", passive: "こられる", causative: "こさせる", causativePassive: "こさせられる" },
+  { ending: "来る", type: "vk", mizen: "来", renyou: "来", ta: "来", katei: "来れ", imperative: ["来い"], volitional: "来よう", potential: "来られる", passive: "来られる", causative: "来させる", causativePassive: "来させられる" },
+  // 行く is the one godan verb with an irregular past stem
+  { ending: "行く", type: "v5", ta: "行っ" },
+  { ending: "いく", type: "v5", ta: "いっ" },
+];
+
+// Godan rows: [dictionary kana, a, i, e, o, past stem, voiced past]
+const GODAN_STEM_ROWS = [
+  ["く", "か", "き", "け", "こ", "い", false],
+  ["ぐ", "が", "ぎ", "げ", "ご", "い", true],
+  ["す", "さ", "し", "せ", "そ", "し", false],
+  ["つ", "た", "ち", "て", "と", "っ", false],
+  ["ぬ", "な", "に", "ね", "の", "ん", true],
+  ["ぶ", "ば", "び", "べ", "ぼ", "ん", true],
+  ["む", "ま", "み", "め", "も", "ん", true],
+  ["る", "ら", "り", "れ", "ろ", "っ", false],
+  ["う", "わ", "い", "え", "お", "っ", false],
+];
+
+GODAN_STEM_ROWS.forEach(([ending, a, i, e, o, ta, voiced]) => {
+  VERB_STEMS.push({
+    ending,
+    type: "v5",
+    mizen: a,
+    renyou: i,
+    ta,
+    voiced,
+    katei: e,
+    imperative: [e],
+    volitional: o + "う",
+    potential: e + "る",
+    passive: a + "れる",
+    causative: a + "せる",
+    // Short causative-passive (書かされる); not used for す-verbs
+    causativePassive: ending === "す" ? null : a + "される",
+  });
+});
+
+// Fixed rules that don't depend on the verb class
+const FIXED_RULES = [
+  // i-adjectives
+  ["かった", "い", "", "adj-i", "past"],
+  ["くない", "い", "adj-i", "adj-i", "negative"],
+  ["くて", "い", "te", "adj-i", "te"],
+  ["く", "い", "", "adj-i", "adverbial"],
+  ["ければ", "い", "", "adj-i", "conditional"],
+  ["かったら", "い", "", "adj-i", "-tara"],
+  ["かったり", "い", "", "adj-i", "-tari"],
+  ["さ", "い", "", "adj-i", "noun"],
+  ["そう", "い", "", "adj-i", "-sou"],
+  ["すぎる", "い", "v1", "adj-i", "-sugiru"],
+  ["よかった", "いい", "", "adj-i", "past"],
+  ["よくない", "いい", "adj-i", "adj-i", "negative"],
+  ["よくて", "いい", "te", "adj-i", "te"],
+  ["よく", "いい", "", "adj-i", "adverbial"],
+  ["よければ", "いい", "", "adj-i", "conditional"],
+  ["よさそう", "いい", "", "adj-i", "-sou"],
+  // Polite endings fold back to ます
+  ["ました", "ます", "", "masu", "past"],
+  ["ませんでした", "ません", "", "masu", "past"],
+  ["ません", "ます", "masu", "masu", "negative"],
+  ["ましょう", "ます", "", "masu", "volitional"],
+  ["まして", "ます", "", "masu", "te"],
+  ["ませば", "ます", "", "masu", "conditional"],
+  // Auxiliary verbs after the te-form
+  ["ている", "て", "v1", "te", "-te iru"],
+  ["でいる", "で", "v1", "te", "-te iru"],
+  ["てる", "て", "v1", "te", "-te iru"],
+  ["でる", "で", "v1", "te", "-te iru"],
+  ["てしまう", "て", "v5", "te", "-te shimau"],
+  ["でしまう", "で", "v5", "te", "-te shimau"],
+  ["ちゃう", "て", "v5", "te", "-te shimau"],
+  ["じゃう", "で", "v5", "te", "-te shimau"],
+  ["ておく", "て", "v5", "te", "-te oku"],
+  ["でおく", "で", "v5", "te", "-te oku"],
+  ["とく", "て", "v5", "te", "-te oku"],
+  ["てみる", "て", "v1", "te", "-te miru"],
+  ["でみる", "で", "v1", "te", "-te miru"],
+  ["てある", "て", "v5", "te", "-te aru"],
+  ["てくる", "て", "vk", "te", "-te kuru"],
+  ["ていく", "て", "v5", "te", "-te iku"],
+];
+
+class Deinflector {
+  constructor() {
+    this.rules = [...FIXED_RULES, ...this.buildVerbRules()];
+  }
+
+  buildVerbRules() {
+    const rules = [];
+    const add = (inflected, stem, dictionaryEnding, typeIn, typeOut, reason) => {
+      if (stem === undefined || stem === null) return;
+      rules.push([stem + inflected, dictionaryEnding, typeIn, typeOut, reason]);
+    };
+
+    VERB_STEMS.forEach((verb) => {
+      const { ending, type } = verb;
+      const t = verb.voiced ? "だ" : "た";
+      const te = verb.voiced ? "で" : "て";
+
+      add(t, verb.ta, ending, "", type, "past");
+      add(te, verb.ta, ending, "te", type, "te");
+      add(t + "ら", verb.ta, ending, "", type, "-tara");
+      add(t + "り", verb.ta, ending, "", type, "-tari");
+      if (verb.mizen === undefined) return;
+
+      add("ない", verb.mizen, ending, "adj-i", type, "negative");
+      add("ず", verb.mizen, ending, "", type, "-zu");
+      add("ます", verb.renyou, ending, "masu", type, "polite");
+      add("たい", verb.renyou, ending, "adj-i", type, "-tai");
+      add("そう", verb.renyou, ending, "", type, "-sou");
+      add("すぎる", verb.renyou, ending, "v1", type, "-sugiru");
+      add("ながら", verb.renyou, ending, "", type, "-nagara");
+      add("ば", verb.katei, ending, "", type, "conditional");
+      add("", verb.volitional, ending, "", type, "volitional");
+      verb.imperative.forEach((form) => add("", form, ending, "", type, "imperative"));
+
+      // Listed before causative and passive so させられる reads as one step, and
+      // before passive so ambiguous ichidan られる reads as potential first
+      add("", verb.causativePassive, ending, "v1", type, "causative passive");
+      add("", verb.potential, ending, "v1", type, "potential");
+      add("", verb.passive, ending, "v1", type, "passive");
+      add("", verb.causative, ending, "v1", type, "causative");
+
+      // The bare masu-stem (読み in 読みながら); ichidan stems have no ending to match
+      if (verb.renyou) add("", verb.renyou, ending, "", type, "masu stem");
+    });
+
+    return rules;
+  }
+
+  // Returns every candidate dictionary form with the reasons that lead to it,
+  // listed from the dictionary form outwards
+  deinflect(word) {
+    const results = [{ term: word, type: "", reasons: [] }];
+    const seen = new Set([`${word}:`]);
+
+    for (let i = 0; i < results.length; i++) {
+      const { term, type, reasons } = results[i];
+
+      this.rules.forEach(([inflected, dictionaryEnding, typeIn, typeOut, reason]) => {
+        // The original word may be any form; derived forms must match the rule's input type
+        if (i > 0 && typeIn !== type) return;
+        if (!term.endsWith(inflected)) return;
+
+        const candidate = term.slice(0, term.length - inflected.length) + dictionaryEnding;
+        if (!candidate || candidate === term) return;
+
+        const key = `${candidate}:${typeOut}:${[reason, ...reasons].join(",")}`;
+        if (seen.has(key) || reasons.length > 8) return;
+        seen.add(key);
+        results.push({ term: candidate, type: typeOut, reasons: [reason, ...reasons] });
+      });
+    }
+
+    // Intermediate types (te, masu) are never dictionary forms
+    return results.slice(1).filter((result) => !["te", "masu"].includes(result.type));
+  }
+
+  formatChain(lemma, reasons) {
+    return [lemma, ...reasons].join(" → ");
+  }
+}
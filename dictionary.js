@@ -0,0 +1,260 @@
+// Offline dictionary built from a JMdict XML or EDICT text file.
+// Entries are stored in IndexedDB and searched by headword and reading, so
+// lookups work without an API key or a network connection.
+
+// JMdict priority markers that make a word "common" (same rule as EDICT's (P))
+const COMMON_PRIORITIES = new Set(["news1", "ichi1", "spec1", "spec2", "gai1"]);
+
+// EDICT tags that describe part of speech rather than usage or field
+const EDICT_POS_TAGS = /^(n|n-adv|n-t|n-suf|n-pref|n-pr|pn|adj-i|adj-ix|adj-na|adj-no|adj-pn|adj-t|adj-f|adv|adv-to|aux|aux-v|aux-adj|conj|cop|ctr|exp|int|num|pref|prt|suf|unc|v1|v1-s|v5.*|vk|vs|vs-i|vs-s|vz|vi|vt|vn|vr)$/;
+
+const DICTIONARY_BATCH_SIZE = 2000;
+
+class JapaneseDictionary {
+  constructor(database) {
+    this.database = database;
+  }
+
+  getInfo() {
+    const saved = localStorage.getItem("dictionary_info");
+    return saved ? JSON.parse(saved) : null;
+  }
+
+  async importFile(file, onProgress = () => {}) {
+    const text = await this.readFile(file);
+    const entries = this.isJmdictXml(text) ? this.parseJmdictXml(text) : this.parseEdict(text);
+
+    if (entries.length === 0) {
+      throw new Error("No dictionary entries found in file");
+    }
+
+    await this.database.clear("dictionary");
+    for (let i = 0; i < entries.length; i += DICTIONARY_BATCH_SIZE) {
+      await this.database.putAll("dictionary", entries.slice(i, i + DICTIONARY_BATCH_SIZE));
+      onProgress(Math.min(i + DICTIONARY_BATCH_SIZE, entries.length), entries.length);
+    }
+
+    const info = { name: file.name, entries: entries.length, importedAt: new Date().toISOString() };
+    localStorage.setItem("dictionary_info", JSON.stringify(info));
+    return info;
+  }
+
+  async readFile(file) {
+    let buffer = await file.arrayBuffer();
+
+    // JMdict_e.gz and edict2.gz are distributed gzipped
+    if (file.name.endsWith(".gz")) {
+      const stream = new Blob([buffer]).stream().pipeThrough(new DecompressionStream("gzip"));
+      buffer = await new Response(stream).arrayBuffer();
+    }
+
+    try {
+      return new TextDecoder("utf-8", { fatal: true }).decode(buffer);
+    } catch (error) {
+      // The original EDICT files are EUC-JP
+      return new TextDecoder("euc-jp").decode(buffer);
+    }
+  }
+
+  isJmdictXml(text) {
+    return /^\s*(<\?xml|<!DOCTYPE JMdict|<JMdict)/.test(text);
+  }
+
+  // Regex-based so the multi-megabyte file never becomes a DOM tree, and so
+  // part-of-speech entities like &v1; survive as their short codes
+  parseJmdictXml(text) {
+    const entries = [];
+    const values = (block, tag) => Array.from(block.matchAll(new RegExp(`<${tag}>([^<]*)</${tag}>`, "g")), (match) => this.decodeXml(match[1]));
+    const entity = (value) => value.replace(/^&|;$/g, "");
+
+    for (const [entryXml] of text.matchAll(/<entry>[\s\S]*?<\/entry>/g)) {
+      const kanji = Array.from(entryXml.matchAll(/<k_ele>[\s\S]*?<\/k_ele>/g), ([block]) => ({
+        text: values(block, "keb")[0],
+        priority: values(block, "ke_pri"),
+      }));
+      const readings = Array.from(entryXml.matchAll(/<r_ele>[\s\S]*?<\/r_ele>/g), ([block]) => ({
+        text: values(block, "reb")[0],
+        priority: values(block, "re_pri"),
+      }));
+
+      let lastPos = [];
+      const senses = Array.from(entryXml.matchAll(/<sense>[\s\S]*?<\/sense>/g), ([block]) => {
+        // A sense without <pos> inherits the previous one
+        const pos = Array.from(block.matchAll(/<pos>([^<]*)<\/pos>/g), (match) => entity(match[1]));
+        if (pos.length > 0) lastPos = pos;
+        return {
+          pos: lastPos,
+          glosses: Array.from(block.matchAll(/<gloss[^>]*>([^<]*)<\/gloss>/g), (match) => this.decodeXml(match[1])),
+          misc: Array.from(block.matchAll(/<misc>([^<]*)<\/misc>/g), (match) => entity(match[1])),
+        };
+      }).filter((sense) => sense.glosses.length > 0);
+
+      if (readings.length === 0 || senses.length === 0) continue;
+
+      const priority = [...kanji, ...readings].flatMap((element) => element.priority);
+      entries.push({
+        id: Number(values(entryXml, "ent_seq")[0]) || entries.length + 1,
+        headwords: kanji.length > 0 ? kanji.map((element) => element.text) : readings.map((element) => element.text),
+        readings: readings.map((element) => element.text),
+        senses,
+        priority: Array.from(new Set(priority)),
+        common: priority.some((tag) => COMMON_PRIORITIES.has(tag)),
+      });
+    }
+
+    return entries;
+  }
+
+  decodeXml(value) {
+    return value
+      .replace(/&lt;/g, "<")
+      .replace(/&gt;/g, ">")
+      .replace(/&quot;/g, "\"")
+      .replace(/&apos;/g, "'")
+      .replace(/&amp;/g, "&");
+  }
+
+  // EDICT/EDICT2: 漢字;漢字(P) [かな;かな] /(n,vs) (1) gloss/(2) gloss/(P)/EntL1234X/
+  parseEdict(text) {
+    const entries = [];
+    const stripTags = (word) => word.replace(/\([^)]*\)/g, "");
+
+    text.split(/\r?\n/).forEach((line, index) => {
+      const match = line.match(/^(\S+)(?: \[([^\]]+)\])? \/(.*)\/$/);
+      if (!match || line.startsWith("　？？？")) return;
+
+      const [, headField, readingField, body] = match;
+      const headwords = headField.split(";").map(stripTags);
+      const readings = readingField ? readingField.split(";").map(stripTags) : headwords;
+      const fields = body.split("/");
+      let common = /\(P\)/.test(headField) || /\(P\)/.test(readingField || "");
+      let id = index + 1;
+      const senses = [];
+      let pos = [];
+
+      fields.forEach((field) => {
+        if (field === "(P)") {
+          common = true;
+          return;
+        }
+        const entL = field.match(/^EntL(\d+)/);
+        if (entL) {
+          id = Number(entL[1]);
+          return;
+        }
+
+        // Leading parenthesised groups carry POS codes, misc tags and the sense number
+        let gloss = field;
+        const tags = [];
+        let startsSense = senses.length === 0;
+        let tagMatch;
+        while ((tagMatch = gloss.match(/^\(([^)]*)\)\s*/))) {
+          if (/^\d+$/.test(tagMatch[1])) {
+            startsSense = true;
+          } else {
+            tags.push(...tagMatch[1].split(","));
+          }
+          gloss = gloss.slice(tagMatch[0].length);
+        }
+        if (!gloss) return;
+
+        const posTags = tags.filter((tag) => EDICT_POS_TAGS.test(tag));
+        if (posTags.length > 0) pos = posTags;
+
+        if (startsSense) {
+          senses.push({ pos, glosses: [gloss], misc: tags.filter((tag) => !EDICT_POS_TAGS.test(tag)) });
+        } else {
+          senses[senses.length - 1].glosses.push(gloss);
+        }
+      });
+
+      if (senses.length === 0) return;
+      entries.push({ id, headwords, readings, senses, priority: common ? ["P"] : [], common });
+    });
+
+    return entries;
+  }
+
+  async search(term) {
+    const matches = await this.database.getAllFromIndex("dictionary", "headwords", term);
+    if (/^[ぁ-ゟァ-ヿー]+$/.test(term)) {
+      matches.push(...await this.database.getAllFromIndex("dictionary", "readings", term));
+    }
+    return matches;
+  }
+
+  // Looks the surface form up first, then each candidate dictionary form.
+  // Candidates are terms or { term, type } from the deinflector; typed
+  // candidates only match entries with a fitting part of speech.
+  async lookup(word, candidates = []) {
+    const seen = new Set();
+    const searched = new Set();
+    const results = [];
+
+    for (const candidate of [word, ...candidates]) {
+      const { term, type } = typeof candidate === "string" ? { term: candidate } : candidate;
+      if (!term || searched.has(`${term}:${type || ""}`)) continue;
+      searched.add(`${term}:${type || ""}`);
+
+      const matches = await this.search(term);
+      // JMdict lists suru-verbs under the noun (勉強 for 勉強する)
+      if (type === "vs" && term.length > 2 && term.endsWith("する")) {
+        matches.push(...await this.search(term.slice(0, -2)));
+      }
+
+      matches.forEach((entry) => {
+        if (seen.has(entry.id) || (type && !this.matchesType(entry, type))) return;
+        seen.add(entry.id);
+        results.push({ entry, term, exact: entry.headwords.includes(term) });
+      });
+    }
+
+    // Exact headword matches and common words first, otherwise keep search order
+    return results
+      .map((result, order) => ({ ...result, order }))
+      .sort((a, b) => (b.exact - a.exact) || (b.entry.common - a.entry.common) || (a.order - b.order));
+  }
+
+  matchesType(entry, type) {
+    const fits = (pos) => {
+      switch (type) {
+        case "v1":
+          return pos.startsWith("v1");
+        case "v5":
+          return pos.startsWith("v5");
+        case "vs":
+          return pos.startsWith("vs");
+        case "vk":
+          return pos === "vk";
+        case "adj-i":
+          return pos === "adj-i" || pos === "adj-ix";
+        default:
+          return true;
+      }
+    };
+    return entry.senses.some((sense) => sense.pos.some(fits));
+  }
+
+  async lookupDefinition(word, candidates = []) {
+    if (!this.getInfo()) return null;
+
+    const results = await this.lookup(word, candidates);
+    if (results.length === 0) return null;
+
+    const [best] = results;
+    const entries = results.slice(0, 3).map(({ entry, term }) => ({
+      headword: entry.headwords.includes(term) ? term : entry.headwords[0],
+      reading: entry.readings[0],
+      common: entry.common,
+      senses: entry.senses,
+    }));
+
+    return {
+      reading: best.entry.readings[0],
+      meaning: best.entry.senses.slice(0, 3).map((sense) => sense.glosses.join(", ")).join("; "),
+      lemma: best.term,
+      entries,
+      source: "dictionary",
+    };
+  }
+}
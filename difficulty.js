@@ -0,0 +1,97 @@
+// Estimates how hard a Japanese text is from its segmented words: the JLPT
+// level of its vocabulary, the school grade of its kanji, sentence length
+// and how many of its words the reader doesn't know yet.
+
+// Kyōiku kanji by the school grade they are taught in (2020 curriculum).
+// Any other kanji is secondary school level or beyond.
+const KANJI_GRADE_LISTS = {
+  1: "一右雨円王音下火花貝学気九休玉金空月犬見五口校左三山子四糸字耳七車手十出女小上森人水正生青夕石赤千川先早草足村大男竹中虫町天田土二日入年白八百文木本名目立力林六",
+  2: "引羽雲園遠何科夏家歌画回会海絵外角楽活間丸岩顔汽記帰弓牛魚京強教近兄形計元言原戸古午後語工公広交光考行高黄合谷国黒今才細作算止市矢姉思紙寺自時室社弱首秋週春書少場色食心新親図数西声星晴切雪船線前組走多太体台地池知茶昼長鳥朝直通弟店点電刀冬当東答頭同道読内南肉馬売買麦半番父風分聞米歩母方北毎妹万明鳴毛門夜野友用曜来里理話",
+  3: "悪安暗医委意育員院飲運泳駅央横屋温化荷界開階寒感漢館岸起期客究急級宮球去橋業曲局銀区苦具君係軽血決研県庫湖向幸港号根祭皿仕死使始指歯詩次事持式実写者主守取酒受州拾終習集住重宿所暑助昭消商章勝乗植申身神真深進世整昔全相送想息速族他打対待代第題炭短談着注柱丁帳調追定庭笛鉄転都度投豆島湯登等動童農波配倍箱畑発反坂板皮悲美鼻筆氷表秒病品負部服福物平返勉放味命面問役薬由油有遊予羊洋葉陽様落流旅両緑礼列練路和",
+  4: "愛案以衣位茨印英栄媛塩岡億加果貨課芽賀改械害街各覚潟完官管関観願岐希季旗器機議求泣給挙漁共協鏡競極熊訓軍郡群径景芸欠結建健験固功好香候康佐差菜最埼材崎昨札刷察参産散残氏司試児治滋辞鹿失借種周祝順初松笑唱焼照城縄臣信井成省清静席積折節説浅戦選然争倉巣束側続卒孫帯隊達単置仲沖兆低底的典伝徒努灯働特徳栃奈梨熱念敗梅博阪飯飛必票標不夫付府阜富副兵別辺変便包法望牧末満未民無約勇要養浴利陸良料量輪類令冷例連老労録",
+  5: "圧囲移因永営衛易益液演応往桜可仮価河過快解格確額刊幹慣眼紀基寄規喜技義逆久旧救居許境均禁句型経潔件険検限現減故個護効厚耕航鉱構興講告混査再災妻採際在財罪殺雑酸賛士支史志枝師資飼示似識質舎謝授修述術準序招証象賞条状常情織職制性政勢精製税責績接設絶祖素総造像増則測属率損貸態団断築貯張停提程適統堂銅導得毒独任燃能破犯判版比肥非費備評貧布婦武復複仏粉編弁保墓報豊防貿暴脈務夢迷綿輸余容略留領歴",
+  6: "胃異遺域宇映延沿恩我灰拡革閣割株干巻看簡危机揮貴疑吸供胸郷勤筋系敬警劇激穴券絹権憲源厳己呼誤后孝皇紅降鋼刻穀骨困砂座済裁策冊蚕至私姿視詞誌磁射捨尺若樹収宗就衆従縦縮熟純処署諸除承将傷障蒸針仁垂推寸盛聖誠舌宣専泉洗染銭善奏窓創装層操蔵臓存尊退宅担探誕段暖値宙忠著庁頂腸潮賃痛敵展討党糖届難乳認納脳派拝背肺俳班晩否批秘俵腹奮並陛閉片補暮宝訪亡忘棒枚幕密盟模訳郵優預幼欲翌乱卵覧裏律臨朗論",
+};
+const KANJI_SECONDARY = 7;
+
+// Roughly the JLPT level whose kanji list ends with each grade
+const KANJI_GRADE_JLPT = { 1: 5, 2: 4, 3: 4, 4: 3, 5: 3, 6: 2, [KANJI_SECONDARY]: 1 };
+
+// Share of the text a reader must cover for it to count as "at" a level
+const DIFFICULTY_COVERAGE = 0.9;
+
+class DifficultyAnalyzer {
+  constructor(tokenizer) {
+    this.tokenizer = tokenizer;
+    this.kanjiGrades = new Map();
+    Object.entries(KANJI_GRADE_LISTS).forEach(([grade, kanji]) => {
+      Array.from(kanji).forEach((char) => this.kanjiGrades.set(char, Number(grade)));
+    });
+    this.kanjiPattern = new RegExp(`[${KANJI_CHARACTERS}]`, "g");
+  }
+
+  // knownWords is a Set of dictionary forms. Returns
+  // { level, vocabulary, kanji, sentences, words, unknown, unknownRatio }
+  analyze(text, knownWords = new Set()) {
+    const words = this.tokenizer.segmentWords(text).filter((word) => this.isCounted(word));
+
+    // Tokens per JLPT level; 0 collects words without one
+    const vocabulary = { 5: 0, 4: 0, 3: 0, 2: 0, 1: 0, 0: 0 };
+    words.forEach((word) => vocabulary[word.jlpt || 0]++);
+    const unknown = words.filter((word) => !knownWords.has(word.baseForm)).length;
+
+    const grades = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0, 6: 0, [KANJI_SECONDARY]: 0 };
+    const kanji = (text.match(this.kanjiPattern) || []).filter((char) => !"々〆ヶ".includes(char));
+    kanji.forEach((char) => grades[this.gradeOf(char)]++);
+
+    const sentenceLengths = text.split(/[。！？\n]+/)
+      .map((sentence) => sentence.replace(/\s/g, "").length)
+      .filter((length) => length > 0);
+    const totalLength = sentenceLengths.reduce((total, length) => total + length, 0);
+
+    return {
+      level: this.estimateLevel(vocabulary, grades),
+      vocabulary,
+      kanji: { total: kanji.length, unique: new Set(kanji).size, grades },
+      sentences: {
+        count: sentenceLengths.length,
+        averageLength: sentenceLengths.length > 0 ? Math.round(totalLength / sentenceLengths.length) : 0,
+        longest: Math.max(0, ...sentenceLengths),
+      },
+      words: words.length,
+      unknown,
+      unknownRatio: words.length > 0 ? unknown / words.length : 0,
+    };
+  }
+
+  // Content words a learner would look up; numbers and names don't say
+  // anything about the level
+  isCounted(word) {
+    return word.clickable && word.posDetail !== "数" && word.posDetail !== "固有名詞";
+  }
+
+  // Harder than the given JLPT level. Words with no level count as hard.
+  isAboveLevel(word, level) {
+    return this.isCounted(word) && (!word.jlpt || word.jlpt < level);
+  }
+
+  gradeOf(char) {
+    return this.kanjiGrades.get(char) || KANJI_SECONDARY;
+  }
+
+  // The harder of the two levels that cover most of the text: one for the
+  // vocabulary with a known JLPT level, one for the kanji by grade
+  estimateLevel(vocabulary, grades) {
+    const coverage = (counts, order) => {
+      const total = order.reduce((sum, key) => sum + counts[key], 0);
+      if (total === 0) return null;
+      let covered = 0;
+      return order.find((key) => (covered += counts[key]) / total >= DIFFICULTY_COVERAGE);
+    };
+
+    const vocabularyLevel = coverage(vocabulary, [5, 4, 3, 2, 1]);
+    const kanjiGrade = coverage(grades, [1, 2, 3, 4, 5, 6, KANJI_SECONDARY]);
+    const levels = [vocabularyLevel, kanjiGrade && KANJI_GRADE_JLPT[kanjiGrade]].filter(Boolean);
+    return levels.length > 0 ? Math.min(...levels) : null;
+  }
+}
@@ -0,0 +1,235 @@
+// Exports the flashcard deck as an Anki package (.apkg) or as CSV/TSV for
+// other SRS tools. Everything is built in the browser: the package is a zip
+// holding a schema-11 Anki collection written by SqliteWriter.
+//
+// Note IDs and GUIDs come from each card's own id and creation time, so
+// importing a newer export into Anki updates the existing notes.
+
+const EXPORT_FIELDS = ["Word", "Reading", "Meaning", "Sentence", "Source"];
+
+// Fixed so every export targets the same note type and deck in Anki
+const ANKI_MODEL_ID = 1735689600000;
+const ANKI_DECK_ID = 1735689600001;
+const ANKI_DECK_NAME = "Japanese Study Stories";
+
+const ANKI_CARD_CSS = `.card {
+  font-family: "Hiragino Sans", "Noto Sans JP", sans-serif;
+  font-size: 22px;
+  text-align: center;
+  color: #333;
+  background: white;
+}
+.word { font-size: 2em; }
+.reading { color: #667eea; }
+.sentence { font-size: 0.9em; color: #555; }
+.source { font-size: 0.7em; color: #999; }`;
+
+const ANKI_FRONT_TEMPLATE = `<div class="word">{{Word}}</div>
+{{#Sentence}}<div class="sentence">{{Sentence}}</div>{{/Sentence}}`;
+
+const ANKI_BACK_TEMPLATE = `{{FrontSide}}
+<hr id="answer">
+<div class="reading">{{Reading}}</div>
+<div class="meaning">{{Meaning}}</div>
+{{#Source}}<div class="source">{{Source}}</div>{{/Source}}`;
+
+const ANKI_SCHEMA = {
+  col: "CREATE TABLE col (id integer primary key, crt integer not null, mod integer not null, scm integer not null, ver integer not null, dty integer not null, usn integer not null, ls integer not null, conf text not null, models text not null, decks text not null, dconf text not null, tags text not null)",
+  notes: "CREATE TABLE notes (id integer primary key, guid text not null, mid integer not null, mod integer not null, usn integer not null, tags text not null, flds text not null, sfld integer not null, csum integer not null, flags integer not null, data text not null)",
+  cards: "CREATE TABLE cards (id integer primary key, nid integer not null, did integer not null, ord integer not null, mod integer not null, usn integer not null, type integer not null, queue integer not null, due integer not null, ivl integer not null, factor integer not null, reps integer not null, lapses integer not null, left integer not null, odue integer not null, odid integer not null, flags integer not null, data text not null)",
+  revlog: "CREATE TABLE revlog (id integer primary key, cid integer not null, usn integer not null, ease integer not null, ivl integer not null, lastIvl integer not null, factor integer not null, time integer not null, type integer not null)",
+  graves: "CREATE TABLE graves (usn integer not null, oid integer not null, type integer not null)",
+};
+
+class VocabularyExporter {
+  constructor(deck) {
+    this.deck = deck;
+  }
+
+  // Plain-text fields for one card, in EXPORT_FIELDS order
+  fieldsFor(card) {
+    const source = card.source || {};
+    return [
+      card.lemma || card.word,
+      card.reading || "",
+      card.meaning || "",
+      card.sentence || "",
+      source.url || source.title || "",
+    ];
+  }
+
+  toDelimited(cards, delimiter) {
+    const formatField = (value) => {
+      const text = String(value);
+      if (delimiter === "\t") {
+        // TSV has no quoting, so tabs and line breaks become spaces
+        return text.replace(/[\t\r\n]+/g, " ");
+      }
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, "\"\"")}"` : text;
+    };
+
+    const rows = [EXPORT_FIELDS, ...cards.map((card) => this.fieldsFor(card))];
+    return rows.map((row) => row.map(formatField).join(delimiter)).join("\r\n") + "\r\n";
+  }
+
+  async exportCsv() {
+    const cards = await this.deck.getAllCards();
+    return new Blob(["\ufeff" + this.toDelimited(cards, ",")], { type: "text/csv;charset=utf-8" });
+  }
+
+  async exportTsv() {
+    const cards = await this.deck.getAllCards();
+    return new Blob([this.toDelimited(cards, "\t")], { type: "text/tab-separated-values;charset=utf-8" });
+  }
+
+  async exportApkg() {
+    const cards = await this.deck.getAllCards();
+    const zip = new ZipWriter();
+    zip.addFile("collection.anki2", await this.buildCollection(cards));
+    zip.addFile("media", "{}");
+    return zip.build();
+  }
+
+  async buildCollection(cards, now = Date.now()) {
+    const writer = new SqliteWriter();
+    const seconds = Math.floor(now / 1000);
+    const noteRows = [];
+    const cardRows = [];
+    const usedIds = new Set();
+
+    for (const [index, card] of cards.entries()) {
+      // Creation time is the stable id; nudge forward only on an exact collision
+      let noteId = card.createdAt;
+      while (usedIds.has(noteId)) noteId++;
+      usedIds.add(noteId);
+
+      const fields = this.ankiFieldsFor(card);
+      noteRows.push({
+        rowid: noteId,
+        values: [null, card.id, ANKI_MODEL_ID, seconds, -1, " japanese-study ", fields.join("\x1f"), fields[0], await this.checksum(fields[0]), 0, ""],
+      });
+      // New cards in the order they were saved; Anki does its own scheduling
+      cardRows.push({
+        rowid: noteId,
+        values: [null, noteId, ANKI_DECK_ID, 0, seconds, -1, 0, 0, index + 1, 0, 0, 0, 0, 0, 0, 0, 0, ""],
+      });
+    }
+
+    const collection = [null, Math.floor(new Date(now).setHours(4, 0, 0, 0) / 1000), now, now, 11, 0, 0, 0,
+      JSON.stringify(this.collectionConfig()), JSON.stringify(this.models(seconds)), JSON.stringify(this.decks(seconds)),
+      JSON.stringify(this.deckConfig()), "{}"];
+
+    writer.addTable("col", ANKI_SCHEMA.col, [{ rowid: 1, values: collection }]);
+    writer.addTable("notes", ANKI_SCHEMA.notes, noteRows);
+    writer.addTable("cards", ANKI_SCHEMA.cards, cardRows);
+    writer.addTable("revlog", ANKI_SCHEMA.revlog, []);
+    writer.addTable("graves", ANKI_SCHEMA.graves, []);
+    return writer.build();
+  }
+
+  // Anki fields are HTML: escape everything, bold the word in its sentence
+  // and link the source when there is a URL
+  ankiFieldsFor(card) {
+    const escape = (value) => String(value || "")
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;");
+    const source = card.source || {};
+    const sentence = card.word && card.sentence
+      ? card.sentence.split(card.word).map(escape).join(`<b>${escape(card.word)}</b>`)
+      : escape(card.sentence);
+    const sourceField = source.url
+      ? `<a href="${escape(source.url)}">${escape(source.title || source.url)}</a>`
+      : escape(source.title);
+
+    return [escape(card.lemma || card.word), escape(card.reading), escape(card.meaning), sentence, sourceField];
+  }
+
+  // Anki's duplicate check: first 8 hex digits of the SHA-1 of the sort field
+  async checksum(text) {
+    const stripped = text.replace(/<[^>]*>/g, "");
+    const digest = await crypto.subtle.digest("SHA-1", new TextEncoder().encode(stripped));
+    const hex = Array.from(new Uint8Array(digest).slice(0, 4), (byte) => byte.toString(16).padStart(2, "0")).join("");
+    return parseInt(hex, 16);
+  }
+
+  collectionConfig() {
+    return {
+      activeDecks: [1],
+      addToCur: true,
+      collapseTime: 1200,
+      curDeck: 1,
+      curModel: String(ANKI_MODEL_ID),
+      dueCounts: true,
+      estTimes: true,
+      newBury: true,
+      newSpread: 0,
+      nextPos: 1,
+      sortBackwards: false,
+      sortType: "noteFld",
+      timeLim: 0,
+    };
+  }
+
+  models(seconds) {
+    return {
+      [ANKI_MODEL_ID]: {
+        id: ANKI_MODEL_ID,
+        name: "Japanese Study Vocabulary",
+        type: 0,
+        mod: seconds,
+        usn: -1,
+        sortf: 0,
+        did: ANKI_DECK_ID,
+        tmpls: [{ name: "Recognition", ord: 0, qfmt: ANKI_FRONT_TEMPLATE, afmt: ANKI_BACK_TEMPLATE, did: null, bqfmt: "", bafmt: "" }],
+        flds: EXPORT_FIELDS.map((name, ord) => ({ name, ord, sticky: false, rtl: false, font: "Arial", size: 20, media: [] })),
+        css: ANKI_CARD_CSS,
+        latexPre: "\\documentclass[12pt]{article}\n\\special{papersize=3in,5in}\n\\usepackage[utf8]{inputenc}\n\\usepackage{amssymb,amsmath}\n\\pagestyle{empty}\n\\setlength{\\parindent}{0in}\n\\begin{document}\n",
+        latexPost: "\\end{document}",
+        tags: [],
+        vers: [],
+        req: [[0, "any", [0]]],
+      },
+    };
+  }
+
+  decks(seconds) {
+    const deck = (id, name) => ({
+      id,
+      name,
+      mod: seconds,
+      usn: -1,
+      desc: "",
+      dyn: 0,
+      conf: 1,
+      collapsed: false,
+      extendNew: 10,
+      extendRev: 50,
+      newToday: [0, 0],
+      revToday: [0, 0],
+      lrnToday: [0, 0],
+      timeToday: [0, 0],
+    });
+    return { 1: deck(1, "Default"), [ANKI_DECK_ID]: deck(ANKI_DECK_ID, ANKI_DECK_NAME) };
+  }
+
+  deckConfig() {
+    return {
+      1: {
+        id: 1,
+        name: "Default",
+        mod: 0,
+        usn: 0,
+        maxTaken: 60,
+        autoplay: true,
+        timer: 0,
+        replayq: true,
+        dyn: false,
+        new: { bury: true, delays: [1, 10], initialFactor: 2500, ints: [1, 4, 7], order: 1, perDay: 20, separate: true },
+        lapse: { delays: [10], leechAction: 0, leechFails: 8, minInt: 1, mult: 0 },
+        rev: { bury: true, ease4: 1.3, fuzz: 0.05, ivlFct: 1, maxIvl: 36500, minSpace: 1, perDay: 100 },
+      },
+    };
+  }
+}
@@ -0,0 +1,104 @@
+// Spaced-repetition deck for words saved from the popup.
+// Scheduling follows SM-2: each grade adjusts the card's ease factor and the
+// next interval, and every review is kept in the card's history.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Failed cards come back within the same session instead of tomorrow
+const RELEARN_DELAY_MS = 10 * 60 * 1000;
+
+// Button grades mapped to SM-2 quality scores (0-5)
+const REVIEW_GRADES = { again: 1, hard: 3, good: 4, easy: 5 };
+
+class FlashcardDeck {
+  constructor(database) {
+    this.database = database;
+  }
+
+  async findByLemma(lemma) {
+    const [card] = await this.database.getAllFromIndex("deck", "lemma", lemma);
+    return card || null;
+  }
+
+  async getAllCards() {
+    const cards = await this.database.getAll("deck");
+    return cards.sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  async addCard({ word, lemma, reading, meaning, sentence, source = null }) {
+    const existing = await this.findByLemma(lemma);
+    if (existing) return { card: existing, added: false };
+
+    const now = Date.now();
+    const card = {
+      id: `card-${now}-${Math.random().toString(36).slice(2, 8)}`,
+      word,
+      lemma,
+      reading,
+      meaning,
+      sentence,
+      source,
+      createdAt: now,
+      due: now,
+      interval: 0,
+      ease: 2.5,
+      repetitions: 0,
+      lapses: 0,
+      history: [],
+    };
+    await this.database.put("deck", card);
+    return { card, added: true };
+  }
+
+  async getDueCards(now = Date.now()) {
+    const cards = await this.database.getAllFromIndex("deck", "due", IDBKeyRange.upperBound(now));
+    return cards.sort((a, b) => a.due - b.due);
+  }
+
+  async countDue(now = Date.now()) {
+    return (await this.getDueCards(now)).length;
+  }
+
+  // Returns the card as it would be after answering with the given grade
+  schedule(card, grade, now = Date.now()) {
+    const quality = REVIEW_GRADES[grade];
+    const next = { ...card, history: [...card.history] };
+
+    if (quality < 3) {
+      next.repetitions = 0;
+      next.interval = 0;
+      next.lapses = card.lapses + (card.repetitions > 0 ? 1 : 0);
+      next.due = now + RELEARN_DELAY_MS;
+    } else {
+      next.repetitions = card.repetitions + 1;
+      if (next.repetitions === 1) {
+        next.interval = 1;
+      } else if (next.repetitions === 2) {
+        next.interval = 6;
+      } else {
+        next.interval = Math.round(card.interval * card.ease);
+      }
+      if (grade === "hard") next.interval = Math.max(1, Math.round(next.interval * 0.8));
+      if (grade === "easy") next.interval = next.repetitions === 1 ? 4 : Math.round(next.interval * 1.3);
+      next.due = now + next.interval * DAY_MS;
+    }
+
+    // SM-2 ease update, never below 1.3
+    next.ease = Math.max(1.3, card.ease + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02)));
+    next.history.push({ reviewedAt: now, grade, interval: next.interval, ease: next.ease });
+    return next;
+  }
+
+  async review(card, grade) {
+    const next = this.schedule(card, grade);
+    await this.database.put("deck", next);
+    return next;
+  }
+
+  // Human-readable interval for the grade buttons ("10m", "6d")
+  describeInterval(card, grade) {
+    const next = this.schedule(card, grade, 0);
+    if (next.interval === 0) return "10m";
+    return next.interval >= 30 ? `${Math.round(next.interval / 30)}mo` : `${next.interval}d`;
+  }
+}
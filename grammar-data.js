@@ -0,0 +1,696 @@
+// Bundled grammar guide for the grammar explainer. Each entry lists the
+// forms it takes in running text as regular expression sources; they are
+// matched against the selected text as written, so they cover common
+// conjugations and kana/kanji spellings rather than dictionary forms only.
+// level is the JLPT level the pattern is usually taught at.
+
+const GRAMMAR_POINTS = [
+  {
+    pattern: "〜ている",
+    level: 5,
+    meaning: "is doing (ongoing action), or a state that results from an action",
+    formation: "Verb て-form + いる",
+    forms: ["[てで]い(?:る|ます|ました|ません|た|ない|なかった|て)"],
+    examples: [
+      { japanese: "弟は今テレビを見ている。", english: "My little brother is watching TV now." },
+      { japanese: "窓が開いています。", english: "The window is open." },
+    ],
+  },
+  {
+    pattern: "〜たい",
+    level: 5,
+    meaning: "want to do",
+    formation: "Verb ます-stem + たい",
+    forms: ["たい(?:です)?(?![ぁ-ゖ])", "たく(?:ない|て|なかった)", "たかった"],
+    examples: [
+      { japanese: "夏休みに北海道へ行きたい。", english: "I want to go to Hokkaido during the summer holidays." },
+      { japanese: "今日は何も食べたくない。", english: "I don't want to eat anything today." },
+    ],
+  },
+  {
+    pattern: "〜ましょう",
+    level: 5,
+    meaning: "let's do; shall we",
+    formation: "Verb ます-stem + ましょう",
+    forms: ["ましょう"],
+    examples: [
+      { japanese: "駅まで一緒に歩きましょう。", english: "Let's walk to the station together." },
+      { japanese: "窓を閉めましょうか。", english: "Shall I close the window?" },
+    ],
+  },
+  {
+    pattern: "〜ながら",
+    level: 5,
+    meaning: "while doing (two actions by the same person at once)",
+    formation: "Verb ます-stem + ながら",
+    forms: ["ながら"],
+    examples: [
+      { japanese: "音楽を聞きながら勉強する。", english: "I study while listening to music." },
+      { japanese: "彼は笑いながら話した。", english: "He talked while laughing." },
+    ],
+  },
+  {
+    pattern: "〜てはいけない",
+    level: 5,
+    meaning: "must not do",
+    formation: "Verb て-form + はいけない",
+    forms: ["[てで]は(?:いけ|なら|だめ|ダメ)"],
+    examples: [
+      { japanese: "ここで写真を撮ってはいけません。", english: "You must not take photos here." },
+      { japanese: "授業中に寝てはだめだ。", english: "You can't sleep during class." },
+    ],
+  },
+  {
+    pattern: "〜たことがある",
+    level: 4,
+    meaning: "have done before (experience)",
+    formation: "Verb た-form + ことがある",
+    forms: ["[ただ]ことが(?:ある|あり|あっ|ない|なかっ)"],
+    examples: [
+      { japanese: "富士山に登ったことがある。", english: "I have climbed Mt. Fuji." },
+      { japanese: "納豆を食べたことがありません。", english: "I have never eaten natto." },
+    ],
+  },
+  {
+    pattern: "〜のは初めてだ",
+    level: 4,
+    meaning: "it's the first time that ...",
+    formation: "Plain form + のは初めてだ",
+    forms: ["のは(?:初めて|はじめて)"],
+    examples: [
+      { japanese: "一人で海外に行くのは初めてだ。", english: "It's my first time going abroad alone." },
+      { japanese: "こんなにきれいな星を見たのは初めてです。", english: "It's the first time I've seen stars this beautiful." },
+    ],
+  },
+  {
+    pattern: "〜てもいい",
+    level: 4,
+    meaning: "may do; it's all right to do",
+    formation: "Verb て-form + もいい",
+    forms: ["[てで]も(?:いい|よい|よろしい|かまわない|構わない)"],
+    examples: [
+      { japanese: "この部屋を使ってもいいですか。", english: "May I use this room?" },
+      { japanese: "明日は来なくてもかまわない。", english: "It's fine if you don't come tomorrow." },
+    ],
+  },
+  {
+    pattern: "〜なければならない",
+    level: 4,
+    meaning: "must do; have to",
+    formation: "Verb ない-form minus い + ければならない",
+    forms: ["なければ(?:なら|いけ)(?:ない|ません|なかった)", "なくては(?:なら|いけ)(?:ない|ません|なかった)", "なきゃ", "なくちゃ"],
+    examples: [
+      { japanese: "明日は六時に起きなければならない。", english: "I have to get up at six tomorrow." },
+      { japanese: "薬を飲まなくてはいけません。", english: "You must take your medicine." },
+    ],
+  },
+  {
+    pattern: "〜てしまう",
+    level: 4,
+    meaning: "to end up doing; to do completely (often with regret)",
+    formation: "Verb て-form + しまう (casual: 〜ちゃう / 〜じゃう)",
+    forms: ["[てで]しま(?:う|った|います|いました|って)", "[ちじ]ゃ(?:う|った)"],
+    examples: [
+      { japanese: "電車に傘を忘れてしまった。", english: "I left my umbrella on the train." },
+      { japanese: "ケーキを全部食べちゃった。", english: "I ate the whole cake." },
+    ],
+  },
+  {
+    pattern: "〜ておく",
+    level: 4,
+    meaning: "to do in advance; to leave something as it is",
+    formation: "Verb て-form + おく (casual: 〜とく)",
+    forms: ["[てで]お(?:く|いた|きます|きました|いて)"],
+    examples: [
+      { japanese: "旅行の前にホテルを予約しておく。", english: "I'll book a hotel before the trip." },
+      { japanese: "窓は開けておいてください。", english: "Please leave the window open." },
+    ],
+  },
+  {
+    pattern: "〜だろう / 〜でしょう",
+    level: 4,
+    meaning: "probably; I suppose",
+    formation: "Plain form (な-adjectives and nouns without だ) + だろう / でしょう",
+    forms: ["だろう", "でしょう"],
+    examples: [
+      { japanese: "明日は雨が降るだろう。", english: "It will probably rain tomorrow." },
+      { japanese: "彼ももう着いたでしょう。", english: "He has probably arrived by now." },
+    ],
+  },
+  {
+    pattern: "〜かもしれない",
+    level: 4,
+    meaning: "might; maybe",
+    formation: "Plain form (な-adjectives and nouns without だ) + かもしれない",
+    forms: ["かもしれ(?:ない|ません|なかった)"],
+    examples: [
+      { japanese: "午後から雪が降るかもしれない。", english: "It might snow from the afternoon." },
+      { japanese: "その話は本当かもしれません。", english: "That story may be true." },
+    ],
+  },
+  {
+    pattern: "〜ようになる",
+    level: 4,
+    meaning: "to come to do; to become able to",
+    formation: "Verb dictionary or potential form + ようになる",
+    forms: ["ように(?:なる|なった|なって|なります|なりました)"],
+    examples: [
+      { japanese: "毎日練習して、泳げるようになった。", english: "I practised every day and became able to swim." },
+      { japanese: "最近、野菜を食べるようになりました。", english: "Recently I've started eating vegetables." },
+    ],
+  },
+  {
+    pattern: "〜ことにする",
+    level: 4,
+    meaning: "to decide to do",
+    formation: "Verb dictionary or ない-form + ことにする",
+    forms: ["ことに(?:する|した|して|します|しました)"],
+    examples: [
+      { japanese: "来年、留学することにした。", english: "I decided to study abroad next year." },
+      { japanese: "もうお酒は飲まないことにします。", english: "I've decided not to drink any more." },
+    ],
+  },
+  {
+    pattern: "〜ことになる",
+    level: 4,
+    meaning: "it has been decided that; it turns out that",
+    formation: "Verb dictionary or ない-form + ことになる",
+    forms: ["ことに(?:なる|なった|なって|なります|なりました|なっています)"],
+    examples: [
+      { japanese: "来月から大阪で働くことになった。", english: "It's been decided that I'll work in Osaka from next month." },
+      { japanese: "会議は中止することになりました。", english: "The meeting has been cancelled." },
+    ],
+  },
+  {
+    pattern: "〜ために",
+    level: 4,
+    meaning: "in order to; because of",
+    formation: "Verb dictionary form / Noun + の + ために",
+    forms: ["ために", "ため(?:だ|です|だった)"],
+    examples: [
+      { japanese: "家を買うために貯金している。", english: "I'm saving money to buy a house." },
+      { japanese: "事故のために電車が遅れた。", english: "The train was delayed because of an accident." },
+    ],
+  },
+  {
+    pattern: "〜すぎる",
+    level: 4,
+    meaning: "too much; overly",
+    formation: "Verb ます-stem / い-adjective minus い / な-adjective + すぎる",
+    forms: ["(?:す|過)ぎ(?:る|た|て|ます|ました)"],
+    examples: [
+      { japanese: "昨日は食べすぎた。", english: "I ate too much yesterday." },
+      { japanese: "この問題は難しすぎます。", english: "This problem is too difficult." },
+    ],
+  },
+  {
+    pattern: "〜やすい / 〜にくい",
+    level: 4,
+    meaning: "easy to do / hard to do",
+    formation: "Verb ます-stem + やすい / にくい",
+    forms: ["やす(?:い|く|かった)", "にく(?:い|く|かった)"],
+    examples: [
+      { japanese: "このペンはとても書きやすい。", english: "This pen is very easy to write with." },
+      { japanese: "彼の字は読みにくい。", english: "His handwriting is hard to read." },
+    ],
+  },
+  {
+    pattern: "〜たら",
+    level: 4,
+    meaning: "if; when (after something happens)",
+    formation: "Verb / adjective た-form + ら",
+    forms: ["[ただ]ら(?![ぁ-ゖ])"],
+    examples: [
+      { japanese: "駅に着いたら電話してください。", english: "Please call me when you get to the station." },
+      { japanese: "安かったら買います。", english: "I'll buy it if it's cheap." },
+    ],
+  },
+  {
+    pattern: "〜と思う",
+    level: 4,
+    meaning: "I think that ...",
+    formation: "Plain form + と思う",
+    forms: ["と思(?:う|います|った|いました|って)"],
+    examples: [
+      { japanese: "彼はもう帰ったと思う。", english: "I think he has already gone home." },
+      { japanese: "この映画は面白いと思います。", english: "I think this film is interesting." },
+    ],
+  },
+  {
+    pattern: "〜について",
+    level: 4,
+    meaning: "about; concerning",
+    formation: "Noun + について",
+    forms: ["について", "についての"],
+    examples: [
+      { japanese: "日本の歴史について調べている。", english: "I'm researching Japanese history." },
+      { japanese: "環境問題についての本を読んだ。", english: "I read a book about environmental issues." },
+    ],
+  },
+  {
+    pattern: "〜ところだ",
+    level: 4,
+    meaning: "about to / in the middle of / just did (depending on the verb form)",
+    formation: "Verb dictionary form / ている form / た-form + ところだ",
+    forms: ["ところ(?:だ|です|だった|でした)"],
+    examples: [
+      { japanese: "今から出かけるところだ。", english: "I'm just about to go out." },
+      { japanese: "ちょうど宿題が終わったところです。", english: "I've just finished my homework." },
+    ],
+  },
+  {
+    pattern: "〜そうだ (looks like)",
+    level: 4,
+    meaning: "looks like; seems about to",
+    formation: "Verb ます-stem / adjective stem + そうだ",
+    // Only after a stem: a kanji (見そう, 高そう, 元気そう), an i- or e-row
+    // kana (降りそう, 食べそう) or さ of なさそう/よさそう. Stems in い (言いそう)
+    // and に (死にそう) are left out: they can't be told from an i-adjective
+    // (高いそうだ) or the particle (本当にそうだ).
+    forms: ["(?<=[\u4e00-\u9fff々きぎしじちびみりけげせてねべめれえかさ])そう(?:だ|です|な|に)(?!な[るっり])"],
+    examples: [
+      { japanese: "このケーキはおいしそうだ。", english: "This cake looks delicious." },
+      { japanese: "今にも雨が降りそうです。", english: "It looks like it's going to rain any moment." },
+    ],
+  },
+  {
+    pattern: "〜そうだ (I hear)",
+    level: 4,
+    meaning: "I hear that; reportedly",
+    formation: "Plain form (verb, い-adjective, noun / な-adjective + だ) + そうだ",
+    // After a plain-form ending: u-row verbs, past た/だ, the copula だ,
+    // ない and i-adjectives in しい/きい/さい/るい
+    forms: ["(?<=[うくぐすつぬぶむるただ]|ない|[しきさる]い)そう(?:だ|です)(?![しっ])"],
+    examples: [
+      { japanese: "天気予報によると、明日は雨が降るそうだ。", english: "According to the forecast, it's going to rain tomorrow." },
+      { japanese: "あの店のラーメンはおいしいそうです。", english: "I hear the ramen at that shop is good." },
+    ],
+  },
+  {
+    pattern: "〜そうになる",
+    level: 3,
+    meaning: "to almost do; to be on the verge of",
+    formation: "Verb ます-stem + そうになる",
+    forms: ["そうにな(?:る|った|って|ります|りました)"],
+    examples: [
+      { japanese: "階段で転びそうになった。", english: "I almost fell on the stairs." },
+      { japanese: "感動して泣きそうになりました。", english: "I was so moved I nearly cried." },
+    ],
+  },
+  {
+    pattern: "〜ようにする",
+    level: 3,
+    meaning: "to make a point of doing; to try to",
+    formation: "Verb dictionary or ない-form + ようにする",
+    forms: ["ように(?:する|した|して|します|しました|しています)"],
+    examples: [
+      { japanese: "毎朝野菜を食べるようにしている。", english: "I make a point of eating vegetables every morning." },
+      { japanese: "夜遅くまで起きないようにします。", english: "I'll try not to stay up late." },
+    ],
+  },
+  {
+    pattern: "〜ようだ",
+    level: 3,
+    meaning: "seems; appears; like",
+    formation: "Plain form / Noun + の + ようだ",
+    forms: ["よう(?:だ|です|な|に)(?!な[るっり]|[しす])"],
+    examples: [
+      { japanese: "外は雨が降っているようだ。", english: "It seems to be raining outside." },
+      { japanese: "まるで夢のような一日だった。", english: "It was a day just like a dream." },
+    ],
+  },
+  {
+    pattern: "〜ばかり",
+    level: 3,
+    meaning: "nothing but; only; just did",
+    formation: "Noun + ばかり / Verb て-form + ばかり / Verb た-form + ばかり",
+    forms: ["ばかり"],
+    examples: [
+      { japanese: "弟はゲームばかりしている。", english: "My brother does nothing but play games." },
+      { japanese: "日本に来たばかりです。", english: "I've only just come to Japan." },
+    ],
+  },
+  {
+    pattern: "〜ば〜ほど",
+    level: 3,
+    meaning: "the more ..., the more ...",
+    formation: "Verb ば-form + the same verb dictionary form + ほど",
+    forms: ["ば[^。、]{1,6}?ほど"],
+    examples: [
+      { japanese: "練習すればするほど上手になる。", english: "The more you practise, the better you get." },
+      { japanese: "考えれば考えるほど分からなくなる。", english: "The more I think about it, the less I understand." },
+    ],
+  },
+  {
+    pattern: "〜はずだ",
+    level: 3,
+    meaning: "should be; is expected to",
+    formation: "Plain form / Noun + の + はずだ",
+    forms: ["はず(?:だ|です|がない|がありません|では|だった)"],
+    examples: [
+      { japanese: "荷物は明日届くはずだ。", english: "The package should arrive tomorrow." },
+      { japanese: "彼がそんなことを言うはずがない。", english: "There's no way he would say such a thing." },
+    ],
+  },
+  {
+    pattern: "〜わけではない",
+    level: 3,
+    meaning: "it doesn't mean that; not necessarily",
+    formation: "Plain form + わけではない",
+    forms: ["わけ(?:では|じゃ)(?:ない|ありません|なかった)"],
+    examples: [
+      { japanese: "肉が嫌いなわけではない。", english: "It's not that I dislike meat." },
+      { japanese: "全部分かったわけじゃありません。", english: "It doesn't mean I understood everything." },
+    ],
+  },
+  {
+    pattern: "〜わけがない",
+    level: 3,
+    meaning: "there's no way that",
+    formation: "Plain form + わけがない",
+    forms: ["わけが(?:ない|ありません)"],
+    examples: [
+      { japanese: "こんなに難しい問題が解けるわけがない。", english: "There's no way I can solve such a hard problem." },
+      { japanese: "彼が嘘をつくわけがありません。", english: "There's no way he would lie." },
+    ],
+  },
+  {
+    pattern: "〜に違いない",
+    level: 3,
+    meaning: "must be; no doubt",
+    formation: "Plain form (な-adjectives and nouns without だ) + に違いない",
+    forms: ["に(?:違い|ちがい)(?:ない|ありません|なかった)"],
+    examples: [
+      { japanese: "電気がついているから、家にいるに違いない。", english: "The lights are on, so they must be home." },
+      { japanese: "あの人は先生に違いありません。", english: "That person must be a teacher." },
+    ],
+  },
+  {
+    pattern: "〜べきだ",
+    level: 3,
+    meaning: "should; ought to",
+    formation: "Verb dictionary form + べきだ (する → するべき / すべき)",
+    forms: ["べき(?:だ|です|では|じゃ|だった)?"],
+    examples: [
+      { japanese: "約束は守るべきだ。", english: "You should keep your promises." },
+      { japanese: "そんなことは言うべきではない。", english: "You shouldn't say such things." },
+    ],
+  },
+  {
+    pattern: "〜によって",
+    level: 3,
+    meaning: "by; depending on; due to",
+    formation: "Noun + によって / により / による",
+    forms: ["によって", "により", "による"],
+    examples: [
+      { japanese: "この絵はピカソによって描かれた。", english: "This painting was painted by Picasso." },
+      { japanese: "人によって考え方が違う。", english: "Ways of thinking differ from person to person." },
+    ],
+  },
+  {
+    pattern: "〜に対して",
+    level: 3,
+    meaning: "towards; against; in contrast to",
+    formation: "Noun + に対して / に対する",
+    forms: ["に対(?:して|する|し)"],
+    examples: [
+      { japanese: "お客様に対して失礼なことを言ってはいけない。", english: "You mustn't say rude things to customers." },
+      { japanese: "兄が静かなのに対して、弟はよく話す。", english: "Whereas the older brother is quiet, the younger one talks a lot." },
+    ],
+  },
+  {
+    pattern: "〜ものの",
+    level: 2,
+    meaning: "although; even though",
+    formation: "Plain form + ものの",
+    forms: ["ものの"],
+    examples: [
+      { japanese: "約束はしたものの、行けそうにない。", english: "Although I promised, it doesn't look like I can go." },
+      { japanese: "車の免許は持っているものの、ほとんど運転しない。", english: "Although I have a driving licence, I hardly ever drive." },
+    ],
+  },
+  {
+    pattern: "〜にもかかわらず",
+    level: 2,
+    meaning: "despite; in spite of",
+    formation: "Plain form / Noun + にもかかわらず",
+    forms: ["にも(?:かかわ|拘)らず"],
+    examples: [
+      { japanese: "雨にもかかわらず、試合は行われた。", english: "Despite the rain, the match went ahead." },
+      { japanese: "注意したにもかかわらず、彼はまた遅刻した。", english: "Even though I warned him, he was late again." },
+    ],
+  },
+  {
+    pattern: "〜ざるを得ない",
+    level: 2,
+    meaning: "cannot help but; have no choice but to",
+    formation: "Verb ない-stem + ざるを得ない (する → せざるを得ない)",
+    forms: ["ざるを(?:得|え)(?:ない|ません|なかった|なく)"],
+    examples: [
+      { japanese: "社長の命令なので、行かざるを得ない。", english: "It's the president's order, so I have no choice but to go." },
+      { japanese: "台風のため、旅行を中止せざるを得なかった。", english: "Because of the typhoon, we had to cancel the trip." },
+    ],
+  },
+  {
+    pattern: "〜わけにはいかない",
+    level: 2,
+    meaning: "cannot (for social or moral reasons)",
+    formation: "Verb dictionary or ない-form + わけにはいかない",
+    forms: ["わけにはいか(?:ない|ず|なかった)", "わけにはいきません"],
+    examples: [
+      { japanese: "明日は試験だから、遊ぶわけにはいかない。", english: "I have an exam tomorrow, so I can't go out and play." },
+      { japanese: "大切な会議なので、休むわけにはいきません。", english: "It's an important meeting, so I can't take the day off." },
+    ],
+  },
+  {
+    pattern: "〜つつある",
+    level: 2,
+    meaning: "is in the process of; gradually",
+    formation: "Verb ます-stem + つつある",
+    forms: ["つつ(?:ある|あります|あった)"],
+    examples: [
+      { japanese: "この町の人口は減りつつある。", english: "The population of this town is steadily decreasing." },
+      { japanese: "景気は回復しつつあります。", english: "The economy is recovering." },
+    ],
+  },
+  {
+    pattern: "〜つつも",
+    level: 2,
+    meaning: "although; while (contrary to what one does)",
+    formation: "Verb ます-stem + つつも",
+    forms: ["つつも"],
+    examples: [
+      { japanese: "体に悪いと知りつつも、タバコをやめられない。", english: "Although I know it's bad for me, I can't give up smoking." },
+      { japanese: "早く寝ようと思いつつも、つい夜更かししてしまう。", english: "I mean to go to bed early, but I always end up staying up late." },
+    ],
+  },
+  {
+    pattern: "〜どころか",
+    level: 2,
+    meaning: "far from; let alone; on the contrary",
+    formation: "Plain form / Noun + どころか",
+    forms: ["どころか"],
+    examples: [
+      { japanese: "雨は止むどころか、ますます強くなった。", english: "Far from stopping, the rain grew even heavier." },
+      { japanese: "漢字どころか、ひらがなも読めない。", english: "I can't even read hiragana, let alone kanji." },
+    ],
+  },
+  {
+    pattern: "〜からこそ",
+    level: 2,
+    meaning: "precisely because",
+    formation: "Plain form + からこそ",
+    forms: ["からこそ"],
+    examples: [
+      { japanese: "好きだからこそ、厳しく言うのだ。", english: "It's precisely because I care that I'm strict." },
+      { japanese: "努力したからこそ、合格できた。", english: "I passed precisely because I worked hard." },
+    ],
+  },
+  {
+    pattern: "〜とは限らない",
+    level: 2,
+    meaning: "not necessarily; not always",
+    formation: "Plain form + とは限らない",
+    forms: ["とは(?:限|かぎ)(?:ら(?:ない|ず)|りません)"],
+    examples: [
+      { japanese: "高いものが良いものとは限らない。", english: "Expensive things aren't necessarily good." },
+      { japanese: "先生がいつも正しいとは限りません。", english: "Teachers aren't always right." },
+    ],
+  },
+  {
+    pattern: "〜に限らず",
+    level: 2,
+    meaning: "not only; not limited to",
+    formation: "Noun + に限らず",
+    forms: ["に(?:限|かぎ)らず"],
+    examples: [
+      { japanese: "この店は若者に限らず、お年寄りにも人気がある。", english: "This shop is popular not only with young people but with the elderly too." },
+      { japanese: "週末に限らず、平日も混んでいる。", english: "It's crowded not just at weekends but on weekdays too." },
+    ],
+  },
+  {
+    pattern: "〜を問わず",
+    level: 2,
+    meaning: "regardless of",
+    formation: "Noun + を問わず",
+    forms: ["を(?:問|と)わず"],
+    examples: [
+      { japanese: "この大会は年齢を問わず参加できる。", english: "Anyone can enter this competition regardless of age." },
+      { japanese: "昼夜を問わず工事が続いている。", english: "Construction continues day and night." },
+    ],
+  },
+  {
+    pattern: "〜に伴って",
+    level: 2,
+    meaning: "along with; as ... changes",
+    formation: "Noun / Verb dictionary form + に伴って",
+    forms: ["に(?:伴|ともな)(?:って|い|う)"],
+    examples: [
+      { japanese: "人口の増加に伴って、住宅が不足している。", english: "With the population increase, there is a housing shortage." },
+      { japanese: "技術の進歩に伴い、生活が便利になった。", english: "As technology advanced, life became more convenient." },
+    ],
+  },
+  {
+    pattern: "〜ずにはいられない",
+    level: 2,
+    meaning: "cannot help doing",
+    formation: "Verb ない-stem + ずにはいられない (する → せずにはいられない)",
+    forms: ["ずにはいられ(?:ない|なかった|ません)"],
+    examples: [
+      { japanese: "その話を聞いて、笑わずにはいられなかった。", english: "Hearing that story, I couldn't help laughing." },
+      { japanese: "彼の演奏には感動せずにはいられない。", english: "You can't help being moved by his performance." },
+    ],
+  },
+  {
+    pattern: "〜かねない",
+    level: 2,
+    meaning: "might well (something bad); could easily",
+    formation: "Verb ます-stem + かねない",
+    forms: ["かね(?:ない|ません)"],
+    examples: [
+      { japanese: "そんな運転をしたら、事故を起こしかねない。", english: "Driving like that, you could easily cause an accident." },
+      { japanese: "無理をすると、体を壊しかねません。", english: "If you overdo it, you might ruin your health." },
+    ],
+  },
+  {
+    pattern: "〜を余儀なくされる",
+    level: 1,
+    meaning: "to be forced to; to have no choice but to",
+    formation: "Noun + を余儀なくされる",
+    forms: ["を余儀なく(?:され|させ)"],
+    examples: [
+      { japanese: "大雪のため、列車は運休を余儀なくされた。", english: "Because of the heavy snow, the trains were forced to stop running." },
+      { japanese: "資金不足で計画の変更を余儀なくされた。", english: "A lack of funds forced us to change the plan." },
+    ],
+  },
+  {
+    pattern: "〜ならではの",
+    level: 1,
+    meaning: "unique to; that only ... can offer",
+    formation: "Noun + ならではの",
+    forms: ["ならでは"],
+    examples: [
+      { japanese: "これは京都ならではの風景だ。", english: "This is scenery you can only find in Kyoto." },
+      { japanese: "子どもならではの自由な発想に驚いた。", english: "I was amazed by the free thinking only a child could have." },
+    ],
+  },
+  {
+    pattern: "〜をもって",
+    level: 1,
+    meaning: "with; by means of; as of (formal)",
+    formation: "Noun + をもって",
+    forms: ["をもって", "を以て"],
+    examples: [
+      { japanese: "本日をもって閉店いたします。", english: "We will close as of today." },
+      { japanese: "書面をもってお知らせします。", english: "We will inform you in writing." },
+    ],
+  },
+  {
+    pattern: "〜に至るまで",
+    level: 1,
+    meaning: "even; all the way to",
+    formation: "Noun + に至るまで",
+    forms: ["に(?:至|いた)るまで"],
+    examples: [
+      { japanese: "子どもから大人に至るまで、みんなが楽しめる。", english: "Everyone from children to adults can enjoy it." },
+      { japanese: "服装から言葉遣いに至るまで注意された。", english: "I was told off about everything from my clothes to my language." },
+    ],
+  },
+  {
+    pattern: "〜とはいえ",
+    level: 1,
+    meaning: "although; that said",
+    formation: "Plain form / Noun + とはいえ",
+    forms: ["とは(?:いえ|言え)"],
+    examples: [
+      { japanese: "春とはいえ、まだ寒い日が続いている。", english: "Although it's spring, the cold days continue." },
+      { japanese: "冗談とはいえ、言い過ぎだ。", english: "Even if it was a joke, that went too far." },
+    ],
+  },
+  {
+    pattern: "〜んばかり",
+    level: 1,
+    meaning: "as if about to; almost",
+    formation: "Verb ない-stem + んばかり (する → せんばかり)",
+    forms: ["んばかり"],
+    examples: [
+      { japanese: "彼女は泣き出さんばかりの顔をしていた。", english: "She looked as if she was about to burst into tears." },
+      { japanese: "あふれんばかりの拍手が起こった。", english: "Overwhelming applause broke out." },
+    ],
+  },
+  {
+    pattern: "〜ずじまい",
+    level: 1,
+    meaning: "ended up never doing",
+    formation: "Verb ない-stem + ずじまい (する → せずじまい)",
+    forms: ["ずじまい"],
+    examples: [
+      { japanese: "忙しくて、結局その本は読まずじまいだった。", english: "I was so busy that I never ended up reading that book." },
+      { japanese: "彼の本当の気持ちは聞かずじまいだった。", english: "I never got to ask how he really felt." },
+    ],
+  },
+  {
+    pattern: "〜てやまない",
+    level: 1,
+    meaning: "never stop (hoping, wishing); sincerely",
+    formation: "Verb て-form + やまない",
+    forms: ["[てで]や(?:まない|まず|みません)"],
+    examples: [
+      { japanese: "皆様のご健康を願ってやみません。", english: "I sincerely wish you all good health." },
+      { japanese: "彼は音楽を愛してやまない。", english: "He loves music with all his heart." },
+    ],
+  },
+  {
+    pattern: "〜までもない",
+    level: 1,
+    meaning: "there's no need to",
+    formation: "Verb dictionary form + までもない",
+    forms: ["までも(?:ない|ありません|なく)"],
+    examples: [
+      { japanese: "言うまでもなく、健康は大切だ。", english: "Needless to say, health is important." },
+      { japanese: "その程度の怪我なら、病院に行くまでもない。", english: "There's no need to go to hospital for an injury like that." },
+    ],
+  },
+  {
+    pattern: "〜をものともせず",
+    level: 1,
+    meaning: "in defiance of; making light of",
+    formation: "Noun + をものともせず",
+    forms: ["をものともせず"],
+    examples: [
+      { japanese: "彼は怪我をものともせず、最後まで走った。", english: "Making nothing of his injury, he ran to the end." },
+      { japanese: "嵐をものともせず、船は港を出た。", english: "In defiance of the storm, the ship left port." },
+    ],
+  },
+  {
+    pattern: "〜べからず",
+    level: 1,
+    meaning: "must not (signs and formal prohibitions)",
+    formation: "Verb dictionary form + べからず (する → するべからず / すべからず)",
+    forms: ["べから(?:ず|ざる)"],
+    examples: [
+      { japanese: "芝生に入るべからず。", english: "Keep off the grass." },
+      { japanese: "それは許すべからざる行為だ。", english: "That is an unforgivable act." },
+    ],
+  },
+];
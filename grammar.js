@@ -0,0 +1,105 @@
+// Explains the grammar in a phrase the reader selects. Patterns come from
+// the bundled guide in grammar-data.js where it has them; the model is only
+// asked about what the guide doesn't cover.
+
+const GRAMMAR_SYSTEM_PROMPT = `You are a Japanese language teacher explaining grammar to a learner.
+
+Your response must be a valid JSON object with this exact structure:
+{
+  "points": [
+    {
+      "pattern": "The grammar pattern in its dictionary form, e.g. 〜ざるを得ない",
+      "level": 2,
+      "meaning": "Short English explanation",
+      "formation": "How it attaches, e.g. Verb ない-stem + ざるを得ない",
+      "examples": [{ "japanese": "A short example sentence", "english": "Its translation" }]
+    }
+  ]
+}
+
+Rules:
+- Explain grammar patterns only, not vocabulary
+- "level" is the JLPT level (5 to 1) the pattern is usually taught at, or null
+- Give two or three example sentences per pattern, different from the selected text
+- Leave out patterns the user lists as already explained`;
+
+class GrammarExplainer {
+  constructor(llm) {
+    this.llm = llm;
+    this.points = GRAMMAR_POINTS.map((point) => ({ ...point, regex: new RegExp(point.forms.join("|"), "g") }));
+    this.answers = new Map();
+  }
+
+  // Guide entries used in the text, in reading order, with the matched text
+  // and its position. Where matches overlap the longer one wins, so
+  // そうになった is 〜そうになる rather than 〜そうだ.
+  match(text) {
+    const matches = [];
+    this.points.forEach((point) => {
+      for (const found of text.matchAll(point.regex)) {
+        matches.push({ point, matched: found[0], start: found.index, end: found.index + found[0].length });
+      }
+    });
+
+    const kept = [];
+    matches
+      .sort((a, b) => (b.end - b.start) - (a.end - a.start) || a.start - b.start)
+      .forEach((match) => {
+        if (!kept.some((other) => match.start < other.end && match.end > other.start)) kept.push(match);
+      });
+
+    return kept.sort((a, b) => a.start - b.start).map(({ point, matched, start, end }) => ({
+      pattern: point.pattern,
+      level: point.level,
+      meaning: point.meaning,
+      formation: point.formation,
+      examples: point.examples,
+      matched,
+      start,
+      end,
+      source: "guide",
+    }));
+  }
+
+  // Asks the model about a selection, leaving out the patterns already
+  // explained from the guide. Answers are kept for the session.
+  async ask(selection, sentence, explained = []) {
+    const key = `${selection}\n${explained.join("\n")}`;
+    if (this.answers.has(key)) return this.answers.get(key);
+
+    const lines = [`Explain the grammar in this phrase: ${selection}`];
+    if (sentence && sentence !== selection) lines.push(`It comes from this sentence: ${sentence}`);
+    if (explained.length > 0) lines.push(`Already explained: ${explained.join(", ")}`);
+
+    const response = await this.llm.completeJson("grammar", [
+      { role: "system", content: GRAMMAR_SYSTEM_PROMPT },
+      { role: "user", content: lines.join("\n") },
+    ], { context: { selection, explained } });
+
+    const points = this.normalize(response.points);
+    this.answers.set(key, points);
+    return points;
+  }
+
+  // Drops malformed entries rather than failing the whole answer
+  normalize(points) {
+    if (!Array.isArray(points)) return [];
+    return points
+      .filter((point) => point && typeof point.pattern === "string" && point.pattern.trim())
+      .map((point) => {
+        const level = Number(point.level);
+        return {
+          pattern: point.pattern.trim(),
+          level: Number.isInteger(level) && level >= 1 && level <= 5 ? level : null,
+          meaning: typeof point.meaning === "string" ? point.meaning : "",
+          formation: typeof point.formation === "string" ? point.formation : "",
+          examples: Array.isArray(point.examples)
+            ? point.examples.filter((example) => example && typeof example.japanese === "string")
+              .map((example) => ({ japanese: example.japanese, english: typeof example.english === "string" ? example.english : "" }))
+            : [],
+          matched: null,
+          source: "llm",
+        };
+      });
+  }
+}
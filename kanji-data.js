@@ -0,0 +1,105 @@
+// Bundled kanji data for the word popup, so the breakdown works before the
+// full KANJIDIC and KanjiVG files are imported.
+//
+// KANJIDIC_SAMPLE uses the KANJIDIC text format, one kanji per line: the
+// kanji, its JIS code, then U (Unicode), B (classical radical), G (school
+// grade, 8 = secondary Jōyō), S (strokes) and J (pre-2010 JLPT level, 4 =
+// easiest) codes, on readings in katakana, kun readings in hiragana (okurigana
+// after the dot) and {meanings}. It covers the kanji of the offline sample
+// story.
+const KANJIDIC_SAMPLE = `
+昔 404E U6614 B72 G3 S8 J2 セキ シャク むかし {once upon a time} {antiquity} {old times}
+美 487E U7f8e B123 G3 S9 J2 ビ ミ うつく.しい {beauty} {beautiful}
+都 4554 U90fd B163 G3 S11 J3 ト ツ みやこ {metropolis} {capital}
+市 3B54 U5e02 B50 G2 S5 J3 シ いち {market} {city} {town}
+古 3845 U53e4 B30 G2 S5 J4 コ ふる.い ふる- -ふる.す {old}
+代 4265 U4ee3 B9 G3 S5 J3 ダイ タイ か.わる か.わり か.える よ しろ {substitute} {change} {generation} {fee}
+続 4233 U7d9a B120 G4 S13 J2 ゾク ショク コウ キョウ つづ.く つづ.ける つぐ.ない {continue} {series} {sequel}
+歴 4E72 U6b74 B77 G5 S14 J2 レキ レッキ {curriculum} {continuation} {passage of time}
+史 3B4B U53f2 B30 G5 S5 J2 シ {history} {chronicle}
+文 4A38 U6587 B67 G1 S4 J3 ブン モン ふみ あや {sentence} {literature} {style} {art}
+化 323D U5316 B21 G3 S4 J3 カ ケ ば.ける ば.かす ふ.ける け.する {change} {take the form of} {influence} {enchant}
+有 4D2D U6709 B74 G3 S6 J3 ユウ ウ あ.る {possess} {have} {exist}
+名 4C3E U540d B30 G1 S6 J4 メイ ミョウ な -な {name} {noted} {distinguished} {reputation}
+日 467C U65e5 B72 G1 S4 J4 ニチ ジツ ひ -び -か {day} {sun} {Japan} {counter for days}
+田 4544 U7530 B102 G1 S5 J4 デン た {rice field} {rice paddy}
+中 4366 U4e2d B2 G1 S4 J4 チュウ なか うち あた.る {in} {inside} {middle} {mean} {center}
+前 4130 U524d B18 G2 S9 J4 ゼン まえ -まえ {in front} {before}
+若 3C63 U82e5 B140 G6 S8 J2 ジャク ニャク ニャ わか.い わか- も.しくわ も.し {young} {if} {perhaps}
+本 4B5C U672c B75 G1 S5 J4 ホン もと {book} {present} {main} {origin} {true} {real}
+人 3F4D U4eba B9 G1 S2 J4 ジン ニン ひと -り -と {person}
+観 3451 U89b3 B147 G4 S18 J2 カン み.る しめ.す {outlook} {look} {appearance} {view}
+光 3877 U5149 B10 G2 S6 J3 コウ ひか.る ひかり {ray} {light}
+客 3552 U5ba2 B40 G3 S9 J3 キャク カク {guest} {visitor} {customer}
+訪 4B2C U8a2a B149 G6 S11 J2 ホウ おとず.れる たず.ねる と.う {call on} {visit} {look up}
+彼 4860 U5f7c B60 G8 S8 J2 ヒ かれ かの かの- {he} {that} {the}
+建 377A U5efa B54 G4 S9 J3 ケン コン た.てる た.て -だ.て た.つ {build}
+築 435B U7bc9 B118 G5 S16 J2 チク きず.く {fabricate} {build} {construct}
+非 4873 U975e B175 G5 S8 J2 ヒ あら.ず {un-} {mistake} {negative} {injustice}
+常 3E6F U5e38 B50 G5 S11 J2 ジョウ つね とこ- {usual} {ordinary} {normal} {regular}
+興 363D U8208 B134 G5 S16 J2 コウ キョウ おこ.る おこ.す {entertain} {revive} {interest}
+味 4C23 U5473 B30 G3 S8 J3 ミ あじ あじ.わう {flavor} {taste}
+見 382B U898b B147 G1 S7 J4 ケン み.る み.える み.せる {see} {hopes} {chances} {idea} {opinion}
+帝 446B U5e1d B50 G8 S9 J1 テイ みかど {sovereign} {the emperor}
+国 3971 U56fd B31 G2 S8 J4 コク くに {country}
+偉 304E U5049 B9 G8 S12 J1 イ えら.い {admirable} {greatness} {remarkable} {eminent}
+大 4267 U5927 B37 G1 S3 J4 ダイ タイ おお- おお.きい -おお.いに {large} {big}
+圧 3035 U5727 B32 G5 S5 J2 アツ エン オウ お.す へ.す おさ.える お.さえる {pressure} {push} {overwhelm} {oppress}
+倒 455D U5012 B9 G8 S10 J2 トウ たお.れる -だお.れ たお.す {overthrow} {fall} {collapse}
+壮 4154 U58ee B33 G8 S6 J1 ソウ さかん {robust} {manhood} {prosperity}
+物 4A2A U7269 B93 G3 S8 J3 ブツ モツ もの もの- {thing} {object} {matter}
+初 3D69 U521d B18 G4 S7 J3 ショ はじ.め はじ.めて はつ はつ- うい- -そ.める -ぞ.め {first time} {beginning}
+思 3B57 U601d B61 G2 S9 J3 シ おも.う おもえら.く おぼ.す {think}
+読 4649 U8aad B149 G2 S14 J4 ドク トク トウ よ.む -よ.み {read}
+生 4038 U751f B100 G1 S5 J4 セイ ショウ い.きる い.かす い.ける う.まれる う.む お.う は.える なま き {life} {genuine} {birth}
+活 3368 U6d3b B85 G2 S9 J3 カツ い.きる い.かす い.ける {lively} {resuscitation} {being helped} {living}
+学 3358 U5b66 B39 G1 S8 J4 ガク まな.ぶ {study} {learning} {science}
+戦 406F U6226 B62 G4 S13 J2 セン いくさ たたか.う おのの.く そよ.ぐ {war} {battle} {match}
+想 415B U60f3 B61 G3 S13 J2 ソウ ソ おも.う {concept} {think} {idea} {thought}
+像 417C U50cf B9 G5 S14 J2 ゾウ {statue} {picture} {image} {figure} {portrait}
+奮 4A33 U596e B37 G6 S16 J1 フン ふる.う {stirred up} {be invigorated} {flourish}
+後 3865 U5f8c B60 G2 S9 J4 ゴ コウ のち うし.ろ うしろ あと おく.れる {behind} {back} {later}
+礼 4E69 U793c B113 G3 S5 J2 レイ ライ {salute} {bow} {ceremony} {thanks}
+拝 4752 U62dd B64 G6 S8 J1 ハイ おが.む おろが.む {worship} {adore} {pray}
+堂 4632 U5802 B32 G5 S11 J2 ドウ {public chamber} {hall}
+天 4537 U5929 B37 G1 S4 J4 テン あまつ あめ あま- {heavens} {sky} {imperial}
+井 3066 U4e95 B7 G4 S4 J2 セイ ショウ い {well} {town} {community}
+画 3268 U753b B102 G2 S8 J3 ガ カク エ カイ えが.く かく.する かぎ.る はかりごと はか.る {brush-stroke} {picture}
+上 3E65 U4e0a B1 G1 S3 J4 ジョウ ショウ シャン うえ -うえ うわ- かみ あ.げる あ.がる のぼ.る {above} {up}
+芸 375D U82b8 B140 G4 S7 J2 ゲイ ウン う.える のり わざ {technique} {art} {craft} {performance}
+術 3D51 U8853 B144 G5 S11 J2 ジュツ すべ {art} {technique} {skill} {means}
+感 3436 U611f B61 G3 S13 J2 カン {emotion} {feeling} {sensation}
+動 4630 U52d5 B19 G3 S11 J3 ドウ うご.く うご.かす {move} {motion} {change}
+涙 4E5E U6d99 B85 G8 S10 J1 ルイ レイ なみだ {tears} {sympathy}
+出 3D50 U51fa B17 G1 S5 J4 シュツ スイ で.る -で だ.す い.でる {exit} {leave} {go out}
+夕 4D3C U5915 B36 G1 S3 J3 セキ ゆう {evening}
+方 4A7D U65b9 B70 G2 S4 J3 ホウ かた -かた -がた {direction} {person} {alternative}
+泉 4074 U6cc9 B85 G6 S9 J2 セン いずみ {spring} {fountain}
+座 3A42 U5ea7 B53 G6 S10 J2 ザ すわ.る {squat} {seat} {sit}
+一 306C U4e00 B1 G1 S1 J4 イチ イツ ひと- ひと.つ {one}
+振 3F36 U632f B64 G8 S10 J2 シン ふ.る ぶ.る ふ.り -ぶ.り ふ.るう {shake} {wave} {wag} {swing}
+返 4A56 U8fd4 B162 G3 S7 J3 ヘン かえ.す -かえ.す かえ.る -かえ.る {return} {answer} {fade} {repay}
+旅 4E39 U65c5 B70 G3 S10 J3 リョ たび {trip} {travel}
+行 3954 U884c B144 G2 S6 J4 コウ ギョウ アン い.く ゆ.く -ゆ.き おこな.う {going} {journey} {carry out} {line}
+忘 4B3A U5fd8 B61 G6 S7 J3 ボウ わす.れる {forget}
+心 3F34 U5fc3 B61 G2 S4 J3 シン こころ -ごころ {heart} {mind} {spirit}
+`;
+
+// Stroke paths in KanjiVG's 109×109 coordinate space, in stroke order.
+// These are simplified outlines of a few basic kanji; imported KanjiVG data
+// replaces them.
+const KANJIVG_SAMPLE = {
+  "一": ["M14,55 C30,53 70,52 95,53"],
+  "人": ["M54,14 C54,40 44,70 14,93", "M52,48 C62,68 76,84 96,93"],
+  "大": ["M16,40 C40,39 70,38 93,38", "M54,12 C54,50 44,76 14,95", "M55,50 C64,70 78,86 96,95"],
+  "天": ["M24,24 C45,23 66,22 85,22", "M14,50 C40,49 70,48 95,48", "M54,24 C54,56 44,78 14,95", "M55,56 C64,74 78,88 96,95"],
+  "上": ["M48,14 L48,86", "M49,47 L80,46", "M12,88 C40,87 72,86 97,86"],
+  "日": ["M28,18 L28,92", "M28,18 L80,18 L80,92", "M29,55 L79,55", "M29,90 L79,90"],
+  "中": ["M22,34 L22,70", "M22,34 L87,34 L87,70", "M23,68 L86,68", "M54,10 L54,99"],
+  "田": ["M20,20 L20,90", "M20,20 L89,20 L89,90", "M54,21 L54,88", "M21,55 L88,55", "M21,88 L88,88"],
+  "井": ["M16,36 L93,36", "M12,66 L97,66", "M40,12 C40,50 36,78 20,97", "M70,12 L70,97"],
+  "生": ["M36,12 C32,26 24,40 14,50", "M30,36 L88,36", "M22,62 L86,62", "M54,12 L54,92", "M12,92 L97,92"],
+};
+
+// The 214 classical (Kangxi) radicals, in order; KANJIDIC's B code indexes this
+const KANGXI_RADICALS = "一丨丶丿乙亅二亠人儿入八冂冖冫几凵刀力勹匕匚匸十卜卩厂厶又口囗土士夂夊夕大女子宀寸小尢尸屮山巛工己巾干幺广廴廾弋弓彐彡彳心戈戶手支攴文斗斤方无日曰月木欠止歹殳毋比毛氏气水火爪父爻爿片牙牛犬玄玉瓜瓦甘生用田疋疒癶白皮皿目矛矢石示禸禾穴立竹米糸缶网羊羽老而耒耳聿肉臣自至臼舌舛舟艮色艸虍虫血行衣襾見角言谷豆豕豸貝赤走足身車辛辰辵邑酉釆里金長門阜隶隹雨靑非面革韋韭音頁風飛食首香馬骨高髟鬥鬯鬲鬼魚鳥鹵鹿麥麻黃黍黑黹黽鼎鼓鼠鼻齊齒龍龜龠";
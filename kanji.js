@@ -0,0 +1,123 @@
+// Kanji details for the word popup: readings, meanings, stroke count, grade,
+// JLPT level and radical from KANJIDIC, and stroke order from KanjiVG.
+// Imported files are stored in IndexedDB; the bundled samples in
+// kanji-data.js answer for anything not imported.
+
+const KANJI_BATCH_SIZE = 1000;
+
+class KanjiDictionary {
+  constructor(database) {
+    this.database = database;
+    this.sample = new Map(this.parseKanjidic(KANJIDIC_SAMPLE).map((entry) => [entry.literal, entry]));
+  }
+
+  getInfo() {
+    const saved = localStorage.getItem("kanji_info");
+    return saved ? JSON.parse(saved) : { kanji: 0, strokes: 0 };
+  }
+
+  // Returns { literal, on, kun, meanings, strokes, grade, jlpt, radical,
+  // strokePaths } or null when the character is unknown
+  async lookup(literal) {
+    const [entry, strokes] = await Promise.all([
+      this.database.get("kanji", literal),
+      this.database.get("strokes", literal),
+    ]);
+    const details = entry || this.sample.get(literal);
+    const strokePaths = strokes ? strokes.paths : KANJIVG_SAMPLE[literal] || null;
+    if (!details && !strokePaths) return null;
+    return { literal, on: [], kun: [], meanings: [], ...details, strokePaths };
+  }
+
+  radicalFor(entry) {
+    return entry.radical ? KANGXI_RADICALS[entry.radical - 1] || null : null;
+  }
+
+  // Accepts the KANJIDIC text file, kanjidic2.xml or KanjiVG (the combined
+  // kanjivg.xml or single-kanji SVG files). Returns how many characters
+  // were added and the new totals.
+  async importText(text) {
+    const isKanjiVg = text.includes("kvg:");
+    const storeName = isKanjiVg ? "strokes" : "kanji";
+    const records = isKanjiVg ? this.parseKanjiVg(text)
+      : text.includes("<kanjidic2") ? this.parseKanjidic2(text) : this.parseKanjidic(text);
+    if (records.length === 0) {
+      throw new Error("No kanji found in file");
+    }
+
+    for (let i = 0; i < records.length; i += KANJI_BATCH_SIZE) {
+      await this.database.putAll(storeName, records.slice(i, i + KANJI_BATCH_SIZE));
+    }
+
+    const info = { kanji: await this.database.count("kanji"), strokes: await this.database.count("strokes") };
+    localStorage.setItem("kanji_info", JSON.stringify(info));
+    return { added: records.length, ...info };
+  }
+
+  // KANJIDIC text format; see kanji-data.js for the layout. T1/T2 start the
+  // name readings, which are left out.
+  parseKanjidic(text) {
+    const entries = [];
+    text.split(/\r?\n/).forEach((line) => {
+      if (!line.trim() || /^[#＃]/.test(line)) return;
+      const [literal, , ...fields] = line.match(/\{[^}]*\}|\S+/g);
+      const entry = { literal, on: [], kun: [], meanings: [], strokes: null, grade: null, jlpt: null, radical: null };
+      let names = false;
+
+      fields.forEach((field) => {
+        if (field.startsWith("{")) {
+          entry.meanings.push(field.slice(1, -1));
+        } else if (/^T\d$/.test(field)) {
+          names = true;
+        } else if (/^[A-Z]/.test(field)) {
+          const value = Number(field.slice(1));
+          // A second S code is a common miscount, so the first one wins
+          if (field[0] === "S" && entry.strokes === null) entry.strokes = value;
+          if (field[0] === "G") entry.grade = value;
+          if (field[0] === "J") entry.jlpt = value;
+          if (field[0] === "B") entry.radical = value;
+        } else if (!names && /^[ァ-ヶー]/.test(field)) {
+          entry.on.push(field);
+        } else if (!names && /^[-ぁ-ゖ]/.test(field)) {
+          entry.kun.push(field);
+        }
+      });
+      entries.push(entry);
+    });
+    return entries;
+  }
+
+  parseKanjidic2(text) {
+    const value = (block, pattern) => {
+      const match = block.match(pattern);
+      return match ? Number(match[1]) : null;
+    };
+
+    return Array.from(text.matchAll(/<character>[\s\S]*?<\/character>/g), ([block]) => ({
+      literal: block.match(/<literal>([^<]*)<\/literal>/)[1],
+      on: Array.from(block.matchAll(/<reading r_type="ja_on">([^<]*)<\/reading>/g), (match) => match[1]),
+      kun: Array.from(block.matchAll(/<reading r_type="ja_kun">([^<]*)<\/reading>/g), (match) => match[1]),
+      // Meanings in other languages carry an m_lang attribute
+      meanings: Array.from(block.matchAll(/<meaning>([^<]*)<\/meaning>/g), (match) => match[1]),
+      strokes: value(block, /<stroke_count>(\d+)<\/stroke_count>/),
+      grade: value(block, /<grade>(\d+)<\/grade>/),
+      jlpt: value(block, /<jlpt>(\d+)<\/jlpt>/),
+      radical: value(block, /<rad_value rad_type="classical">(\d+)<\/rad_value>/),
+    }));
+  }
+
+  // Stroke paths are numbered "kvg:065e5-s1", "kvg:065e5-s2"...; variant
+  // forms ("kvg:065e5-Kaisho-s1") are skipped
+  parseKanjiVg(text) {
+    const kanji = new Map();
+    for (const [element] of text.matchAll(/<path\b[^>]*>/g)) {
+      const id = element.match(/\bid="kvg:([0-9a-f]{5})-s(\d+)"/);
+      const path = element.match(/\bd="([^"]*)"/);
+      if (!id || !path) continue;
+      const literal = String.fromCodePoint(parseInt(id[1], 16));
+      if (!kanji.has(literal)) kanji.set(literal, []);
+      kanji.get(literal)[Number(id[2]) - 1] = path[1];
+    }
+    return Array.from(kanji, ([literal, paths]) => ({ literal, paths: paths.filter(Boolean) }));
+  }
+}
@@ -0,0 +1,118 @@
+// Reading status of every word the learner has met, LingQ-style: new,
+// learning, known or ignored. A word with no record is new. Statuses are
+// kept in IndexedDB and mirrored in memory so the reader can colour words
+// while it renders them.
+
+const WORD_STATUSES = ["new", "learning", "known", "ignored"];
+
+class WordTracker {
+  constructor(database) {
+    this.database = database;
+    this.statuses = new Map();
+  }
+
+  async load() {
+    const records = await this.database.getAll("words");
+    this.statuses = new Map(records.map((record) => [record.lemma, record.status]));
+    return this.statuses;
+  }
+
+  statusOf(lemma) {
+    return this.statuses.get(lemma) || "new";
+  }
+
+  async setStatus(lemma, status) {
+    if (status === "new") {
+      await this.database.delete("words", lemma);
+      this.statuses.delete(lemma);
+      return;
+    }
+
+    const existing = await this.database.get("words", lemma);
+    const now = Date.now();
+    // knownAt is when the word became known, so re-marking it keeps the date
+    const knownAt = status !== "known" ? null
+      : existing && existing.status === "known" ? existing.knownAt : now;
+    await this.database.put("words", {
+      lemma,
+      status,
+      updatedAt: now,
+      knownAt,
+      imported: Boolean(existing && existing.imported && knownAt === existing.knownAt),
+    });
+    this.statuses.set(lemma, status);
+  }
+
+  // Words that don't need studying when a text is measured
+  knownSet() {
+    const known = new Set();
+    this.statuses.forEach((status, lemma) => {
+      if (status === "known" || status === "ignored") known.add(lemma);
+    });
+    return known;
+  }
+
+  counts() {
+    const counts = { learning: 0, known: 0, ignored: 0 };
+    this.statuses.forEach((status) => counts[status]++);
+    return counts;
+  }
+
+  // Marks every word in a plain list or an Anki export as known. Words the
+  // learner already gave a status keep it.
+  async importList(text) {
+    const now = Date.now();
+    const words = this.parseList(text);
+    const added = words.filter((lemma) => !this.statuses.has(lemma));
+    await this.database.putAll("words", added.map((lemma) => ({
+      lemma,
+      status: "known",
+      updatedAt: now,
+      knownAt: now,
+      imported: true,
+    })));
+    added.forEach((lemma) => this.statuses.set(lemma, "known"));
+    return { added: added.length, skipped: words.length - added.length };
+  }
+
+  // One word per line, or several separated by spaces or commas. Anki
+  // exports are tab-separated with the word in the first field, may start
+  // with "#separator:tab" style headers and can hold HTML or 漢字[かんじ]
+  // furigana. Anything without Japanese in it (headers, English) is skipped.
+  parseList(text) {
+    const words = new Set();
+    text.split(/\r?\n/).forEach((line) => {
+      if (line.startsWith("#")) return;
+      const candidates = line.includes("\t") ? [line.split("\t")[0]] : line.split(/[\s,，、;]+/);
+      candidates.forEach((candidate) => {
+        const word = candidate
+          .replace(/<[^>]*>/g, "")
+          .replace(/&nbsp;/g, " ")
+          .replace(/\[[^\]]*\]/g, "")
+          .replace(/^["'\s]+|["'\s]+$/g, "")
+          .replace(/\s/g, "");
+        if (/[\u3040-\u30ff\u4e00-\u9fff々]/.test(word)) words.add(word);
+      });
+    });
+    return Array.from(words);
+  }
+
+  // Words that became known on each of the last few days, oldest first.
+  // Imported words are left out; they weren't learned on the import day.
+  async dailyKnown(days = 14, now = new Date()) {
+    const records = await this.database.getAll("words");
+    const dayKey = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}-${String(date.getDate()).padStart(2, "0")}`;
+
+    const counts = new Map();
+    for (let offset = days - 1; offset >= 0; offset--) {
+      const date = new Date(now.getFullYear(), now.getMonth(), now.getDate() - offset);
+      counts.set(dayKey(date), 0);
+    }
+    records.forEach((record) => {
+      if (record.status !== "known" || record.imported || !record.knownAt) return;
+      const key = dayKey(new Date(record.knownAt));
+      if (counts.has(key)) counts.set(key, counts.get(key) + 1);
+    });
+    return Array.from(counts, ([date, count]) => ({ date, count }));
+  }
+}
@@ -0,0 +1,117 @@
+// Reading library: every story or article that gets loaded is kept in
+// IndexedDB together with the words looked up while reading it, so it can
+// be reopened later without fetching anything again.
+
+class StoryLibrary {
+  constructor(database) {
+    this.database = database;
+  }
+
+  async save({ japanese, english, sentences = null, source = null, prompt = null, grammar = [] }) {
+    const now = Date.now();
+    const entry = {
+      id: `story-${now}-${Math.random().toString(36).slice(2, 8)}`,
+      title: this.titleFor(japanese, source),
+      japanese,
+      english,
+      sentences,
+      source,
+      prompt,
+      grammar,
+      createdAt: now,
+      openedAt: now,
+      tags: [],
+      lookups: [],
+      quiz: null,
+      quizScores: [],
+    };
+    await this.database.put("library", entry);
+    return entry;
+  }
+
+  titleFor(japanese, source) {
+    if (source && source.title) return source.title;
+    const firstLine = japanese.split("\n").find((line) => line.trim()) || "";
+    return firstLine.trim().slice(0, 60) || "Untitled";
+  }
+
+  get(id) {
+    return this.database.get("library", id);
+  }
+
+  // Newest first
+  async getAll() {
+    const entries = await this.database.getAll("library");
+    return entries.sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  // Matches every whitespace-separated term against the title, texts, prompt,
+  // tags and looked-up words
+  async search(query) {
+    const entries = await this.getAll();
+    const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+    if (terms.length === 0) return entries;
+
+    return entries.filter((entry) => {
+      const haystack = [
+        entry.title,
+        entry.japanese,
+        entry.english,
+        entry.prompt || "",
+        entry.source && entry.source.url ? entry.source.url : "",
+        ...entry.tags,
+        ...entry.lookups.map((lookup) => `${lookup.word} ${lookup.lemma}`),
+      ].join("\n").toLowerCase();
+      return terms.every((term) => haystack.includes(term));
+    });
+  }
+
+  // Reads and writes in one transaction, so concurrent updates to the same
+  // entry (two lookups in quick succession) don't overwrite each other
+  async update(id, changes) {
+    let updated = null;
+    await this.database.run("library", "readwrite", (store) => {
+      const request = store.get(id);
+      request.onsuccess = () => {
+        if (!request.result) return;
+        updated = { ...request.result, ...changes(request.result) };
+        store.put(updated);
+      };
+    });
+    return updated;
+  }
+
+  markOpened(id) {
+    return this.update(id, () => ({ openedAt: Date.now() }));
+  }
+
+  setTags(id, tags) {
+    const unique = Array.from(new Set(tags.map((tag) => tag.trim()).filter(Boolean)));
+    return this.update(id, () => ({ tags: unique }));
+  }
+
+  // One lookup per lemma; a later lookup replaces the stored definition
+  addLookup(id, { word, lemma, definition }) {
+    return this.update(id, (entry) => ({
+      lookups: [
+        ...entry.lookups.filter((lookup) => lookup.lemma !== lemma),
+        { word, lemma, definition, lookedUpAt: Date.now() },
+      ],
+    }));
+  }
+
+  // The questions are kept so the same quiz can be retaken later
+  setQuiz(id, questions) {
+    return this.update(id, () => ({ quiz: questions }));
+  }
+
+  addQuizScore(id, { correct, total }) {
+    return this.update(id, (entry) => ({
+      quizScores: [...(entry.quizScores || []), { correct, total, takenAt: Date.now() }],
+    }));
+  }
+
+  delete(id) {
+    return this.database.delete("library", id);
+  }
+}
@@ -0,0 +1,403 @@
+// Provider layer for every language-model call in the app. Story generation,
+// translation and word definitions all go through LLMClient.complete(), which
+// picks the configured provider and the per-task model settings. Passing
+// onText streams the reply: it is called with the text so far as it arrives,
+// and a stream that breaks off throws with that text as error.partial.
+
+const LLM_PROVIDERS = {
+  openai: { label: "OpenAI", baseUrl: "https://api.openai.com/v1", model: "gpt-4o-mini", needsApiKey: true },
+  compatible: { label: "OpenAI-compatible (LM Studio, vLLM)", baseUrl: "http://localhost:1234/v1", model: "local-model", needsApiKey: false },
+  ollama: { label: "Ollama", baseUrl: "http://localhost:11434", model: "llama3.1", needsApiKey: false },
+  mock: { label: "Offline mock", baseUrl: "", model: "mock", needsApiKey: false },
+};
+
+// Defaults per task; the settings panel can override any of these
+const LLM_TASK_DEFAULTS = {
+  story: { model: "", temperature: 0.7, maxTokens: 3000 },
+  translation: { model: "", temperature: 0.3, maxTokens: 4000 },
+  definition: { model: "", temperature: 0.3, maxTokens: 150 },
+  definitions: { model: "", temperature: 0.3, maxTokens: 4000 },
+  quiz: { model: "", temperature: 0.5, maxTokens: 2000 },
+  grammar: { model: "", temperature: 0.3, maxTokens: 1000 },
+  writing: { model: "", temperature: 0.3, maxTokens: 1500 },
+};
+
+// How the offline mock plays back a streamed reply
+const MOCK_STREAM_STEPS = 100;
+const MOCK_STREAM_DELAY = 20;
+
+// Calls onLine for every line of a streamed response body
+async function readResponseLines(response, onLine) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+  for (;;) {
+    const { done, value } = await reader.read();
+    buffer += decoder.decode(value, { stream: !done });
+    const lines = buffer.split("\n");
+    buffer = lines.pop();
+    lines.forEach(onLine);
+    if (done) break;
+  }
+  if (buffer) onLine(buffer);
+}
+
+// Carries the status, and Retry-After in seconds when the server sends one,
+// so callers can tell rate limits and server errors from other failures
+function httpError(response) {
+  const error = new Error(`HTTP ${response.status}: ${response.statusText}`);
+  error.status = response.status;
+  error.retryAfter = Number(response.headers.get("Retry-After")) || null;
+  return error;
+}
+
+// fetch() rejects before any response when the server can't be reached or
+// the connection drops; error.network marks that case, which is worth
+// retrying, apart from errors thrown while reading a reply. A cancelled
+// request is passed on unmarked.
+async function fetchResponse(url, options) {
+  try {
+    return await fetch(url, options);
+  } catch (error) {
+    if (error.name !== "AbortError") error.network = true;
+    throw error;
+  }
+}
+
+class OpenAICompatibleProvider {
+  constructor({ baseUrl, apiKey }) {
+    this.baseUrl = baseUrl.replace(/\/+$/, "");
+    this.apiKey = apiKey;
+  }
+
+  async complete({ model, messages, temperature, maxTokens, signal, onText }) {
+    const headers = { "Content-Type": "application/json" };
+    if (this.apiKey) headers.Authorization = `Bearer ${this.apiKey}`;
+
+    const response = await fetchResponse(`${this.baseUrl}/chat/completions`, {
+      method: "POST",
+      headers,
+      body: JSON.stringify({ model, messages, temperature, max_tokens: maxTokens, stream: Boolean(onText) }),
+      signal,
+    });
+
+    if (!response.ok) {
+      throw httpError(response);
+    }
+
+    if (!onText) {
+      const data = await response.json();
+      return data.choices[0].message.content;
+    }
+
+    // Server-sent events: one "data: {chunk}" line per delta, then "data: [DONE]"
+    let content = "";
+    try {
+      await readResponseLines(response, (line) => {
+        const data = line.startsWith("data:") ? line.slice(5).trim() : "";
+        if (!data || data === "[DONE]") return;
+        const choice = JSON.parse(data).choices[0];
+        const delta = choice && choice.delta ? choice.delta.content : "";
+        if (!delta) return;
+        content += delta;
+        onText(content);
+      });
+    } catch (error) {
+      error.partial = content;
+      throw error;
+    }
+    return content;
+  }
+}
+
+class OllamaProvider {
+  constructor({ baseUrl }) {
+    this.baseUrl = baseUrl.replace(/\/+$/, "");
+  }
+
+  async complete({ model, messages, temperature, maxTokens, json, signal, onText }) {
+    const response = await fetchResponse(`${this.baseUrl}/api/chat`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        model,
+        messages,
+        stream: Boolean(onText),
+        ...(json ? { format: "json" } : {}),
+        options: { temperature, num_predict: maxTokens },
+      }),
+      signal,
+    });
+
+    if (!response.ok) {
+      throw httpError(response);
+    }
+
+    if (!onText) {
+      const data = await response.json();
+      return data.message.content;
+    }
+
+    // One JSON object per line, each holding the next piece of the message
+    let content = "";
+    try {
+      await readResponseLines(response, (line) => {
+        if (!line.trim()) return;
+        const data = JSON.parse(line);
+        if (data.error) throw new Error(data.error);
+        if (!data.message || !data.message.content) return;
+        content += data.message.content;
+        onText(content);
+      });
+    } catch (error) {
+      error.partial = content;
+      throw error;
+    }
+    return content;
+  }
+}
+
+// Deterministic offline provider built on the app's bundled mock story, so
+// the whole app can be used and tested without a network
+class MockProvider {
+  constructor({ japaneseStory, englishStory, wordDefinitions, grammarPoints, quizQuestions }) {
+    this.japaneseStory = japaneseStory;
+    this.englishStory = englishStory;
+    this.wordDefinitions = wordDefinitions;
+    this.grammarPoints = grammarPoints;
+    this.quizQuestions = quizQuestions;
+  }
+
+  async complete({ task, messages, context = {}, signal, onText }) {
+    const content = this.reply(task, messages, context);
+    return onText ? this.stream(content, onText, signal) : content;
+  }
+
+  // Plays the reply back in small pieces, the way a real stream arrives
+  async stream(content, onText, signal) {
+    const step = Math.ceil(content.length / MOCK_STREAM_STEPS);
+    let sent = 0;
+    while (sent < content.length) {
+      await new Promise((resolve) => setTimeout(resolve, MOCK_STREAM_DELAY));
+      if (signal && signal.aborted) {
+        const error = new DOMException("The request was cancelled", "AbortError");
+        error.partial = content.slice(0, sent);
+        throw error;
+      }
+      sent = Math.min(content.length, sent + step);
+      onText(content.slice(0, sent));
+    }
+    return content;
+  }
+
+  reply(task, messages, context) {
+    const input = messages[messages.length - 1].content;
+
+    switch (task) {
+      case "story":
+        return JSON.stringify({ paragraphs: this.sentencePairs(), grammar: this.grammarPoints() });
+      case "translation": {
+        // Paragraphs of the bundled story get its own translation, so a
+        // chunk of it works too; anything else is echoed back
+        const forward = context.direction !== "en-to-ja";
+        const story = this.sentencePairs().map((paragraph) => paragraph.map((pair) => (forward
+          ? { source: pair.japanese, translation: pair.english }
+          : { source: pair.english, translation: pair.japanese })));
+        const paragraphs = input.split(/\n\s*\n/).map((paragraph) => paragraph.trim()).filter(Boolean).map((paragraph) => {
+          const known = story.find((pairs) => pairs.map((pair) => pair.source).join(forward ? "" : " ") === paragraph);
+          return known || [{ source: paragraph, translation: `[Offline mock translation] ${paragraph}` }];
+        });
+        return JSON.stringify({ paragraphs });
+      }
+      case "definition": {
+        const definitions = this.wordDefinitions();
+        const definition = definitions.get(context.lemma) || definitions.get(context.word);
+        if (!definition) {
+          throw new Error(`No mock definition for "${context.word}"`);
+        }
+        return JSON.stringify(definition);
+      }
+      case "definitions": {
+        const definitions = this.wordDefinitions();
+        return JSON.stringify({
+          definitions: context.words
+            .filter((word) => definitions.has(word))
+            .map((word) => ({ word, ...definitions.get(word) })),
+        });
+      }
+      case "quiz":
+        return JSON.stringify({ questions: this.quizQuestions() });
+      case "grammar":
+        return JSON.stringify({
+          points: [{
+            pattern: context.selection,
+            level: null,
+            meaning: "[Offline mock explanation]",
+            formation: "",
+            examples: [],
+          }],
+        });
+      case "writing": {
+        // Flags the first は so the correction view has something to show
+        const corrections = context.writing.includes("は")
+          ? [{ original: "は", corrected: "が", category: "particle", explanation: "[Offline mock correction]" }]
+          : [];
+        return JSON.stringify({ corrections, comment: "[Offline mock feedback]" });
+      }
+      default:
+        throw new Error(`Unknown task: ${task}`);
+    }
+  }
+
+  // Pairs the bundled stories sentence by sentence; both have the same
+  // number of sentences in every paragraph
+  sentencePairs() {
+    const split = (text, pattern) => text.split(/\n\s*\n/).map((paragraph) => paragraph.match(pattern).map((sentence) => sentence.trim()));
+    const english = split(this.englishStory(), /[^.!?]+[.!?]+"?/g);
+    return split(this.japaneseStory(), /[^。！？]+[。！？]」?/g).map((paragraph, index) => paragraph.map((japanese, i) => ({
+      japanese,
+      english: english[index][i],
+    })));
+  }
+}
+
+class LLMClient {
+  constructor({ getApiKey, mock }) {
+    this.getApiKey = getApiKey;
+    this.mock = mock;
+    this.settings = this.loadSettings();
+  }
+
+  // Base URL and model are kept per provider, so switching to Ollama and
+  // back doesn't send OpenAI requests to the Ollama server. Settings saved
+  // before that had one pair; it belongs to the provider saved with it.
+  loadSettings() {
+    const saved = localStorage.getItem("llm_settings");
+    const settings = saved ? JSON.parse(saved) : {};
+    const provider = LLM_PROVIDERS[settings.provider] ? settings.provider : "openai";
+    const providers = settings.providers ||
+      (settings.baseUrl || settings.model ? { [provider]: { baseUrl: settings.baseUrl || "", model: settings.model || "" } } : {});
+    return {
+      provider,
+      providers,
+      tasks: settings.tasks || {},
+    };
+  }
+
+  saveSettings(changes) {
+    this.settings = { ...this.settings, ...changes };
+    localStorage.setItem("llm_settings", JSON.stringify(this.settings));
+  }
+
+  // Saves the base URL and model of the selected provider
+  saveProviderSettings(changes) {
+    const provider = this.settings.provider;
+    this.saveSettings({
+      providers: { ...this.settings.providers, [provider]: { ...this.providerSettings, ...changes } },
+    });
+  }
+
+  get providerInfo() {
+    return LLM_PROVIDERS[this.settings.provider];
+  }
+
+  // { baseUrl, model } saved for the selected provider; empty means its default
+  get providerSettings() {
+    return { baseUrl: "", model: "", ...this.settings.providers[this.settings.provider] };
+  }
+
+  isReady() {
+    return !this.providerInfo.needsApiKey || Boolean(this.getApiKey());
+  }
+
+  // Task defaults, then saved per-task overrides; an empty model falls back
+  // to the provider-wide model
+  taskConfig(task) {
+    const config = { ...LLM_TASK_DEFAULTS[task], ...this.settings.tasks[task] };
+    return {
+      model: config.model || this.providerSettings.model || this.providerInfo.model,
+      temperature: Number(config.temperature),
+      maxTokens: Number(config.maxTokens),
+    };
+  }
+
+  // OpenAI always goes to its own API; only the other providers take a base URL
+  createProvider() {
+    const baseUrl = this.settings.provider === "openai"
+      ? LLM_PROVIDERS.openai.baseUrl
+      : this.providerSettings.baseUrl || this.providerInfo.baseUrl;
+    switch (this.settings.provider) {
+      case "ollama":
+        return new OllamaProvider({ baseUrl });
+      case "mock":
+        return new MockProvider(this.mock);
+      default:
+        return new OpenAICompatibleProvider({ baseUrl, apiKey: this.getApiKey() });
+    }
+  }
+
+  complete(task, messages, { json = false, context = {}, signal = null, onText = null } = {}) {
+    return this.createProvider().complete({ task, messages, json, context, signal, onText, ...this.taskConfig(task) });
+  }
+
+  async completeJson(task, messages, options = {}) {
+    const content = await this.complete(task, messages, { ...options, json: true });
+    return this.parseJson(content);
+  }
+
+  // Models often wrap JSON in a ```json fence; strip it before parsing
+  parseJson(content) {
+    return JSON.parse(content.replace(/^\s*```(?:json)?\s*|\s*```\s*$/g, ""));
+  }
+
+  // Best-effort parse of JSON that is still streaming in: the open string
+  // is closed, anything that can't stand on its own yet (a key without its
+  // value, half a number) is dropped, and open arrays and objects are
+  // closed. Returns undefined when even that isn't valid JSON.
+  parsePartialJson(content) {
+    const text = content.replace(/^\s*```(?:json)?\s*|\s*```\s*$/g, "");
+    const open = [];
+    let inString = false;
+    let escaped = false;
+    let keyStart = -1;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      const top = open[open.length - 1];
+      if (inString) {
+        if (escaped) escaped = false;
+        else if (char === "\\") escaped = true;
+        else if (char === '"') inString = false;
+      } else if (char === '"') {
+        inString = true;
+        keyStart = top && top.expectsKey ? i : -1;
+      } else if (char === "{" || char === "[") {
+        open.push({ closer: char === "{" ? "}" : "]", expectsKey: char === "{" });
+      } else if (char === "}" || char === "]") {
+        open.pop();
+      } else if (char === ":" && top) {
+        top.expectsKey = false;
+      } else if (char === "," && top && top.closer === "}") {
+        top.expectsKey = true;
+      }
+    }
+
+    let completed = text;
+    const innermost = open[open.length - 1];
+    if (keyStart !== -1 && (inString || (innermost && innermost.expectsKey && /^"(?:[^"\\]|\\.)*"\s*$/.test(text.slice(keyStart))))) {
+      completed = text.slice(0, keyStart);
+    } else if (inString) {
+      completed = (escaped ? text.slice(0, -1) : text.replace(/\\u[0-9a-fA-F]{0,3}$/, "")) + '"';
+    }
+    completed = completed
+      .replace(/[-+.\w]+\s*$/, "")
+      .replace(/"(?:[^"\\]|\\.)*"\s*:\s*$/, "")
+      .replace(/,\s*$/, "");
+
+    try {
+      return JSON.parse(completed + open.map((item) => item.closer).reverse().join(""));
+    } catch (error) {
+      return undefined;
+    }
+  }
+}
@@ -0,0 +1,237 @@
+// News sources for the headline picker. Each source turns its feed or API
+// into the same headline shape; NewsClient keeps the chosen source, filters
+// and the list of articles already read in localStorage.
+
+const NEWS_CORS_PROXY = "https://corsproxy.io/?";
+
+const NEWS_SOURCES = {
+  nhk: {
+    categories: { "": "主要ニュース", "1": "社会", "3": "科学・文化", "4": "政治", "5": "経済", "6": "国際", "7": "スポーツ" },
+  },
+  gnews: {
+    needsApiKey: true,
+    categories: { "": "Top headlines", world: "World", nation: "Nation", business: "Business", technology: "Technology", entertainment: "Entertainment", sports: "Sports", science: "Science", health: "Health" },
+  },
+  feed: { needsFeedUrl: true, categories: null },
+  sample: {
+    categories: { "": "All", "社会": "社会", "科学": "科学", "スポーツ": "スポーツ" },
+    // Sample items carry their whole text, so nothing is fetched
+    fullText: true,
+  },
+};
+
+// A small RSS feed bundled with the app so the picker works offline
+const NEWS_SAMPLE_FEED = `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:content="http://purl.org/rss/1.0/modules/content/">
+<channel>
+<title>サンプルニュース</title>
+<link>https://example.com/news/</link>
+<item>
+<title>駅前に新しい図書館 夜10時まで利用可能に</title>
+<link>https://example.com/news/library</link>
+<category>社会</category>
+<pubDate>Mon, 12 Oct 2026 09:00:00 +0900</pubDate>
+<description>駅前に新しい図書館がオープンしました。</description>
+<content:encoded><![CDATA[<p>駅前に新しい図書館がオープンしました。仕事や学校の帰りにも立ち寄れるように、平日は夜10時まで利用できます。</p><p>館内には約20万冊の本があり、外国語の本を集めたコーナーもあります。初日は朝から多くの人が訪れ、市の担当者は「地域の人が集まる場所にしたい」と話していました。</p>]]></content:encoded>
+</item>
+<item>
+<title>小さな人工衛星 高校生が作って打ち上げへ</title>
+<link>https://example.com/news/satellite</link>
+<category>科学</category>
+<pubDate>Tue, 13 Oct 2026 18:30:00 +0900</pubDate>
+<description>高校生が作った小さな人工衛星が来月打ち上げられます。</description>
+<content:encoded><![CDATA[<p>高校生が作った小さな人工衛星が、来月ロケットで打ち上げられることになりました。衛星は一辺が10センチの箱の形で、地球の写真を撮って送ることができます。</p><p>生徒たちは2年かけて部品を選び、何度も試験を重ねてきました。リーダーの生徒は「宇宙から自分たちの町を見るのが楽しみです」と話しています。</p>]]></content:encoded>
+</item>
+<item>
+<title>市民マラソンに1万人 雨の中でも笑顔で完走</title>
+<link>https://example.com/news/marathon</link>
+<category>スポーツ</category>
+<pubDate>Sun, 18 Oct 2026 15:00:00 +0900</pubDate>
+<description>市民マラソンが開かれ、約1万人が走りました。</description>
+<content:encoded><![CDATA[<p>毎年恒例の市民マラソンが開かれ、子どもからお年寄りまで約1万人が参加しました。朝から雨が降っていましたが、沿道では多くの人が旗を振って応援しました。</p><p>初めて参加したという大学生は「雨で寒かったけれど、応援の声に励まされて最後まで走れました」と笑顔で話していました。</p>]]></content:encoded>
+</item>
+</channel>
+</rss>`;
+
+class GNewsSource {
+  constructor({ apiKey }) {
+    this.apiKey = apiKey;
+  }
+
+  async fetchHeadlines({ category, keyword }) {
+    const params = new URLSearchParams({ lang: "ja", country: "jp", max: "20", apikey: this.apiKey });
+    let endpoint = "top-headlines";
+    if (keyword) {
+      endpoint = "search";
+      params.set("q", keyword);
+    } else if (category) {
+      params.set("category", category);
+    }
+
+    const response = await fetch(`https://gnews.io/api/v4/${endpoint}?${params}`);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    return (data.articles || []).map((article) => ({
+      title: article.title,
+      url: article.url,
+      description: article.description || "",
+      // GNews truncates content with "... [568 chars]"
+      content: (article.content || "").replace(/\.\.\.\s*\[\d+\s*chars?\]$/i, "..."),
+      sourceName: article.source ? article.source.name : "GNews",
+      publishedAt: article.publishedAt || null,
+      categories: [],
+    }));
+  }
+}
+
+// RSS 2.0, RSS 1.0 (RDF) and Atom
+class FeedSource {
+  constructor({ url, name }) {
+    this.url = url;
+    this.name = name;
+  }
+
+  async fetchHeadlines() {
+    const response = await fetch(NEWS_CORS_PROXY + encodeURIComponent(this.url));
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+    return this.parse(await response.text());
+  }
+
+  parse(xml) {
+    const doc = new DOMParser().parseFromString(xml, "application/xml");
+    if (doc.querySelector("parsererror")) {
+      throw new Error("Feed is not valid RSS or Atom");
+    }
+
+    // In Atom the <feed> is the root element itself
+    const channelTitle = this.childText(doc.querySelector("channel, feed"), "title");
+    const items = Array.from(doc.querySelectorAll("item, entry"));
+    return items.map((item) => {
+      const link = item.querySelector("link");
+      const url = link ? link.getAttribute("href") || link.textContent.trim() : "";
+      const description = this.childText(item, "description") || this.childText(item, "summary");
+      const content = this.childText(item, "encoded") || this.childText(item, "content");
+
+      return {
+        title: this.childText(item, "title"),
+        url,
+        description: this.stripHtml(description),
+        content: content ? this.htmlToText(content) : "",
+        sourceName: this.name || channelTitle,
+        publishedAt: this.childText(item, "pubDate") || this.childText(item, "published") || this.childText(item, "updated") || this.childText(item, "date") || null,
+        categories: Array.from(item.children)
+          .filter((child) => child.localName === "category" || child.localName === "subject")
+          .map((child) => child.getAttribute("term") || child.textContent.trim()),
+      };
+    }).filter((item) => item.title && item.url);
+  }
+
+  // Direct child by local name, so namespaced tags (content:encoded, dc:date) match too
+  childText(parent, name) {
+    if (!parent) return "";
+    const child = Array.from(parent.children).find((element) => element.localName === name);
+    return child ? child.textContent.trim() : "";
+  }
+
+  htmlToText(html) {
+    const doc = new DOMParser().parseFromString(html, "text/html");
+    doc.querySelectorAll("rt, rp").forEach((ruby) => ruby.remove());
+    return Array.from(doc.body.querySelectorAll("p, h1, h2, h3, li"))
+      .map((block) => block.textContent.trim())
+      .filter(Boolean)
+      .join("\n\n") || doc.body.textContent.trim();
+  }
+
+  stripHtml(html) {
+    return new DOMParser().parseFromString(html, "text/html").body.textContent.trim();
+  }
+}
+
+class SampleSource extends FeedSource {
+  constructor() {
+    super({ url: "", name: "サンプルニュース" });
+  }
+
+  async fetchHeadlines() {
+    return this.parse(NEWS_SAMPLE_FEED);
+  }
+}
+
+class NewsClient {
+  constructor() {
+    this.settings = this.loadSettings();
+    this.read = new Set(JSON.parse(localStorage.getItem("news_read") || "[]"));
+  }
+
+  loadSettings() {
+    const saved = JSON.parse(localStorage.getItem("news_settings") || "{}");
+    return {
+      source: NEWS_SOURCES[saved.source] ? saved.source : "nhk",
+      apiKey: saved.apiKey || "",
+      feedUrl: saved.feedUrl || "",
+      category: saved.category || "",
+      keyword: saved.keyword || "",
+    };
+  }
+
+  saveSettings(changes) {
+    this.settings = { ...this.settings, ...changes };
+    localStorage.setItem("news_settings", JSON.stringify(this.settings));
+  }
+
+  get sourceInfo() {
+    return NEWS_SOURCES[this.settings.source];
+  }
+
+  createSource() {
+    switch (this.settings.source) {
+      case "gnews":
+        if (!this.settings.apiKey) throw new Error("A GNews API key is needed");
+        return new GNewsSource({ apiKey: this.settings.apiKey });
+      case "feed":
+        if (!this.settings.feedUrl) throw new Error("Enter a feed URL");
+        return new FeedSource({ url: this.settings.feedUrl });
+      case "sample":
+        return new SampleSource();
+      default:
+        return new FeedSource({ url: `https://www.nhk.or.jp/rss/news/cat${this.settings.category || "0"}.xml`, name: "NHK" });
+    }
+  }
+
+  // Unread headlines that pass the filters. GNews filters on its side; for
+  // feeds the keyword and category are matched here.
+  async headlines() {
+    const { category, keyword } = this.settings;
+    const items = await this.createSource().fetchHeadlines({ category, keyword });
+    const terms = keyword.toLowerCase().split(/\s+/).filter(Boolean);
+
+    const filtered = items.filter((item) => {
+      if (this.settings.source === "gnews") return true;
+      if (this.settings.source !== "nhk" && category && !item.categories.includes(category)) return false;
+      const haystack = `${item.title}\n${item.description}\n${item.content}`.toLowerCase();
+      return terms.every((term) => haystack.includes(term));
+    });
+
+    const unread = filtered.filter((item) => !this.read.has(item.url));
+    return { items: unread, readCount: filtered.length - unread.length };
+  }
+
+  // Remembers the most recent 1000 articles
+  markRead(url) {
+    this.read.delete(url);
+    this.read.add(url);
+    const recent = Array.from(this.read).slice(-1000);
+    this.read = new Set(recent);
+    localStorage.setItem("news_read", JSON.stringify(recent));
+  }
+
+  clearRead() {
+    this.read = new Set();
+    localStorage.removeItem("news_read");
+  }
+}
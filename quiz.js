@@ -0,0 +1,109 @@
+// Comprehension quizzes for whatever text is on screen. The model writes the
+// questions; answers are checked here, so checking works offline and the
+// same quiz can be retaken from the library.
+
+const QUIZ_SYSTEM_PROMPT = `You are a Japanese language teacher writing a reading comprehension quiz for a learner.
+
+Your response must be a valid JSON object with this exact structure:
+{
+  "questions": [
+    {
+      "type": "choice",
+      "question": "Question in Japanese",
+      "choices": ["Four", "options", "in", "Japanese"],
+      "answer": 0,
+      "quote": "The sentence from the text that contains the answer",
+      "explanation": "Short English explanation of the correct answer"
+    },
+    {
+      "type": "short",
+      "question": "Question in Japanese that can be answered in a few words",
+      "answer": "Short Japanese answer",
+      "accepted": ["Other acceptable answers, e.g. in kana"],
+      "quote": "The sentence from the text that contains the answer",
+      "explanation": "Short English explanation of the correct answer"
+    }
+  ]
+}
+
+Rules:
+- Ask only about what the text says, never about outside knowledge
+- "answer" is the index of the correct choice for "choice" questions
+- Copy each "quote" character for character from the text
+- Use the same level of Japanese as the text`;
+
+class ComprehensionQuiz {
+  constructor(llm) {
+    this.llm = llm;
+  }
+
+  async generate(text, { choices = 3, short = 2 } = {}) {
+    const questions = await this.llm.completeJson("quiz", [
+      { role: "system", content: QUIZ_SYSTEM_PROMPT },
+      {
+        role: "user",
+        content: `Write ${choices} multiple-choice and ${short} short-answer questions about this text:\n\n${text}`,
+      },
+    ], { context: { text } });
+
+    const normalized = this.normalize(questions.questions, text);
+    if (normalized.length === 0) {
+      throw new Error("Invalid response format from AI service");
+    }
+    return normalized;
+  }
+
+  // Drops malformed questions, and replaces a quote that isn't really in the
+  // text with the sentence that holds the answer, if there is one
+  normalize(questions, text) {
+    if (!Array.isArray(questions)) return [];
+    const sentences = text.split(/(?<=[。！？\n])/).map((sentence) => sentence.trim()).filter(Boolean);
+
+    return questions.flatMap((item) => {
+      if (!item || typeof item.question !== "string") return [];
+
+      let question;
+      if (item.type === "choice") {
+        const given = Array.isArray(item.choices) ? item.choices : [];
+        const isChoice = (choice) => typeof choice === "string";
+        const index = Number(item.answer);
+        // answer indexes the choices as given, so it moves down past any
+        // choice that is dropped before it
+        if (!Number.isInteger(index) || !isChoice(given[index]) || !given[index]) return [];
+        const choices = given.filter(isChoice);
+        const answer = given.slice(0, index).filter(isChoice).length;
+        if (choices.length < 2) return [];
+        question = { type: "choice", question: item.question, choices, answer };
+      } else {
+        if (typeof item.answer !== "string" || !item.answer.trim()) return [];
+        const accepted = Array.isArray(item.accepted) ? item.accepted.filter((text) => typeof text === "string") : [];
+        question = { type: "short", question: item.question, answer: item.answer.trim(), accepted };
+      }
+
+      const answerText = question.type === "choice" ? question.choices[question.answer] : question.answer;
+      const quote = typeof item.quote === "string" && item.quote.trim() && text.includes(item.quote.trim())
+        ? item.quote.trim()
+        : sentences.find((sentence) => sentence.includes(answerText)) || null;
+
+      return [{ ...question, quote, explanation: typeof item.explanation === "string" ? item.explanation : "" }];
+    });
+  }
+
+  isCorrect(question, response) {
+    if (question.type === "choice") {
+      return response !== null && Number(response) === question.answer;
+    }
+    const given = this.normalizeAnswer(response || "");
+    return given !== "" && [question.answer, ...question.accepted].some((answer) => this.normalizeAnswer(answer) === given);
+  }
+
+  // Ignores width, kana script, spacing, punctuation and a polite です/だ ending
+  normalizeAnswer(text) {
+    return text
+      .normalize("NFKC")
+      .toLowerCase()
+      .replace(/[ァ-ヶ]/g, (char) => String.fromCharCode(char.charCodeAt(0) - 0x60))
+      .replace(/[\s。、，．・「」『』！？!?.,]/g, "")
+      .replace(/(?:です|だ)$/, "");
+  }
+}
@@ -1,3 +1,11 @@
+// How each writing style is described to the model
+const STORY_STYLES = {
+  casual: "casual plain form (だ・である endings, natural spoken contractions)",
+  polite: "polite です・ます form",
+  news: "newspaper style: formal written Japanese with である endings",
+  keigo: "keigo, using 尊敬語 and 謙譲語 where a real speaker would",
+};
+
 class JapaneseStudyApp {
   constructor() {
     this.initializeElements();
@@ -5,46 +13,347 @@ class JapaneseStudyApp {
     this.currentLanguage = "japanese";
     this.wordDefinitions = new Map();
     this.fallbackDefinitions = new Map(); // Cache for dynamically fetched definitions
+    this.llm = new LLMClient({
+      getApiKey: () => this.apiKeyInput.value.trim(),
+      mock: {
+        japaneseStory: () => this.generateMockJapaneseStory(),
+        englishStory: () => this.generateMockEnglishStory(),
+        wordDefinitions: () => this.generateMockWordDefinitions(),
+        grammarPoints: () => this.generateMockGrammarPoints(),
+        quizQuestions: () => this.generateMockQuizQuestions(),
+      },
+    });
+    this.loadProviderSettings();
+    this.tokenizer = new JapaneseTokenizer();
+    this.deinflector = new Deinflector();
+    this.database = new StudyDatabase();
+    this.dictionary = new JapaneseDictionary(this.database);
+    this.definitionCache = new DefinitionCache(this.database, this.llm);
+    this.kanji = new KanjiDictionary(this.database);
+    this.deck = new FlashcardDeck(this.database);
+    this.exporter = new VocabularyExporter(this.deck);
+    this.library = new StoryLibrary(this.database);
+    this.words = new WordTracker(this.database);
+    this.quiz = new ComprehensionQuiz(this.llm);
+    this.grammarExplainer = new GrammarExplainer(this.llm);
+    this.writingCoach = new WritingCoach(this.llm, this.database);
+    this.translator = new ArticleTranslator(this.llm);
+    this.cloze = new ClozeDrill(this.tokenizer);
+    this.difficulty = new DifficultyAnalyzer(this.tokenizer);
+    this.renderer = new StoryRenderer(this.tokenizer, {
+      wordClasses: (word) => this.wordClasses(word),
+      furigana: (word) => (this.needsFurigana(word) ? word.reading || this.readingCache.get(word.surface) : null),
+      grammar: () => this.currentGrammar,
+    });
+    this.articleExtractor = new ArticleExtractor();
+    this.news = new NewsClient();
+    this.newsHeadlines = [];
+    this.newsReadCount = 0;
+    this.speech = new SpeechPlayer({
+      onSentenceChange: (index) => this.highlightSpokenSentence(index),
+      onStateChange: () => this.updatePlaybackBar(),
+    });
+    this.loadSpeechSettings();
+    this.currentEntryId = null;
+    // Lookups made before the current text has a library entry
+    this.pendingLookups = [];
+    this.currentSource = null;
+    this.currentJapaneseText = "";
+    this.currentGrammar = [];
+    this.currentSentences = null;
+    this.revealedSentences = new Set();
+    this.currentQuiz = null;
+    this.grammarSelection = null;
+    this.storyHiddenByLoading = false;
+    this.grammarPoints = [];
+    this.clozePieces = [];
+    this.readingCache = new Map();
+    this.deckLemmas = new Set();
+    this.reviewQueue = [];
+    this.updateDictionaryStatus();
+    this.updateKanjiStatus();
+    this.updateDueCount();
+    this.loadDeckLemmas();
+    this.loadWordStatuses();
+    this.loadDefinitionCache();
   }
 
   initializeElements() {
     this.apiKeyInput = document.getElementById("api-key-input");
+    this.providerSelect = document.getElementById("provider-select");
+    this.providerBaseUrl = document.getElementById("provider-base-url");
+    this.providerModel = document.getElementById("provider-model");
+    this.taskSettings = document.getElementById("task-settings");
     this.promptInput = document.getElementById("prompt-input");
+    this.generatorInputs = {
+      level: document.getElementById("jlpt-level-select"),
+      style: document.getElementById("style-select"),
+      length: document.getElementById("length-select"),
+      topic: document.getElementById("topic-input"),
+      grammar: document.getElementById("grammar-input"),
+      vocabulary: document.getElementById("vocabulary-input"),
+    };
+    this.grammarLegend = document.getElementById("grammar-legend");
     this.generateBtn = document.getElementById("generate-btn");
     this.loadArticleBtn = document.getElementById("load-article-btn");
+    this.newsPanel = document.getElementById("news-panel");
+    this.newsSourceSelect = document.getElementById("news-source-select");
+    this.newsApiKeyInput = document.getElementById("news-api-key-input");
+    this.newsFeedUrlInput = document.getElementById("news-feed-url-input");
+    this.newsCategorySelect = document.getElementById("news-category-select");
+    this.newsKeywordInput = document.getElementById("news-keyword-input");
+    this.refreshNewsBtn = document.getElementById("refresh-news-btn");
+    this.newsList = document.getElementById("news-list");
+    this.newsStatus = document.getElementById("news-status");
+    this.clearReadBtn = document.getElementById("clear-read-btn");
     this.urlInput = document.getElementById("url-input");
     this.loadUrlBtn = document.getElementById("load-url-btn");
     this.articleTextInput = document.getElementById("article-text-input");
     this.loadTextBtn = document.getElementById("load-text-btn");
     this.loadingDiv = document.getElementById("loading");
+    this.loadingMessage = document.getElementById("loading-message");
+    this.streamPreview = document.getElementById("stream-preview");
+    this.cancelRequestBtn = document.getElementById("cancel-request-btn");
     this.storySection = document.getElementById("story-section");
     this.japaneseStory = document.getElementById("japanese-story");
     this.englishStory = document.getElementById("english-story");
+    this.parallelStory = document.getElementById("parallel-story");
+    this.readerControls = document.getElementById("reader-controls");
+    this.viewModeSelect = document.getElementById("view-mode-select");
+    this.difficultyReport = document.getElementById("difficulty-report");
+    this.wordStatsBtn = document.getElementById("word-stats-btn");
+    this.knownCount = document.getElementById("known-count");
+    this.importKnownBtn = document.getElementById("import-known-btn");
+    this.knownWordsFileInput = document.getElementById("known-words-file-input");
+    this.wordStatsSection = document.getElementById("word-stats-section");
+    this.closeWordStatsBtn = document.getElementById("close-word-stats-btn");
+    this.wordStatusCounts = document.getElementById("word-status-counts");
+    this.knownPerDay = document.getElementById("known-per-day");
+    this.wordStatusButtons = document.getElementById("word-status-buttons");
+    this.kanjiBreakdown = document.getElementById("kanji-breakdown");
+    this.kanjiFileInput = document.getElementById("kanji-file-input");
+    this.importKanjiBtn = document.getElementById("import-kanji-btn");
+    this.kanjiStatus = document.getElementById("kanji-status");
+    this.difficultySummary = document.getElementById("difficulty-summary");
+    this.levelHighlightSelect = document.getElementById("level-highlight-select");
+    this.revealAllBtn = document.getElementById("reveal-all-btn");
+    this.playbackBar = document.getElementById("playback-bar");
+    this.playBtn = document.getElementById("play-btn");
+    this.stopBtn = document.getElementById("stop-btn");
+    this.speechRateSelect = document.getElementById("speech-rate-select");
+    this.loopSentenceInput = document.getElementById("loop-sentence-input");
+    this.voiceSelect = document.getElementById("voice-select");
+    this.playbackStatus = document.getElementById("playback-status");
+    this.speakWordBtn = document.getElementById("speak-word-btn");
+    this.quizBtn = document.getElementById("quiz-btn");
+    this.quizSection = document.getElementById("quiz-section");
+    this.quizScores = document.getElementById("quiz-scores");
+    this.quizQuestions = document.getElementById("quiz-questions");
+    this.quizResult = document.getElementById("quiz-result");
+    this.checkQuizBtn = document.getElementById("check-quiz-btn");
+    this.retryQuizBtn = document.getElementById("retry-quiz-btn");
+    this.newQuizBtn = document.getElementById("new-quiz-btn");
+    this.closeQuizBtn = document.getElementById("close-quiz-btn");
+    this.grammarPanel = document.getElementById("grammar-panel");
+    this.grammarPanelSelection = document.getElementById("grammar-panel-selection");
+    this.grammarPanelPoints = document.getElementById("grammar-panel-points");
+    this.grammarPanelStatus = document.getElementById("grammar-panel-status");
+    this.askGrammarBtn = document.getElementById("ask-grammar-btn");
+    this.closeGrammarPanelBtn = document.getElementById("close-grammar-panel-btn");
+    this.clozeBtn = document.getElementById("cloze-btn");
+    this.clozeSection = document.getElementById("cloze-section");
+    this.clozeInputs = {
+      kind: document.getElementById("cloze-kind-select"),
+      level: document.getElementById("cloze-level-select"),
+      mode: document.getElementById("cloze-mode-select"),
+    };
+    this.clozeText = document.getElementById("cloze-text");
+    this.clozeResult = document.getElementById("cloze-result");
+    this.checkClozeBtn = document.getElementById("check-cloze-btn");
+    this.newClozeBtn = document.getElementById("new-cloze-btn");
+    this.closeClozeBtn = document.getElementById("close-cloze-btn");
+    this.writingBtn = document.getElementById("writing-btn");
+    this.writingSection = document.getElementById("writing-section");
+    this.writingKindSelect = document.getElementById("writing-kind-select");
+    this.writingInput = document.getElementById("writing-input");
+    this.checkWritingBtn = document.getElementById("check-writing-btn");
+    this.closeWritingBtn = document.getElementById("close-writing-btn");
+    this.writingResult = document.getElementById("writing-result");
+    this.writingComment = document.getElementById("writing-comment");
+    this.writingDiff = document.getElementById("writing-diff");
+    this.writingCorrections = document.getElementById("writing-corrections");
+    this.writingStats = document.getElementById("writing-stats");
+    this.writingStatsBody = document.getElementById("writing-stats-body");
     this.toggleBtn = document.getElementById("toggle-language");
+    this.storySource = document.getElementById("story-source");
+    this.furiganaSelect = document.getElementById("furigana-mode");
     this.wordPopup = document.getElementById("word-popup");
     this.popupWord = document.getElementById("popup-word");
     this.popupMeaning = document.getElementById("popup-meaning");
     this.copyBtn = document.getElementById("copy-btn");
     this.closePopupBtn = document.getElementById("close-popup");
+    this.dictionaryFileInput = document.getElementById("dictionary-file-input");
+    this.importDictionaryBtn = document.getElementById("import-dictionary-btn");
+    this.dictionaryStatus = document.getElementById("dictionary-status");
+    this.definitionCacheStatus = document.getElementById("definition-cache-status");
+    this.definitionCacheFileInput = document.getElementById("definition-cache-file-input");
+    this.importDefinitionsBtn = document.getElementById("import-definitions-btn");
+    this.exportDefinitionsBtn = document.getElementById("export-definitions-btn");
+    this.clearDefinitionsBtn = document.getElementById("clear-definitions-btn");
+    this.saveCardBtn = document.getElementById("save-card-btn");
+    this.reviewBtn = document.getElementById("review-btn");
+    this.dueCount = document.getElementById("due-count");
+    this.reviewSection = document.getElementById("review-section");
+    this.reviewProgress = document.getElementById("review-progress");
+    this.reviewFront = document.getElementById("review-front");
+    this.reviewBack = document.getElementById("review-back");
+    this.showAnswerBtn = document.getElementById("show-answer-btn");
+    this.gradeButtons = document.getElementById("grade-buttons");
+    this.closeReviewBtn = document.getElementById("close-review-btn");
+    this.libraryBtn = document.getElementById("library-btn");
+    this.librarySidebar = document.getElementById("library-sidebar");
+    this.librarySearch = document.getElementById("library-search");
+    this.libraryList = document.getElementById("library-list");
+    this.closeLibraryBtn = document.getElementById("close-library-btn");
+    this.exportApkgBtn = document.getElementById("export-apkg-btn");
+    this.exportCsvBtn = document.getElementById("export-csv-btn");
+    this.exportTsvBtn = document.getElementById("export-tsv-btn");
 
     // Load saved data
     this.loadApiKey();
     this.loadPrompt();
+    this.loadGeneratorSettings();
+    this.loadClozeSettings();
+    this.furiganaMode = localStorage.getItem("furigana_mode") || "off";
+    this.furiganaSelect.value = this.furiganaMode;
+    this.viewMode = localStorage.getItem("reader_view") || "side-by-side";
+    this.viewModeSelect.value = this.viewMode;
+    this.highlightLevel = Number(localStorage.getItem("level_highlight")) || 0;
+    this.levelHighlightSelect.value = String(this.highlightLevel);
   }
 
   bindEvents() {
     this.generateBtn.addEventListener("click", () => this.generateStory());
-    this.loadArticleBtn.addEventListener("click", () => this.loadRandomArticle());
+    this.loadArticleBtn.addEventListener("click", () => this.toggleNewsPanel());
+    this.newsSourceSelect.addEventListener("change", () => {
+      this.saveNewsSettings({ category: "" });
+      this.refreshHeadlines();
+    });
+    [this.newsApiKeyInput, this.newsFeedUrlInput, this.newsCategorySelect, this.newsKeywordInput].forEach((input) => {
+      input.addEventListener("change", () => {
+        this.saveNewsSettings();
+        this.refreshHeadlines();
+      });
+    });
+    this.refreshNewsBtn.addEventListener("click", () => this.refreshHeadlines());
+    this.newsList.addEventListener("click", (e) => this.handleHeadlineClick(e));
+    this.clearReadBtn.addEventListener("click", () => {
+      this.news.clearRead();
+      this.refreshHeadlines();
+    });
     this.loadUrlBtn.addEventListener("click", () => this.loadFromUrl());
     this.loadTextBtn.addEventListener("click", () => this.loadFromText());
+    this.cancelRequestBtn.addEventListener("click", () => {
+      if (this.requestController) this.requestController.abort();
+    });
     this.toggleBtn.addEventListener("click", () => this.toggleLanguage());
+    this.furiganaSelect.addEventListener("change", () => this.setFuriganaMode(this.furiganaSelect.value));
+    this.viewModeSelect.addEventListener("change", () => this.setViewMode(this.viewModeSelect.value));
+    this.levelHighlightSelect.addEventListener("change", () => this.setHighlightLevel(Number(this.levelHighlightSelect.value)));
+    this.revealAllBtn.addEventListener("click", () => this.toggleAllTranslations());
+    this.parallelStory.addEventListener("click", (e) => this.handleParallelClick(e));
+    this.parallelStory.addEventListener("click", (e) => this.handleSentenceClick(e));
+    this.japaneseStory.addEventListener("click", (e) => this.handleSentenceClick(e));
+    this.bindWordEvents(this.japaneseStory);
+    this.bindWordEvents(this.parallelStory);
+    this.playBtn.addEventListener("click", () => this.togglePlayback());
+    this.stopBtn.addEventListener("click", () => this.speech.stop());
+    this.speechRateSelect.addEventListener("change", () => this.saveSpeechSettings());
+    this.loopSentenceInput.addEventListener("change", () => this.saveSpeechSettings());
+    this.voiceSelect.addEventListener("change", () => this.saveSpeechSettings());
+    this.speakWordBtn.addEventListener("click", () => this.speech.speakText(this.currentWord));
+    this.quizBtn.addEventListener("click", () => this.startQuiz());
+    this.newQuizBtn.addEventListener("click", () => this.startQuiz(true));
+    this.checkQuizBtn.addEventListener("click", () => this.checkQuiz());
+    this.retryQuizBtn.addEventListener("click", () => this.renderQuiz());
+    this.closeQuizBtn.addEventListener("click", () => this.quizSection.classList.add("hidden"));
+    this.askGrammarBtn.addEventListener("click", () => this.askGrammar());
+    this.closeGrammarPanelBtn.addEventListener("click", () => this.grammarPanel.classList.add("hidden"));
+    // Touch selections have no mouseup, so the panel opens once the selection
+    // stops changing; with a mouse it waits for the button to be released
+    document.addEventListener("selectionchange", () => this.scheduleGrammarSelection());
+    document.addEventListener("mousedown", () => { this.pointerSelecting = true; });
+    document.addEventListener("mouseup", () => {
+      this.pointerSelecting = false;
+      this.scheduleGrammarSelection();
+    });
+    this.clozeBtn.addEventListener("click", () => this.startCloze());
+    this.newClozeBtn.addEventListener("click", () => this.startCloze());
+    this.checkClozeBtn.addEventListener("click", () => this.checkCloze());
+    this.closeClozeBtn.addEventListener("click", () => this.clozeSection.classList.add("hidden"));
+    this.writingBtn.addEventListener("click", () => this.startWriting());
+    this.checkWritingBtn.addEventListener("click", () => this.checkWriting());
+    this.closeWritingBtn.addEventListener("click", () => this.writingSection.classList.add("hidden"));
+    this.writingStats.addEventListener("toggle", () => {
+      if (this.writingStats.open) this.renderMistakeStats();
+    });
+    this.clozeText.addEventListener("input", (e) => this.convertClozeInput(e));
+    Object.values(this.clozeInputs).forEach((input) => {
+      input.addEventListener("change", () => {
+        this.saveClozeSettings();
+        this.startCloze();
+      });
+    });
     this.copyBtn.addEventListener("click", () => this.copyToClipboard());
+    this.saveCardBtn.addEventListener("click", () => this.saveToDeck());
+    this.reviewBtn.addEventListener("click", () => this.startReview());
+    this.showAnswerBtn.addEventListener("click", () => this.showAnswer());
+    this.closeReviewBtn.addEventListener("click", () => this.endReview());
+    this.libraryBtn.addEventListener("click", () => this.openLibrary());
+    this.closeLibraryBtn.addEventListener("click", () => this.librarySidebar.classList.add("hidden"));
+    this.librarySearch.addEventListener("input", () => this.renderLibrary());
+    this.libraryList.addEventListener("click", (e) => this.handleLibraryClick(e));
+    this.exportApkgBtn.addEventListener("click", () => this.exportDeck("apkg"));
+    this.exportCsvBtn.addEventListener("click", () => this.exportDeck("csv"));
+    this.exportTsvBtn.addEventListener("click", () => this.exportDeck("tsv"));
+    this.gradeButtons.querySelectorAll(".grade-btn").forEach((button) => {
+      button.addEventListener("click", () => this.gradeCard(button.dataset.grade));
+    });
     this.closePopupBtn.addEventListener("click", () => this.hidePopup());
+    this.wordStatusButtons.addEventListener("click", (e) => {
+      const button = e.target.closest("[data-status]");
+      if (button) this.setWordStatus(button.dataset.status);
+    });
+    this.wordStatsBtn.addEventListener("click", () => this.openWordStats());
+    this.closeWordStatsBtn.addEventListener("click", () => this.wordStatsSection.classList.add("hidden"));
+    this.importKnownBtn.addEventListener("click", () => this.knownWordsFileInput.click());
+    this.knownWordsFileInput.addEventListener("change", () => this.importKnownWords());
+    document.addEventListener("keydown", (e) => this.handleShortcut(e));
+    this.importDictionaryBtn.addEventListener("click", () => this.dictionaryFileInput.click());
+    this.dictionaryFileInput.addEventListener("change", () => this.importDictionary());
+    this.importDefinitionsBtn.addEventListener("click", () => this.definitionCacheFileInput.click());
+    this.definitionCacheFileInput.addEventListener("change", () => this.importDefinitionCache());
+    this.exportDefinitionsBtn.addEventListener("click", () => this.exportDefinitionCache());
+    this.clearDefinitionsBtn.addEventListener("click", () => this.clearDefinitionCache());
+    this.importKanjiBtn.addEventListener("click", () => this.kanjiFileInput.click());
+    this.kanjiFileInput.addEventListener("change", () => this.importKanjiData());
+    this.kanjiBreakdown.addEventListener("click", (e) => {
+      // Restarting the CSS animation needs a fresh element
+      const diagram = e.target.closest(".stroke-order");
+      if (diagram) diagram.replaceWith(diagram.cloneNode(true));
+    });
     document.addEventListener("click", (e) => this.handleDocumentClick(e));
 
     // Save data when changed
     this.apiKeyInput.addEventListener("input", () => this.saveApiKey());
+    this.providerSelect.addEventListener("change", () => this.selectProvider());
+    this.providerBaseUrl.addEventListener("input", () => this.saveProviderSettings());
+    this.providerModel.addEventListener("input", () => this.saveProviderSettings());
+    this.taskSettings.addEventListener("input", () => this.saveProviderSettings());
     this.promptInput.addEventListener("input", () => this.savePrompt());
+    Object.values(this.generatorInputs).forEach((input) => {
+      input.addEventListener("change", () => this.saveGeneratorSettings());
+    });
 
     // Enter key to generate
     this.promptInput.addEventListener("keydown", (e) => {
@@ -65,6 +374,90 @@ class JapaneseStudyApp {
     localStorage.setItem("openai_api_key", this.apiKeyInput.value);
   }
 
+  loadProviderSettings() {
+    const { provider, tasks } = this.llm.settings;
+    this.providerSelect.value = provider;
+    this.taskSettings.querySelectorAll("[data-task]").forEach((input) => {
+      const saved = tasks[input.dataset.task] || {};
+      input.value = saved[input.dataset.setting] !== undefined ? saved[input.dataset.setting] : "";
+      input.placeholder = LLM_TASK_DEFAULTS[input.dataset.task][input.dataset.setting] || "provider default";
+    });
+    this.updateProviderFields();
+  }
+
+  saveProviderSettings() {
+    const tasks = {};
+    this.taskSettings.querySelectorAll("[data-task]").forEach((input) => {
+      if (input.value.trim() === "") return;
+      tasks[input.dataset.task] = { ...tasks[input.dataset.task], [input.dataset.setting]: input.value.trim() };
+    });
+
+    this.llm.saveSettings({ tasks });
+    this.llm.saveProviderSettings({
+      baseUrl: this.providerBaseUrl.value.trim(),
+      model: this.providerModel.value.trim(),
+    });
+  }
+
+  // Each provider keeps its own base URL and model, so switching shows those
+  selectProvider() {
+    this.llm.saveSettings({ provider: this.providerSelect.value });
+    this.updateProviderFields();
+  }
+
+  // Only show the inputs the selected provider uses
+  updateProviderFields() {
+    const info = this.llm.providerInfo;
+    const { baseUrl, model } = this.llm.providerSettings;
+    this.providerBaseUrl.value = baseUrl;
+    this.providerModel.value = model;
+    const isMock = this.llm.settings.provider === "mock";
+    this.apiKeyInput.classList.toggle("hidden", this.llm.settings.provider === "ollama" || isMock);
+    this.providerBaseUrl.classList.toggle("hidden", this.llm.settings.provider === "openai" || isMock);
+    this.providerModel.classList.toggle("hidden", isMock);
+    this.apiKeyInput.placeholder = info.needsApiKey ? "Enter your OpenAI API key" : "API key (optional)";
+    this.providerBaseUrl.placeholder = `Base URL (${info.baseUrl})`;
+    this.providerModel.placeholder = `Model (${info.model})`;
+  }
+
+  loadSpeechSettings() {
+    const saved = localStorage.getItem("speech_settings");
+    const settings = saved ? JSON.parse(saved) : {};
+    this.speech.rate = Number(settings.rate) || 1;
+    this.speech.loop = Boolean(settings.loop);
+    this.speech.voiceName = settings.voice || "";
+    this.speechRateSelect.value = String(this.speech.rate);
+    this.loopSentenceInput.checked = this.speech.loop;
+
+    // Voices can load after the page does
+    this.populateVoices();
+    if (this.speech.supported) {
+      speechSynthesis.addEventListener("voiceschanged", () => this.populateVoices());
+    }
+  }
+
+  saveSpeechSettings() {
+    this.speech.loop = this.loopSentenceInput.checked;
+    this.speech.setRate(Number(this.speechRateSelect.value));
+    this.speech.setVoice(this.voiceSelect.value);
+    localStorage.setItem("speech_settings", JSON.stringify({
+      rate: this.speech.rate,
+      loop: this.speech.loop,
+      voice: this.speech.voiceName,
+    }));
+  }
+
+  populateVoices() {
+    const voices = this.speech.voices();
+    const current = this.speech.voice();
+    this.voiceSelect.innerHTML = voices.map((voice) =>
+      `<option value="${this.escapeHtml(voice.name)}">${this.escapeHtml(voice.name)}</option>`).join("");
+    if (current) this.voiceSelect.value = current.name;
+    this.voiceSelect.classList.toggle("hidden", voices.length < 2);
+    this.speakWordBtn.classList.toggle("hidden", voices.length === 0);
+    this.updatePlaybackBar();
+  }
+
   loadPrompt() {
     const savedPrompt = localStorage.getItem("story_prompt");
     if (savedPrompt) {
@@ -76,29 +469,247 @@ class JapaneseStudyApp {
     localStorage.setItem("story_prompt", this.promptInput.value);
   }
 
-  async generateStory() {
-    const prompt = this.promptInput.value.trim();
-    const apiKey = this.apiKeyInput.value.trim();
+  loadGeneratorSettings() {
+    const saved = JSON.parse(localStorage.getItem("generator_settings") || "{}");
+    Object.entries(this.generatorInputs).forEach(([key, input]) => {
+      if (saved[key] !== undefined) input.value = saved[key];
+    });
+  }
+
+  saveGeneratorSettings() {
+    const settings = {};
+    Object.entries(this.generatorInputs).forEach(([key, input]) => {
+      settings[key] = input.value;
+    });
+    localStorage.setItem("generator_settings", JSON.stringify(settings));
+  }
+
+  loadClozeSettings() {
+    const saved = JSON.parse(localStorage.getItem("cloze_settings") || "{}");
+    Object.entries(this.clozeInputs).forEach(([key, input]) => {
+      if (saved[key] !== undefined) input.value = saved[key];
+    });
+    this.clozeInputs.level.classList.toggle("hidden", this.clozeInputs.kind.value !== "vocabulary");
+  }
+
+  saveClozeSettings() {
+    const settings = {};
+    Object.entries(this.clozeInputs).forEach(([key, input]) => {
+      settings[key] = input.value;
+    });
+    localStorage.setItem("cloze_settings", JSON.stringify(settings));
+    this.clozeInputs.level.classList.toggle("hidden", this.clozeInputs.kind.value !== "vocabulary");
+  }
+
+  getStoryRequest() {
+    const list = (input) => input.value.split(/[,、，]/).map((item) => item.trim()).filter(Boolean);
+    return {
+      level: this.generatorInputs.level.value,
+      style: this.generatorInputs.style.value,
+      length: Number(this.generatorInputs.length.value),
+      topic: this.generatorInputs.topic.value.trim(),
+      grammar: list(this.generatorInputs.grammar),
+      vocabulary: list(this.generatorInputs.vocabulary),
+      instructions: this.promptInput.value.trim(),
+    };
+  }
+
+  buildStoryPrompt(request) {
+    const lines = [
+      `JLPT level: ${request.level}. Use vocabulary and grammar suited to a JLPT ${request.level} learner; avoid anything much harder.`,
+      `Writing style: ${STORY_STYLES[request.style]}.`,
+      `Length: about ${request.length} Japanese characters.`,
+    ];
+    if (request.topic) lines.push(`Topic: ${request.topic}`);
+    if (request.grammar.length > 0) lines.push(`Grammar points to use (each at least once): ${request.grammar.join(", ")}`);
+    if (request.vocabulary.length > 0) lines.push(`Vocabulary to include: ${request.vocabulary.join(", ")}`);
+    if (request.instructions) lines.push(`Other instructions: ${request.instructions}`);
+    return lines.join("\n");
+  }
+
+  updateDictionaryStatus(message) {
+    if (message) {
+      this.dictionaryStatus.textContent = message;
+      return;
+    }
+
+    const info = this.dictionary.getInfo();
+    this.dictionaryStatus.textContent = info
+      ? `Offline dictionary: ${info.name} (${info.entries.toLocaleString()} entries)`
+      : "No offline dictionary loaded - word lookups use OpenAI";
+  }
+
+  async importDictionary() {
+    const file = this.dictionaryFileInput.files[0];
+    if (!file) return;
+
+    this.importDictionaryBtn.disabled = true;
+    this.updateDictionaryStatus(`Reading ${file.name}...`);
+
+    try {
+      const info = await this.dictionary.importFile(file, (saved, total) => {
+        this.updateDictionaryStatus(`Importing dictionary... ${saved.toLocaleString()} / ${total.toLocaleString()}`);
+      });
+      console.log(`✓ Imported ${info.entries} dictionary entries from ${info.name}`);
+      this.fallbackDefinitions.clear();
+      this.updateDictionaryStatus();
+    } catch (error) {
+      console.error("Error importing dictionary:", error);
+      alert("Could not import dictionary. Please use a JMdict XML or EDICT file.");
+      this.updateDictionaryStatus();
+    } finally {
+      this.importDictionaryBtn.disabled = false;
+      this.dictionaryFileInput.value = "";
+    }
+  }
+
+  async loadDefinitionCache() {
+    try {
+      await this.definitionCache.load();
+    } catch (error) {
+      console.error("Failed to load definition cache:", error);
+    }
+    this.updateDefinitionCacheStatus();
+  }
+
+  updateDefinitionCacheStatus() {
+    const size = this.definitionCache.size;
+    this.definitionCacheStatus.textContent = `${size.toLocaleString()} saved AI definition${size === 1 ? "" : "s"}`;
+    this.exportDefinitionsBtn.disabled = size === 0;
+    this.clearDefinitionsBtn.disabled = size === 0;
+  }
+
+  // Fetches definitions for every word in the new text that neither the
+  // offline dictionary nor the cache has, so its popups open straight away
+  async prefetchDefinitions() {
+    if (!this.llm.isReady()) return;
+    const text = this.currentJapaneseText;
+
+    try {
+      const words = new Map();
+      this.tokenizer.segmentWords(text).forEach((word) => {
+        if (word.clickable && !words.has(word.baseForm)) words.set(word.baseForm, word);
+      });
+
+      const lemmas = [];
+      for (const [lemma, word] of words) {
+        if (this.fallbackDefinitions.has(lemma) || this.definitionCache.get(lemma)) continue;
+        if (this.dictionary.getInfo()) {
+          const inflection = this.resolveInflection(word.surface, lemma);
+          if (await this.dictionary.lookupDefinition(word.surface, [{ term: lemma }, ...inflection.candidates])) continue;
+        }
+        lemmas.push(lemma);
+      }
+      // Another text was opened while the dictionary was searched
+      if (lemmas.length === 0 || text !== this.currentJapaneseText) return;
+
+      const added = await this.definitionCache.prefetch(lemmas);
+      console.log(`✓ Prefetched ${added} of ${lemmas.length} definitions`);
+      this.updateDefinitionCacheStatus();
+    } catch (error) {
+      // Popups still look words up one at a time
+      console.error("Definition prefetch failed:", error);
+    }
+  }
+
+  exportDefinitionCache() {
+    this.downloadBlob(this.definitionCache.export(), "japanese-study-definitions.json");
+  }
+
+  async importDefinitionCache() {
+    const file = this.definitionCacheFileInput.files[0];
+    this.definitionCacheFileInput.value = "";
+    if (!file) return;
+
+    try {
+      const { added, skipped } = await this.definitionCache.import(await file.text());
+      alert(`Added ${added} definition${added === 1 ? "" : "s"}${skipped > 0 ? ` (${skipped} already saved or invalid)` : ""}.`);
+    } catch (error) {
+      console.error("Definition cache import failed:", error);
+      alert(`Could not import definitions: ${error.message}`);
+    }
+    this.updateDefinitionCacheStatus();
+  }
+
+  async clearDefinitionCache() {
+    if (!confirm("Delete all saved AI definitions? Words will be looked up again when you click them.")) return;
+
+    try {
+      await this.definitionCache.clear();
+    } catch (error) {
+      console.error("Failed to clear definition cache:", error);
+      alert("Could not clear the saved definitions.");
+    }
+    this.updateDefinitionCacheStatus();
+  }
+
+  updateKanjiStatus(message) {
+    if (message) {
+      this.kanjiStatus.textContent = message;
+      return;
+    }
+
+    const info = this.kanji.getInfo();
+    this.kanjiStatus.textContent = info.kanji || info.strokes
+      ? `Kanji data: ${info.kanji.toLocaleString()} KANJIDIC entries, ${info.strokes.toLocaleString()} stroke diagrams`
+      : "Kanji data: bundled sample only";
+  }
+
+  // Several KanjiVG SVG files can be picked at once
+  async importKanjiData() {
+    const files = Array.from(this.kanjiFileInput.files);
+    if (files.length === 0) return;
+
+    this.importKanjiBtn.disabled = true;
+    try {
+      for (const [index, file] of files.entries()) {
+        this.updateKanjiStatus(`Importing ${file.name}... (${index + 1} / ${files.length})`);
+        await this.kanji.importText(await this.dictionary.readFile(file));
+      }
+      this.updateKanjiStatus();
+    } catch (error) {
+      console.error("Error importing kanji data:", error);
+      alert("Could not import kanji data. Please use a KANJIDIC, kanjidic2.xml or KanjiVG file.");
+      this.updateKanjiStatus();
+    } finally {
+      this.importKanjiBtn.disabled = false;
+      this.kanjiFileInput.value = "";
+    }
+  }
 
-    if (!apiKey) {
-      alert("Please enter your OpenAI API key");
+  async generateStory() {
+    const request = this.getStoryRequest();
+    if (!this.llm.isReady()) {
+      alert("Please enter your OpenAI API key or choose another AI provider");
       return;
     }
 
-    if (!prompt) {
-      alert("Please enter a story prompt");
+    if (!request.topic && !request.instructions) {
+      alert("Please enter a topic or story prompt");
       return;
     }
 
+    const prompt = this.buildStoryPrompt(request);
+
     this.showLoading(true);
     this.generateBtn.disabled = true;
+    const signal = this.startCancellableRequest();
 
     try {
-      const stories = await this.callOpenAIService(prompt, apiKey);
+      const stories = await this.requestStory(prompt, {
+        signal,
+        onText: this.previewUpdater((content) => this.streamedSentences(content, "japanese", ""), "ja"),
+      });
+      const title = `${request.topic || request.instructions.slice(0, 60)} (${request.level})`;
+      stories.source = { title: stories.incomplete ? `${title} (incomplete)` : title };
+      stories.prompt = prompt;
       this.displayStories(stories);
-      this.storySection.classList.remove("hidden");
-      this.toggleBtn.classList.remove("hidden");
+      this.saveToLibrary(stories);
+      if (stories.incomplete && !signal.aborted) {
+        alert("The connection dropped before the story was finished. Showing the part that arrived.");
+      }
     } catch (error) {
+      if (error.name === "AbortError") return;
       console.error("Error generating story:", error);
       let errorMessage = "Error generating story. Please try again.";
 
@@ -117,67 +728,166 @@ class JapaneseStudyApp {
     }
   }
 
-  async loadRandomArticle() {
-    const apiKey = this.apiKeyInput.value.trim();
-
-    if (!apiKey) {
-      alert("Please enter your OpenAI API key (needed for translations and word definitions)");
-      return;
+  toggleNewsPanel() {
+    const opening = this.newsPanel.classList.contains("hidden");
+    this.newsPanel.classList.toggle("hidden", !opening);
+    if (opening) {
+      this.loadNewsSettings();
+      this.refreshHeadlines();
     }
+  }
 
-    this.showLoading(true, "Loading Japanese news article...");
-    this.loadArticleBtn.disabled = true;
+  loadNewsSettings() {
+    const settings = this.news.settings;
+    this.newsSourceSelect.value = settings.source;
+    this.newsApiKeyInput.value = settings.apiKey;
+    this.newsFeedUrlInput.value = settings.feedUrl;
+    this.newsKeywordInput.value = settings.keyword;
+    this.updateNewsFields();
+  }
+
+  saveNewsSettings(changes = {}) {
+    this.news.saveSettings({
+      source: this.newsSourceSelect.value,
+      apiKey: this.newsApiKeyInput.value.trim(),
+      feedUrl: this.newsFeedUrlInput.value.trim(),
+      category: this.newsCategorySelect.value,
+      keyword: this.newsKeywordInput.value.trim(),
+      ...changes,
+    });
+    this.updateNewsFields();
+  }
+
+  // Shows the inputs the chosen source needs and its own categories
+  updateNewsFields() {
+    const info = this.news.sourceInfo;
+    this.newsApiKeyInput.classList.toggle("hidden", !info.needsApiKey);
+    this.newsFeedUrlInput.classList.toggle("hidden", !info.needsFeedUrl);
+    this.newsCategorySelect.classList.toggle("hidden", !info.categories);
+    this.newsCategorySelect.innerHTML = Object.entries(info.categories || {})
+      .map(([value, label]) => `<option value="${this.escapeHtml(value)}">${this.escapeHtml(label)}</option>`)
+      .join("");
+    this.newsCategorySelect.value = this.news.settings.category;
+  }
+
+  async refreshHeadlines() {
+    this.newsList.innerHTML = "";
+    this.newsStatus.textContent = "Loading headlines...";
+    this.clearReadBtn.classList.add("hidden");
+    this.refreshNewsBtn.disabled = true;
 
     try {
-      // Fetch articles from gnews.io
-      const gnewsApiKey = "1f9085c99be0f7d69c80bb8a290e600b";
-      const response = await fetch(
-        `https://gnews.io/api/v4/top-headlines?country=jp&lang=ja&apikey=${gnewsApiKey}`
-      );
+      const { items, readCount } = await this.news.headlines();
+      this.newsHeadlines = items;
+      this.newsReadCount = readCount;
+      this.renderHeadlines();
+    } catch (error) {
+      console.error("Error loading headlines:", error);
+      let errorMessage = `Could not load headlines: ${error.message}`;
 
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      if (error.message.includes("403")) {
+        errorMessage = "API access denied. Check your GNews API key.";
+      } else if (error.message.includes("429")) {
+        errorMessage = "API rate limit exceeded. Please wait and try again.";
+      } else if (error.message.includes("Failed to fetch")) {
+        errorMessage = "Network error. Please check your connection, or try the offline sample feed.";
       }
 
-      const data = await response.json();
+      this.newsStatus.textContent = errorMessage;
+    } finally {
+      this.refreshNewsBtn.disabled = false;
+    }
+  }
+
+  renderHeadlines() {
+    this.newsList.innerHTML = this.newsHeadlines.map((item, index) => {
+      const date = item.publishedAt ? new Date(item.publishedAt) : null;
+      // Feeds only give a summary, but it is enough for a first guess at the level
+      const level = this.difficulty.analyze(item.content || item.description || item.title).level;
+      const meta = [item.sourceName, date && !isNaN(date) ? date.toLocaleDateString() : ""].filter(Boolean).join(" · ");
+      return `<li>
+        <button class="headline" data-index="${index}">
+          <span class="headline-title">${this.escapeHtml(item.title)}</span>
+          <small class="headline-meta">${level ? `<span class="level-badge">≈ N${level}</span> ` : ""}${this.escapeHtml(meta)}</small>
+          ${item.description ? `<span class="headline-description">${this.escapeHtml(item.description)}</span>` : ""}
+        </button>
+      </li>`;
+    }).join("");
+
+    const count = this.newsHeadlines.length;
+    let status = count > 0 ? `${count} headline${count === 1 ? "" : "s"}` : "No unread headlines match";
+    if (this.newsReadCount > 0) status += ` · ${this.newsReadCount} already read hidden`;
+    this.newsStatus.textContent = status;
+    this.clearReadBtn.classList.toggle("hidden", this.newsReadCount === 0);
+  }
 
-      if (!data.articles || data.articles.length === 0) {
-        throw new Error("No articles found");
-      }
+  handleHeadlineClick(event) {
+    const button = event.target.closest(".headline");
+    if (!button || this.loadArticleBtn.disabled) return;
+    this.loadNewsArticle(this.newsHeadlines[Number(button.dataset.index)]);
+  }
+
+  async loadNewsArticle(item) {
+    if (!this.llm.isReady()) {
+      alert("Please enter your OpenAI API key or choose another AI provider (needed for translations and word definitions)");
+      return;
+    }
 
-      // Pick a random article
-      const randomArticle = data.articles[Math.floor(Math.random() * data.articles.length)];
+    this.showLoading(true, "Loading Japanese news article...");
+    this.loadArticleBtn.disabled = true;
+    const signal = this.startCancellableRequest();
 
-      // Clean up the content - remove truncation indicators like "... [568 chars]"
-      let cleanContent = randomArticle.content || "";
-      cleanContent = cleanContent.replace(/\.\.\.\s*\[\d+\s*chars?\]$/i, "...");
+    try {
+      // Feeds usually carry only a summary, so fetch the full article and
+      // fall back to the summary when the page can't be read
+      let body = [item.title, item.description, item.content].filter(Boolean).join("\n\n");
+      let article = null;
+      if (this.news.sourceInfo.fullText && item.content) {
+        body = `${item.title}\n\n${item.content}`;
+      } else {
+        try {
+          article = await this.fetchArticle(item.url, signal);
+          if (article.text.length > body.length) body = article.text;
+        } catch (fetchError) {
+          if (fetchError.name === "AbortError") throw fetchError;
+          console.warn("Using the feed summary instead of the full article:", fetchError);
+        }
+      }
 
       // Build Japanese text with source link
-      const japaneseText = `${randomArticle.title}\n\n${randomArticle.description || ""}\n\n${cleanContent}\n\n---\n出典: ${randomArticle.source.name}\n記事全文: ${randomArticle.url}`;
+      const japaneseText = `${body}\n\n---\n出典: ${item.sourceName}\n記事全文: ${item.url}`;
 
       // Translate to English using OpenAI
       this.showLoading(true, "Translating article to English...");
-      const englishTranslation = await this.translateArticle(japaneseText, apiKey, "ja-to-en");
+      const translation = await this.translateArticle(japaneseText, "ja-to-en", signal);
 
       // Create story object with article content
       const stories = {
         japanese: japaneseText,
-        english: englishTranslation,
-        wordDefinitions: new Map()
+        english: translation.text,
+        sentences: translation.sentences,
+        wordDefinitions: new Map(),
+        source: {
+          title: item.title,
+          url: item.url,
+          author: article ? article.author : null,
+          published: (article && article.published) || item.publishedAt,
+        },
       };
 
       this.displayStories(stories);
-      this.storySection.classList.remove("hidden");
-      this.toggleBtn.classList.remove("hidden");
+      this.saveToLibrary(stories);
+      this.news.markRead(item.url);
+      this.newsHeadlines = this.newsHeadlines.filter((headline) => headline !== item);
+      this.newsReadCount++;
+      this.renderHeadlines();
+      this.reportUntranslated(translation, signal);
     } catch (error) {
+      if (error.name === "AbortError") return;
       console.error("Error loading article:", error);
       let errorMessage = "Error loading article. Please try again.";
 
-      if (error.message.includes("403")) {
-        errorMessage = "API access denied. The gnews.io API key may be invalid.";
-      } else if (error.message.includes("429")) {
-        errorMessage = "API rate limit exceeded. Please wait and try again.";
-      } else if (error.message.includes("network")) {
+      if (error.message.includes("network")) {
         errorMessage = "Network error. Please check your connection.";
       }
 
@@ -188,45 +898,62 @@ class JapaneseStudyApp {
     }
   }
 
-  async translateArticle(text, apiKey, direction = "ja-to-en") {
-    try {
-      const systemPrompt = direction === "ja-to-en"
-        ? "You are a professional translator. Translate the following Japanese news article to natural, fluent English. Maintain the paragraph structure and formatting."
-        : "You are a professional translator. Translate the following English news article to natural, fluent Japanese. Maintain the paragraph structure and formatting.";
+  // Returns { text, sentences, failed, total }: the full translation plus
+  // sentence pairs for the bilingual reader. Long articles are translated in
+  // chunks (see ArticleTranslator) that stream into the loading preview;
+  // chunks that failed or were cancelled are marked in place and counted in
+  // failed. A cancel before anything was translated throws.
+  async translateArticle(text, direction = "ja-to-en", signal = null) {
+    const to = direction === "ja-to-en" ? "english" : "japanese";
+    const message = this.loadingMessage.textContent;
+    const preview = this.previewUpdater((replies) => replies
+      .map((reply) => this.streamedSentences(reply, "translation", to === "english" ? " " : ""))
+      .filter(Boolean)
+      .join("\n\n"), to === "english" ? "en" : "ja");
+
+    const result = await this.translator.translate(text, {
+      direction,
+      signal,
+      onProgress: ({ replies, done, total }) => {
+        if (total > 1) this.loadingMessage.textContent = `${message} (${done} of ${total} parts)`;
+        preview(replies);
+      },
+    });
+    return { ...result, text: this.joinSentences(result.sentences, to) };
+  }
 
-      const response = await fetch("https://api.openai.com/v1/chat/completions", {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          Authorization: `Bearer ${apiKey}`,
-        },
-        body: JSON.stringify({
-          model: "gpt-4o-mini",
-          messages: [
-            {
-              role: "system",
-              content: systemPrompt,
-            },
-            {
-              role: "user",
-              content: text,
-            },
-          ],
-          temperature: 0.3,
-          max_tokens: 2000,
-        }),
-      });
+  // Tells the reader which parts of a loaded article have no translation
+  reportUntranslated(translation, signal) {
+    if (translation.failed === 0 || signal.aborted) return;
+    alert(`${translation.failed} of ${translation.total} parts of the article could not be translated. They are marked in the text; try loading it again later.`);
+  }
 
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
+  // Flattens the model's [[pair]] paragraphs into [{ japanese, english, paragraph }],
+  // dropping malformed pairs; null when nothing usable is left
+  alignSentences(paragraphs, toPair) {
+    if (!Array.isArray(paragraphs)) return null;
+    const sentences = [];
+    paragraphs.forEach((paragraph, index) => {
+      if (!Array.isArray(paragraph)) return;
+      paragraph.forEach((item) => {
+        const pair = item ? toPair(item) : null;
+        if (pair && typeof pair.japanese === "string" && typeof pair.english === "string") {
+          sentences.push({ japanese: pair.japanese.trim(), english: pair.english.trim(), paragraph: index });
+        }
+      });
+    });
+    return sentences.length > 0 ? sentences : null;
+  }
 
-      const data = await response.json();
-      return data.choices[0].message.content;
-    } catch (error) {
-      console.error("Translation error:", error);
-      return "Translation unavailable. Please check your API key and try again.";
-    }
+  // Rebuilds one side of the aligned sentences as running text
+  joinSentences(sentences, language) {
+    const separator = language === "japanese" ? "" : " ";
+    const paragraphs = [];
+    sentences.forEach((sentence) => {
+      paragraphs[sentence.paragraph] = paragraphs[sentence.paragraph] || [];
+      paragraphs[sentence.paragraph].push(sentence[language]);
+    });
+    return paragraphs.filter(Boolean).map((paragraph) => paragraph.join(separator)).join("\n\n");
   }
 
   detectLanguage(text) {
@@ -235,12 +962,29 @@ class JapaneseStudyApp {
     return japaneseRegex.test(text) ? "japanese" : "english";
   }
 
+  // Fetches a page through the CORS proxy and extracts the article,
+  // keeping its paragraphs
+  async fetchArticle(url, signal = null) {
+    const response = await fetch(NEWS_CORS_PROXY + encodeURIComponent(url), {
+      headers: {
+        'Accept': 'text/html'
+      },
+      signal,
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    const html = await response.text();
+    const doc = new DOMParser().parseFromString(html, "text/html");
+    return this.articleExtractor.extract(doc);
+  }
+
   async loadFromUrl() {
     const url = this.urlInput.value.trim();
-    const apiKey = this.apiKeyInput.value.trim();
-
-    if (!apiKey) {
-      alert("Please enter your OpenAI API key (needed for translations and word definitions)");
+    if (!this.llm.isReady()) {
+      alert("Please enter your OpenAI API key or choose another AI provider (needed for translations and word definitions)");
       return;
     }
 
@@ -251,52 +995,11 @@ class JapaneseStudyApp {
 
     this.showLoading(true, "Fetching article from URL...");
     this.loadUrlBtn.disabled = true;
+    const signal = this.startCancellableRequest();
 
     try {
-      // Use a CORS proxy to fetch the content
-      const corsProxy = "https://corsproxy.io/?";
-      const response = await fetch(corsProxy + encodeURIComponent(url), {
-        headers: {
-          'Accept': 'text/html'
-        }
-      });
-
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
-
-      const html = await response.text();
-
-      // Parse HTML and extract text content
-      const parser = new DOMParser();
-      const doc = parser.parseFromString(html, "text/html");
-
-      // Try to find article content - look for common article tags
-      let articleContent = "";
-      const articleElement = doc.querySelector("article") ||
-                           doc.querySelector("main") ||
-                           doc.querySelector(".article-body") ||
-                           doc.querySelector(".content") ||
-                           doc.querySelector("#content");
-
-      if (articleElement) {
-        // Remove script and style tags
-        articleElement.querySelectorAll("script, style, nav, footer, header").forEach(el => el.remove());
-        articleContent = articleElement.textContent;
-      } else {
-        // Fallback to body content
-        const body = doc.querySelector("body");
-        if (body) {
-          body.querySelectorAll("script, style, nav, footer, header").forEach(el => el.remove());
-          articleContent = body.textContent;
-        }
-      }
-
-      // Clean up the text
-      articleContent = articleContent
-        .replace(/\s+/g, " ")  // Replace multiple spaces with single space
-        .replace(/\n\s*\n/g, "\n\n")  // Clean up line breaks
-        .trim();
+      const article = await this.fetchArticle(url, signal);
+      const articleContent = article.text;
 
       if (!articleContent || articleContent.length < 100) {
         throw new Error("Could not extract article content from URL");
@@ -306,31 +1009,39 @@ class JapaneseStudyApp {
       const language = this.detectLanguage(articleContent);
       console.log(`Detected language: ${language}`);
 
-      let japaneseText, englishText;
+      let japaneseText, englishText, translation;
 
       if (language === "japanese") {
         // Japanese article - translate to English
         this.showLoading(true, "Translating Japanese article to English...");
+        translation = await this.translateArticle(articleContent, "ja-to-en", signal);
         japaneseText = articleContent;
-        englishText = await this.translateArticle(articleContent, apiKey, "ja-to-en");
+        englishText = translation.text;
       } else {
         // English article - translate to Japanese
         this.showLoading(true, "Translating English article to Japanese...");
+        translation = await this.translateArticle(articleContent, "en-to-ja", signal);
         englishText = articleContent;
-        japaneseText = await this.translateArticle(articleContent, apiKey, "en-to-ja");
+        japaneseText = translation.text;
       }
 
       // Create story object
       const stories = {
         japanese: japaneseText + `\n\n---\n出典: ${url}`,
         english: englishText + `\n\n---\nSource: ${url}`,
-        wordDefinitions: new Map()
+        sentences: translation.sentences && [
+          ...translation.sentences,
+          { japanese: `出典: ${url}`, english: `Source: ${url}`, paragraph: translation.sentences.length },
+        ],
+        wordDefinitions: new Map(),
+        source: { title: article.title || url, url, author: article.author, published: article.published }
       };
 
       this.displayStories(stories);
-      this.storySection.classList.remove("hidden");
-      this.toggleBtn.classList.remove("hidden");
+      this.saveToLibrary(stories);
+      this.reportUntranslated(translation, signal);
     } catch (error) {
+      if (error.name === "AbortError") return;
       console.error("Error loading URL:", error);
       let errorMessage = "Error loading article from URL. Please try again.";
 
@@ -349,10 +1060,8 @@ class JapaneseStudyApp {
 
   async loadFromText() {
     const articleText = this.articleTextInput.value.trim();
-    const apiKey = this.apiKeyInput.value.trim();
-
-    if (!apiKey) {
-      alert("Please enter your OpenAI API key (needed for translations and word definitions)");
+    if (!this.llm.isReady()) {
+      alert("Please enter your OpenAI API key or choose another AI provider (needed for translations and word definitions)");
       return;
     }
 
@@ -368,37 +1077,43 @@ class JapaneseStudyApp {
 
     this.showLoading(true, "Processing article text...");
     this.loadTextBtn.disabled = true;
+    const signal = this.startCancellableRequest();
 
     try {
       // Detect language
       const language = this.detectLanguage(articleText);
       console.log(`Detected language: ${language}`);
 
-      let japaneseText, englishText;
+      let japaneseText, englishText, translation;
 
       if (language === "japanese") {
         // Japanese article - translate to English
         this.showLoading(true, "Translating Japanese article to English...");
+        translation = await this.translateArticle(articleText, "ja-to-en", signal);
         japaneseText = articleText;
-        englishText = await this.translateArticle(articleText, apiKey, "ja-to-en");
+        englishText = translation.text;
       } else {
         // English article - translate to Japanese
         this.showLoading(true, "Translating English article to Japanese...");
+        translation = await this.translateArticle(articleText, "en-to-ja", signal);
         englishText = articleText;
-        japaneseText = await this.translateArticle(articleText, apiKey, "en-to-ja");
+        japaneseText = translation.text;
       }
 
       // Create story object
       const stories = {
         japanese: japaneseText,
         english: englishText,
-        wordDefinitions: new Map()
+        sentences: translation.sentences,
+        wordDefinitions: new Map(),
+        source: { title: articleText.split("\n")[0].slice(0, 60) }
       };
 
       this.displayStories(stories);
-      this.storySection.classList.remove("hidden");
-      this.toggleBtn.classList.remove("hidden");
+      this.saveToLibrary(stories);
+      this.reportUntranslated(translation, signal);
     } catch (error) {
+      if (error.name === "AbortError") return;
       console.error("Error processing text:", error);
       alert("Error processing article text. Please try again.");
     } finally {
@@ -407,25 +1122,33 @@ class JapaneseStudyApp {
     }
   }
 
-  async getWordDefinition(word, apiKey) {
-    // Check if we already have it cached
-    if (this.fallbackDefinitions.has(word)) {
-      return this.fallbackDefinitions.get(word);
+  async getWordDefinition(word, lemma = word) {
+    // Check if we already have it cached (keyed on the dictionary form)
+    if (this.fallbackDefinitions.has(lemma)) {
+      return this.fallbackDefinitions.get(lemma);
     }
 
     try {
-      const response = await fetch("https://api.openai.com/v1/chat/completions", {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          Authorization: `Bearer ${apiKey}`,
-        },
-        body: JSON.stringify({
-          model: "gpt-4o-mini",
-          messages: [
-            {
-              role: "system",
-              content: `You are a Japanese language teacher. Provide the reading and meaning for a Japanese word.
+      // A prefetch batch already asking about the word is waited for rather
+      // than paid for twice. The word is asked about on its own only if the
+      // batch fails, leaves it out or is slow to answer.
+      const definition = await this.definitionCache.waitFor(lemma, { timeout: DEFINITION_WAIT_MS })
+        || await this.requestWordDefinition(word, lemma);
+      this.fallbackDefinitions.set(lemma, definition);
+      return definition;
+    } catch (error) {
+      console.error(`Failed to get definition for "${word}":`, error);
+      return { reading: "?", meaning: "Definition unavailable" };
+    }
+  }
+
+  // Asks the model about one word and caches the answer, for this session
+  // and the next
+  async requestWordDefinition(word, lemma) {
+    const parsedContent = await this.llm.completeJson("definition", [
+      {
+        role: "system",
+        content: `You are a Japanese language teacher. Provide the reading and meaning for a Japanese word.
 
 Your response must be a valid JSON object with this exact structure:
 {
@@ -434,93 +1157,104 @@ Your response must be a valid JSON object with this exact structure:
 }
 
 If the word is conjugated, provide the dictionary form information.`,
-            },
-            {
-              role: "user",
-              content: `What is the reading and meaning of this Japanese word: ${word}`,
-            },
-          ],
-          temperature: 0.3,
-          max_tokens: 150,
-        }),
-      });
+      },
+      {
+        role: "user",
+        content: `What is the reading and meaning of this Japanese word: ${lemma !== word ? `${word} (dictionary form: ${lemma})` : word}`,
+      },
+    ], { context: { word, lemma } });
 
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
+    this.fallbackDefinitions.set(lemma, parsedContent);
+    this.definitionCache.set(lemma, parsedContent)
+      .then(() => this.updateDefinitionCacheStatus())
+      .catch((error) => console.error(`Failed to cache definition for "${lemma}":`, error));
 
-      const data = await response.json();
-      const content = data.choices[0].message.content;
-      
-      const parsedContent = JSON.parse(content);
-      
-      // Cache the result
-      this.fallbackDefinitions.set(word, parsedContent);
-      
-      console.log(`✓ Fetched definition for "${word}":`, parsedContent);
-      return parsedContent;
-      
-    } catch (error) {
-      console.error(`Failed to get definition for "${word}":`, error);
-      return { reading: "?", meaning: "Definition unavailable" };
-    }
+    console.log(`✓ Fetched definition for "${word}":`, parsedContent);
+    return parsedContent;
   }
 
-  async callOpenAIService(prompt, apiKey) {
-    const response = await fetch("https://api.openai.com/v1/chat/completions", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        Authorization: `Bearer ${apiKey}`,
-      },
-      body: JSON.stringify({
-        model: "gpt-4o-mini",
-        messages: [
-          {
-            role: "system",
-            content: `You are a Japanese language teacher creating study materials. Generate a Japanese story based on the user's request, along with its English translation.
+  // A stream that breaks off still yields a story from the sentences that
+  // arrived, marked incomplete: true
+  async requestStory(prompt, { signal = null, onText = null } = {}) {
+    const messages = [
+      {
+        role: "system",
+        content: `You are a Japanese language teacher creating study materials. Generate a Japanese story based on the user's request, along with its English translation.
 
 Your response must be a valid JSON object with this exact structure:
 {
-  "japanese": "The Japanese story text here",
-  "english": "The English translation here"
+  "paragraphs": [
+    [
+      { "japanese": "One sentence of the Japanese story", "english": "Its English translation" }
+    ]
+  ],
+  "grammar": [
+    {
+      "point": "Grammar point, e.g. 〜ながら",
+      "meaning": "Short English explanation",
+      "occurrences": ["Exact text copied from the Japanese story where the point is used"]
+    }
+  ]
 }
 
 Rules:
-- The Japanese story should be appropriate for the requested JLPT level
-- Focus on useful vocabulary and grammar patterns
-- Keep stories engaging but educational
-- Make the story substantial with rich vocabulary`,
-          },
-          {
-            role: "user",
-            content: prompt,
-          },
-        ],
-        temperature: 0.7,
-        max_tokens: 1500,
-      }),
-    });
+- Follow the requested JLPT level, writing style and length
+- Split the story into paragraphs and each paragraph into sentences, with exactly one English translation per Japanese sentence
+- Use every requested grammar point and vocabulary item at least once
+- List every requested grammar point in "grammar", plus up to five other notable ones you used
+- Each occurrence must be copied character for character from the Japanese story and be as short as possible: the phrase that shows the grammar, not the whole sentence
+- Keep stories engaging but educational`,
+      },
+      {
+        role: "user",
+        content: prompt,
+      },
+    ];
 
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    let parsedContent;
+    let incomplete = false;
+    try {
+      parsedContent = await this.llm.completeJson("story", messages, { signal, onText });
+    } catch (error) {
+      const partial = error.partial && this.llm.parsePartialJson(error.partial);
+      if (partial && this.alignSentences(partial.paragraphs, (item) => item)) {
+        if (error.name !== "AbortError") console.error("Story stopped part way:", error);
+        parsedContent = partial;
+        incomplete = true;
+      } else if (error instanceof SyntaxError) {
+        console.error("Failed to parse AI response:", error);
+        throw new Error("Invalid response format from AI service");
+      } else {
+        throw error;
+      }
     }
 
-    const data = await response.json();
-    const content = data.choices[0].message.content;
-    
-    try {
-      const parsedContent = JSON.parse(content);
-      
-      return {
-        japanese: parsedContent.japanese,
-        english: parsedContent.english,
-        wordDefinitions: new Map() // No predefined definitions - we'll look up dynamically
-      };
-    } catch (parseError) {
-      console.error("Failed to parse AI response:", parseError);
+    // Older-style replies with whole japanese/english texts still work, unaligned
+    const sentences = this.alignSentences(parsedContent.paragraphs, (item) => item);
+    if (!sentences && typeof parsedContent.japanese !== "string") {
       throw new Error("Invalid response format from AI service");
     }
+
+    return {
+      japanese: sentences ? this.joinSentences(sentences, "japanese") : parsedContent.japanese,
+      english: sentences ? this.joinSentences(sentences, "english") : parsedContent.english || "",
+      sentences,
+      grammar: this.normalizeGrammar(parsedContent.grammar),
+      wordDefinitions: new Map(), // No predefined definitions - we'll look up dynamically
+      incomplete,
+    };
+  }
+
+  // Drops malformed grammar entries instead of failing the whole story
+  normalizeGrammar(grammar) {
+    if (!Array.isArray(grammar)) return [];
+    return grammar
+      .filter((item) => item && typeof item.point === "string")
+      .map((item) => ({
+        point: item.point,
+        meaning: typeof item.meaning === "string" ? item.meaning : "",
+        occurrences: Array.isArray(item.occurrences) ? item.occurrences.filter((text) => typeof text === "string" && text) : [],
+      }));
   }
 
   generateMockJapaneseStory() {
@@ -579,63 +1313,710 @@ In the evening, Tanaka sat by the Trevi Fountain and reflected on the day's memo
     ]);
   }
 
+  generateMockGrammarPoints() {
+    return [
+      { point: "〜ながら", meaning: "while doing", occurrences: ["読みながら"] },
+      { point: "〜のは初めてだ", meaning: "it's the first time that ...", occurrences: ["見たのは初めてだ"] },
+      { point: "〜ていた", meaning: "was doing (ongoing action in the past)", occurrences: ["戦っていた"] },
+      { point: "〜そうになる", meaning: "to almost do, to be on the verge of", occurrences: ["出そうになった"] },
+      { point: "〜だろう", meaning: "probably, I suppose", occurrences: ["忘れられないだろう"] },
+    ];
+  }
+
+  generateMockQuizQuestions() {
+    return [
+      {
+        type: "choice",
+        question: "田中さんはどこの国から来た観光客ですか？",
+        choices: ["イタリア", "日本", "アメリカ", "フランス"],
+        answer: 1,
+        quote: "ある日、田中という名前の若い日本人観光客がローマを訪れた。",
+        explanation: "Tanaka is described as a young Japanese tourist (日本人観光客).",
+      },
+      {
+        type: "choice",
+        question: "コロッセオを見たとき、田中さんはどう感じましたか？",
+        choices: ["退屈だった", "怖かった", "圧倒された", "眠くなった"],
+        answer: 2,
+        quote: "コロッセオを見たとき、彼は古代ローマ帝国の偉大さに圧倒された。",
+        explanation: "He was overwhelmed (圧倒された) by the greatness of the Roman Empire.",
+      },
+      {
+        type: "choice",
+        question: "田中さんはガイドブックを読みながら何について学びましたか？",
+        choices: ["古代ローマ人の生活", "イタリア料理", "ミケランジェロの人生", "日本の歴史"],
+        answer: 0,
+        quote: "ガイドブックを読みながら、彼は古代ローマ人の生活について学んだ。",
+        explanation: "While reading his guidebook he learned about the life of ancient Romans.",
+      },
+      {
+        type: "short",
+        question: "田中さんはシスティーナ礼拝堂で誰の天井画を見ましたか？",
+        answer: "ミケランジェロ",
+        accepted: [],
+        quote: "システィーナ礼拝堂のミケランジェロの天井画を見上げたとき、芸術の美しさに感動で涙が出そうになった。",
+        explanation: "The ceiling paintings in the Sistine Chapel are Michelangelo's.",
+      },
+      {
+        type: "short",
+        question: "夕方、田中さんはどこのそばに座りましたか？",
+        answer: "トレビの泉",
+        accepted: ["トレビのいずみ", "トレビ"],
+        quote: "夕方になると、田中はトレビの泉のそばに座って、一日の思い出を振り返った。",
+        explanation: "In the evening he sat by the Trevi Fountain (トレビの泉).",
+      },
+    ];
+  }
+
   displayStories(stories) {
     this.wordDefinitions = stories.wordDefinitions;
-    this.japaneseStory.innerHTML = this.makeWordsClickable(stories.japanese);
-    this.englishStory.innerHTML = stories.english.replace(/\n/g, "<br>");
+    this.currentSource = stories.source || null;
+    this.currentEntryId = null;
+    this.pendingLookups = [];
+    this.currentJapaneseText = stories.japanese;
+    this.currentGrammar = stories.grammar || [];
+    this.currentSentences = stories.sentences || null;
+    this.revealedSentences = new Set();
+    this.currentQuiz = null;
+    this.quizSection.classList.add("hidden");
+    this.clozeSection.classList.add("hidden");
+    this.writingSection.classList.add("hidden");
+    this.writingInput.value = "";
+    this.writingResult.classList.add("hidden");
+    this.grammarPanel.classList.add("hidden");
+    this.speech.stop();
+    this.renderStorySource();
+    this.renderGrammarLegend();
+    this.renderDifficultyReport();
+    this.renderJapaneseStory();
+    this.englishStory.replaceChildren(this.renderer.createText(stories.english));
     this.japaneseStory.classList.add("japanese-text");
+    this.renderParallelStory();
 
+    // Stories saved before sentence alignment only have the whole-text toggle
+    this.readerControls.classList.toggle("hidden", !this.currentSentences);
+    this.playbackBar.classList.toggle("hidden", !this.speech.supported);
+    this.storySection.classList.remove("hidden");
     this.currentLanguage = "japanese";
     this.updateLanguageDisplay();
+    this.loadMissingReadings();
+    this.prefetchDefinitions();
   }
 
-  makeWordsClickable(text) {
-    let clickableText = text;
-    
-    // Define common particles and grammar elements to exclude
-    const particles = [
-      'は', 'が', 'を', 'に', 'で', 'と', 'も', 'の', 'から', 'まで', 'より', 'へ', 
-      'や', 'か', 'よ', 'ね', 'わ', 'さ', 'ぞ', 'ぜ', 'な', 'だ', 'である',
-      'です', 'ます', 'だっ', 'であっ', 'という', 'といった'
-    ];
-    
-    // Create a regex to find meaningful Japanese words/phrases
-    // This matches sequences of Japanese characters that aren't just particles
-    const meaningfulWordRegex = /([一-龯ひ-ゖヰ-ヷァ-ヺー]{1,})/g;
-    
-    let match;
-    const wordsToMakeClickable = new Set();
-    
-    // Find all potential Japanese words
-    while ((match = meaningfulWordRegex.exec(text)) !== null) {
-      const word = match[1];
-      
-      // Skip if it's just a particle or too short
-      if (!particles.includes(word) && word.length >= 1) {
-        wordsToMakeClickable.add(word);
-      }
+  // Byline for articles: author, publication date and a link to the original
+  renderStorySource() {
+    const source = this.currentSource || {};
+    const parts = [];
+    if (source.author) parts.push(`By ${this.escapeHtml(source.author)}`);
+    if (source.published) {
+      const date = new Date(source.published);
+      parts.push(Number.isNaN(date.getTime()) ? this.escapeHtml(source.published) : date.toLocaleDateString());
     }
-    
-    console.log(`Found ${wordsToMakeClickable.size} potential words to make clickable`);
-    
-    // Sort by length (longest first) to avoid partial replacements
-    const sortedWords = Array.from(wordsToMakeClickable).sort((a, b) => b.length - a.length);
-    
-    // Make each word clickable
-    sortedWords.forEach(word => {
-      // Only replace if not already wrapped in a span
-      const regex = new RegExp(`(?!<[^>]*>)(${this.escapeRegex(word)})(?![^<]*>)`, 'g');
-      clickableText = clickableText.replace(regex, 
-        `<span class="clickable-word" data-word="${word}" data-source="dynamic">${word}</span>`
-      );
+    if (source.url && /^https?:\/\//.test(source.url)) {
+      parts.push(`<a href="${this.escapeHtml(source.url)}" target="_blank" rel="noopener">${this.escapeHtml(source.url.replace(/^https?:\/\//, "").split("/")[0])}</a>`);
+    }
+    this.storySource.innerHTML = parts.join(" · ");
+    this.storySource.classList.toggle("hidden", parts.length === 0);
+  }
+
+  // Re-renders the Japanese story in place, e.g. after the furigana mode changes
+  refreshJapaneseStory() {
+    if (!this.currentJapaneseText) return;
+    // Playback highlighting waits until the view it shows in is complete
+    const highlight = () => this.highlightSpokenSentence(this.speech.index);
+    this.renderJapaneseStory(this.isParallelView() ? undefined : highlight);
+    this.renderParallelStory(this.isParallelView() ? highlight : undefined);
+    this.resetWordCursor();
+  }
+
+  // Sentences with their closing punctuation, plus the whitespace and line
+  // breaks between them as separate pieces so the layout survives
+  splitSentences(text) {
+    return text.match(/[^。！？\n]*[。！？]+」?|[^。！？\n]+|\n/g) || [];
+  }
+
+  // The whole-text view, with each sentence wrapped so playback can highlight it
+  renderJapaneseStory(onDone) {
+    let index = 0;
+    const pieces = this.splitSentences(this.currentJapaneseText).map((text) => ({ text, sentence: text.trim() ? index++ : null }));
+    this.renderer.renderInChunks(this.japaneseStory, pieces, ({ text, sentence }) => {
+      if (sentence === null) return this.renderer.createText(text);
+      const span = document.createElement("span");
+      span.className = "story-sentence";
+      span.dataset.sentence = sentence;
+      span.appendChild(this.renderer.renderText(text));
+      return span;
+    }, { size: (piece) => piece.text.length, onDone });
+  }
+
+  isParallelView() {
+    return Boolean(this.currentSentences) && this.viewMode !== "toggle";
+  }
+
+  setViewMode(mode) {
+    this.speech.stop();
+    this.viewMode = mode;
+    localStorage.setItem("reader_view", mode);
+    this.updateLanguageDisplay();
+  }
+
+  // One row per sentence pair; translations stay covered until revealed
+  renderParallelStory(onDone) {
+    const sentences = this.currentSentences || [];
+    this.renderer.renderInChunks(this.parallelStory, sentences, (pair, index) => {
+      const row = document.createElement("div");
+      row.className = "sentence-pair";
+      row.dataset.index = index;
+      if (index > 0 && pair.paragraph !== sentences[index - 1].paragraph) row.classList.add("paragraph-start");
+      if (this.revealedSentences.has(index)) row.classList.add("revealed");
+      row.innerHTML = `
+        <div class="sentence-ja japanese-text"></div>
+        <div class="sentence-en" lang="en" title="Click to show or hide the translation">
+          <span class="reveal-hint">Show translation</span>
+          <span class="sentence-translation"></span>
+        </div>`;
+      row.querySelector(".sentence-ja").appendChild(this.renderer.renderText(pair.japanese));
+      row.querySelector(".sentence-translation").appendChild(this.renderer.createText(pair.english));
+      return row;
+    }, { size: (pair) => pair.japanese.length, onDone });
+    this.updateRevealAllButton();
+  }
+
+  handleParallelClick(event) {
+    const cell = event.target.closest(".sentence-en");
+    if (!cell) return;
+    const row = cell.closest(".sentence-pair");
+    const index = Number(row.dataset.index);
+
+    if (this.revealedSentences.has(index)) {
+      this.revealedSentences.delete(index);
+    } else {
+      this.revealedSentences.add(index);
+    }
+    row.classList.toggle("revealed", this.revealedSentences.has(index));
+    this.updateRevealAllButton();
+  }
+
+  toggleAllTranslations() {
+    const total = this.currentSentences ? this.currentSentences.length : 0;
+    const revealAll = this.revealedSentences.size < total;
+    this.revealedSentences = new Set(revealAll ? this.currentSentences.map((pair, index) => index) : []);
+    this.parallelStory.querySelectorAll(".sentence-pair").forEach((row) => row.classList.toggle("revealed", revealAll));
+    this.updateRevealAllButton();
+  }
+
+  updateRevealAllButton() {
+    const total = this.currentSentences ? this.currentSentences.length : 0;
+    this.revealAllBtn.textContent = total > 0 && this.revealedSentences.size === total ? "Hide all translations" : "Reveal all translations";
+  }
+
+  // What playback reads: the aligned sentences in the bilingual views,
+  // otherwise the sentences of the whole text, matching what is on screen
+  spokenSentences() {
+    if (this.isParallelView()) {
+      return this.currentSentences.map((pair) => pair.japanese);
+    }
+    return this.splitSentences(this.currentJapaneseText).filter((piece) => piece.trim());
+  }
+
+  togglePlayback() {
+    if (this.speech.state === "playing") {
+      this.speech.pause();
+    } else if (this.speech.state === "paused") {
+      this.speech.resume();
+    } else {
+      this.playFrom(0);
+    }
+  }
+
+  playFrom(index) {
+    if (this.speech.voices().length === 0) return;
+    this.speech.play(this.spokenSentences(), index);
+  }
+
+  // Clicking a sentence outside its clickable words starts playback there
+  handleSentenceClick(event) {
+    if (event.target.closest(".clickable-word, .sentence-en") || !window.getSelection().isCollapsed) return;
+    const sentence = event.target.closest(".story-sentence, .sentence-ja");
+    if (!sentence) return;
+
+    const index = sentence.classList.contains("sentence-ja")
+      ? sentence.closest(".sentence-pair").dataset.index
+      : sentence.dataset.sentence;
+    this.playFrom(Number(index));
+  }
+
+  highlightSpokenSentence(index) {
+    this.storySection.querySelectorAll(".speaking").forEach((element) => element.classList.remove("speaking"));
+    this.updatePlaybackBar();
+    if (index < 0) return;
+
+    const element = this.isParallelView()
+      ? this.parallelStory.querySelector(`.sentence-pair[data-index="${index}"]`)
+      : this.japaneseStory.querySelector(`.story-sentence[data-sentence="${index}"]`);
+    if (element) {
+      element.classList.add("speaking");
+      element.scrollIntoView({ behavior: "smooth", block: "nearest" });
+    }
+  }
+
+  updatePlaybackBar() {
+    const hasVoice = this.speech.voices().length > 0;
+    const state = this.speech.state;
+    this.playBtn.textContent = state === "playing" ? "⏸ Pause" : state === "paused" ? "▶ Resume" : "▶ Play";
+    this.playBtn.disabled = !hasVoice;
+    this.stopBtn.disabled = state === "stopped";
+
+    if (!hasVoice) {
+      this.playbackStatus.textContent = "No Japanese voice installed on this device";
+    } else if (state !== "stopped" && this.speech.index >= 0) {
+      this.playbackStatus.textContent = `Sentence ${this.speech.index + 1} of ${this.speech.sentences.length}`;
+    } else {
+      this.playbackStatus.textContent = "Click a sentence to start from it";
+    }
+  }
+
+  setHighlightLevel(level) {
+    this.highlightLevel = level;
+    localStorage.setItem("level_highlight", String(level));
+    this.refreshJapaneseStory();
+  }
+
+  // Words the reader already knows, as dictionary forms
+  knownWords() {
+    return this.words.knownSet();
+  }
+
+  async loadWordStatuses() {
+    try {
+      await this.words.load();
+      this.updateKnownCount();
+      this.refreshJapaneseStory();
+      this.renderDifficultyReport();
+    } catch (error) {
+      console.error("Failed to load word statuses:", error);
+    }
+  }
+
+  updateKnownCount() {
+    this.knownCount.textContent = this.words.counts().known;
+  }
+
+  // Sets the status of the word open in the popup. Every occurrence in the
+  // text is recoloured in place, so the popup stays where it is.
+  async setWordStatus(status) {
+    const lemma = this.currentStatusLemma;
+    if (!lemma || !WORD_STATUSES.includes(status)) return;
+
+    try {
+      await this.words.setStatus(lemma, status);
+    } catch (error) {
+      console.error("Failed to save word status:", error);
+      alert("Could not save the word's status.");
+      return;
+    }
+
+    document.querySelectorAll(".clickable-word").forEach((element) => {
+      if (element.dataset.lemma !== lemma) return;
+      WORD_STATUSES.forEach((name) => element.classList.toggle(`status-${name}`, name === status));
     });
-    
-    console.log(`Made ${sortedWords.length} words clickable`);
-    return clickableText.replace(/\n/g, "<br>");
+    this.updateStatusButtons();
+    this.updateKnownCount();
+    this.renderDifficultyReport();
+    if (!this.wordStatsSection.classList.contains("hidden")) this.renderWordStats();
+  }
+
+  updateStatusButtons() {
+    const status = this.words.statusOf(this.currentStatusLemma);
+    this.wordStatusButtons.querySelectorAll("[data-status]").forEach((button) => {
+      button.classList.toggle("active", button.dataset.status === status);
+      button.setAttribute("aria-pressed", String(button.dataset.status === status));
+    });
+  }
+
+  // Keyboard reading: j/k or the arrow keys move between words, Enter looks
+  // one up and single keys act on the open popup. Typing in a field is
+  // never intercepted.
+  handleShortcut(event) {
+    if (event.ctrlKey || event.metaKey || event.altKey) return;
+    if (event.target.closest && event.target.closest("input, textarea, select, [contenteditable]")) return;
+
+    const handled = (!this.wordPopup.classList.contains("hidden") && this.handlePopupKey(event.key))
+      || this.handleReaderKey(event);
+    if (handled) event.preventDefault();
+  }
+
+  handlePopupKey(key) {
+    switch (key) {
+      case "Escape":
+      case "x":
+        this.hidePopup();
+        return true;
+      case "1":
+      case "2":
+      case "3":
+      case "4":
+        this.setWordStatus(WORD_STATUSES[Number(key) - 1]);
+        return true;
+      case "m":
+        this.setWordStatus("known");
+        return true;
+      case "s":
+        if (!this.saveCardBtn.disabled) this.saveToDeck();
+        return true;
+      case "p":
+        if (!this.speakWordBtn.classList.contains("hidden")) this.speech.speakText(this.currentWord);
+        return true;
+      case "c":
+        this.copyToClipboard();
+        return true;
+      default:
+        return false;
+    }
+  }
+
+  handleReaderKey(event) {
+    if (!this.currentJapaneseText || this.storySection.classList.contains("hidden")) return false;
+    const onWord = event.target.classList && event.target.classList.contains("clickable-word");
+
+    switch (event.key) {
+      case "j":
+        return this.moveWordCursor(1);
+      case "k":
+        return this.moveWordCursor(-1);
+      // Arrow keys scroll the page unless a word already has focus
+      case "ArrowRight":
+      case "ArrowDown":
+        return onWord && this.moveWordCursor(1);
+      case "ArrowLeft":
+      case "ArrowUp":
+        return onWord && this.moveWordCursor(-1);
+      case "Enter":
+      case " ":
+        if (!onWord) return false;
+        this.openPopupFromKeyboard(event.target);
+        return true;
+      case "g": {
+        // Without a selection, the sentence around the focused word
+        const sentence = onWord && event.target.closest(".story-sentence, .sentence-ja");
+        const text = sentence && this.textWithoutFurigana(sentence.cloneNode(true));
+        const selected = this.selectedStoryText() || (text ? { text, sentence: text } : null);
+        if (!selected) return false;
+        this.explainGrammar(selected);
+        return true;
+      }
+      case "Escape":
+        if (this.grammarPanel.classList.contains("hidden")) return false;
+        this.grammarPanel.classList.add("hidden");
+        return true;
+      case "t":
+        if (this.isParallelView()) {
+          this.toggleAllTranslations();
+        } else {
+          this.toggleLanguage();
+        }
+        return true;
+      default:
+        return false;
+    }
+  }
+
+  // Words in the part of the reader that is showing
+  readableWords() {
+    const container = this.isParallelView() ? this.parallelStory
+      : this.currentLanguage === "japanese" ? this.japaneseStory : null;
+    return container ? Array.from(container.querySelectorAll(".clickable-word")) : [];
+  }
+
+  // Roving tabindex: only the word under the cursor is in the tab order, so
+  // Tab moves past the story in one step
+  moveWordCursor(step) {
+    const words = this.readableWords();
+    if (words.length === 0) return false;
+
+    const current = words.indexOf(document.activeElement);
+    const index = current === -1
+      ? (step > 0 ? 0 : words.length - 1)
+      : Math.min(words.length - 1, Math.max(0, current + step));
+    this.hidePopup();
+    this.focusWord(words, index);
+    return true;
+  }
+
+  focusWord(words, index) {
+    words.forEach((word, position) => word.setAttribute("tabindex", position === index ? "0" : "-1"));
+    words[index].focus();
+    words[index].scrollIntoView({ block: "nearest" });
+  }
+
+  // Lets Tab reach the first word of a freshly rendered text
+  resetWordCursor() {
+    const words = this.readableWords();
+    if (words.length > 0) words[0].setAttribute("tabindex", "0");
+  }
+
+  async openPopupFromKeyboard(word) {
+    const rect = word.getBoundingClientRect();
+    await this.showWordPopup({
+      type: "keydown",
+      target: word,
+      clientX: rect.left + rect.width / 2,
+      clientY: rect.top,
+    });
+    if (!this.wordPopup.classList.contains("hidden")) this.wordPopup.focus();
+  }
+
+  async importKnownWords() {
+    const file = this.knownWordsFileInput.files[0];
+    this.knownWordsFileInput.value = "";
+    if (!file) return;
+
+    try {
+      const { added, skipped } = await this.words.importList(await file.text());
+      alert(`Marked ${added} word${added === 1 ? "" : "s"} as known${skipped > 0 ? ` (${skipped} already had a status)` : ""}.`);
+      this.updateKnownCount();
+      this.refreshJapaneseStory();
+      this.renderDifficultyReport();
+    } catch (error) {
+      console.error("Known word import failed:", error);
+      alert("Could not import the word list. Please check the file and try again.");
+    }
+  }
+
+  openWordStats() {
+    this.wordStatsSection.classList.remove("hidden");
+    this.renderWordStats();
+  }
+
+  async renderWordStats() {
+    const counts = this.words.counts();
+    this.wordStatusCounts.innerHTML = ["learning", "known", "ignored"]
+      .map((status) => `<span class="status-count status-${status}">${status[0].toUpperCase()}${status.slice(1)}: <strong>${counts[status]}</strong></span>`)
+      .join("");
+
+    const days = await this.words.dailyKnown();
+    const most = Math.max(1, ...days.map((day) => day.count));
+    this.knownPerDay.innerHTML = days.map((day) => `
+      <div class="day-row">
+        <span class="day-label">${day.date.slice(5).replace("-", "/")}</span>
+        <span class="day-bar"><span style="width: ${(day.count / most) * 100}%"></span></span>
+        <span class="day-count">${day.count}</span>
+      </div>`).join("");
+  }
+
+  // The text without the source footer that article loaders append
+  studyText(text) {
+    return text.split("\n---\n")[0];
+  }
+
+  renderDifficultyReport() {
+    if (!this.currentJapaneseText) return;
+    const report = this.difficulty.analyze(this.studyText(this.currentJapaneseText), this.knownWords());
+    const percent = (count, total) => (total > 0 ? Math.round((count / total) * 100) : 0);
+
+    const gradeLabels = { 1: "G1", 2: "G2", 3: "G3", 4: "G4", 5: "G5", 6: "G6", 7: "Secondary+" };
+    const kanji = report.kanji;
+    const gradeBar = Object.entries(kanji.grades)
+      .filter(([, count]) => count > 0)
+      .map(([grade, count]) => `<span class="grade-segment grade-${grade}" style="flex: ${count}" title="${gradeLabels[grade]}: ${count} (${percent(count, kanji.total)}%)"></span>`)
+      .join("");
+    const gradeLegend = Object.entries(kanji.grades)
+      .filter(([, count]) => count > 0)
+      .map(([grade, count]) => `<span class="grade-chip grade-${grade}">${gradeLabels[grade]} ${percent(count, kanji.total)}%</span>`)
+      .join("");
+
+    this.difficultySummary.innerHTML = `
+      <div class="difficulty-stats">
+        <span class="level-badge">${report.level ? `≈ N${report.level}` : "Level unknown"}</span>
+        <span title="Content words not in your known-word list">Unknown words: <strong>${percent(report.unknown, report.words)}%</strong> (${report.unknown}/${report.words})</span>
+        <span>Sentences: ${report.sentences.count}, avg ${report.sentences.averageLength} chars (longest ${report.sentences.longest})</span>
+        <span>Kanji: ${kanji.total} (${kanji.unique} different)</span>
+      </div>
+      ${kanji.total > 0 ? `<div class="grade-bar">${gradeBar}</div><div class="grade-legend">${gradeLegend}</div>` : ""}
+    `;
+    this.difficultyReport.classList.remove("hidden");
+  }
+
+  setFuriganaMode(mode) {
+    this.furiganaMode = mode;
+    localStorage.setItem("furigana_mode", mode);
+    this.refreshJapaneseStory();
+    this.loadMissingReadings();
+  }
+
+  needsFurigana(word) {
+    switch (this.furiganaMode) {
+      case "off":
+        return false;
+      case "all":
+        return true;
+      case "not-in-deck":
+        return !this.deckLemmas.has(word.baseForm);
+      default: {
+        // "above-3": anything harder than N3, including words with no JLPT level
+        const level = Number(this.furiganaMode.split("-")[1]);
+        return !word.jlpt || word.jlpt < level;
+      }
+    }
+  }
+
+  // Words the segmenter has no reading for (kanji outside the bundled
+  // lexicon) are looked up in the offline dictionary, then the story is
+  // re-rendered once with whatever was found
+  async loadMissingReadings() {
+    if (this.furiganaMode === "off" || !this.dictionary.getInfo()) return;
+
+    const missing = this.tokenizer.segmentWords(this.currentJapaneseText).filter((word) =>
+      !word.reading && !this.readingCache.has(word.surface) && new RegExp(`[${KANJI_CHARACTERS}]`).test(word.surface) && this.needsFurigana(word));
+    if (missing.length === 0) return;
+
+    for (const word of missing) {
+      this.readingCache.set(word.surface, null);
+      try {
+        const inflection = this.resolveInflection(word.surface, word.baseForm);
+        const definition = await this.dictionary.lookupDefinition(word.surface, inflection.candidates);
+        if (definition) {
+          this.readingCache.set(word.surface, this.readingForSurface(word.surface, definition.lemma, definition.reading));
+        }
+      } catch (error) {
+        console.error(`Reading lookup failed for ${word.surface}:`, error);
+      }
+    }
+    this.refreshJapaneseStory();
+  }
+
+  // Carries a dictionary-form reading over to an inflected surface form:
+  // 忘れる/わすれる and 忘れられない share 忘れ, so the reading is わすれ + られない
+  readingForSurface(surface, lemma, lemmaReading) {
+    if (surface === lemma) return lemmaReading;
+
+    let shared = 0;
+    while (shared < surface.length && surface[shared] === lemma[shared]) shared++;
+    const lemmaTail = lemma.slice(shared);
+    const surfaceTail = surface.slice(shared);
+    if (!/^[ぁ-ゟ]*$/.test(lemmaTail) || !/^[ぁ-ゟァ-ヿ]*$/.test(surfaceTail)) return null;
+
+    return lemmaReading.slice(0, lemmaReading.length - lemmaTail.length) + this.tokenizer.katakanaToHiragana(surfaceTail);
+  }
+
+  async loadDeckLemmas() {
+    try {
+      const cards = await this.deck.getAllCards();
+      this.deckLemmas = new Set(cards.map((card) => card.lemma));
+    } catch (error) {
+      console.error("Failed to load deck words:", error);
+    }
+  }
+
+  wordClasses(word) {
+    const classes = [`status-${this.words.statusOf(word.baseForm)}`];
+    if (this.highlightLevel > 0 && this.difficulty.isAboveLevel(word, this.highlightLevel)) classes.push("above-level");
+    return classes;
+  }
+
+  renderGrammarLegend() {
+    const text = this.currentJapaneseText;
+    this.grammarLegend.innerHTML = this.currentGrammar.map((item, index) => {
+      const found = this.renderer.grammarRanges(text).filter((range) => range.index === index).length;
+      return `<span class="grammar-chip grammar-${index % 5}" title="${this.escapeHtml(item.meaning)}">${this.escapeHtml(item.point)}${item.meaning ? ` — ${this.escapeHtml(item.meaning)}` : ""} (${found})</span>`;
+    }).join("");
+    this.grammarLegend.classList.toggle("hidden", this.currentGrammar.length === 0);
+  }
+
+  scheduleGrammarSelection() {
+    clearTimeout(this.grammarSelectionTimer);
+    this.grammarSelectionTimer = setTimeout(() => {
+      if (this.pointerSelecting) return;
+      const selected = this.selectedStoryText();
+      if (selected) this.explainGrammar(selected);
+    }, 400);
+  }
+
+  // The selected story text without furigana, and the sentence it starts in.
+  // Null unless at least two characters of Japanese are selected.
+  selectedStoryText() {
+    const selection = window.getSelection();
+    if (!selection || selection.isCollapsed || selection.rangeCount === 0) return null;
+    const range = selection.getRangeAt(0);
+    if (![this.japaneseStory, this.parallelStory].some((story) => story.contains(range.commonAncestorContainer))) return null;
+
+    const text = this.textWithoutFurigana(range.cloneContents());
+    if (text.length < 2 || !new RegExp(`[ぁ-ゖァ-ヺ${KANJI_CHARACTERS}]`).test(text)) return null;
+    const start = range.startContainer.nodeType === Node.ELEMENT_NODE ? range.startContainer : range.startContainer.parentElement;
+    const sentence = start.closest(".story-sentence, .sentence-ja");
+    return { text, sentence: sentence ? this.textWithoutFurigana(sentence.cloneNode(true)) : text };
+  }
+
+  textWithoutFurigana(node) {
+    node.querySelectorAll("rt, rp, .sentence-en").forEach((element) => element.remove());
+    return node.textContent.replace(/\s+/g, "");
+  }
+
+  // Patterns from the grammar guide show straight away; the model is only
+  // asked when the guide has nothing, or when the learner asks about the rest
+  async explainGrammar({ text, sentence }) {
+    if (this.grammarSelection && this.grammarSelection.text === text && !this.grammarPanel.classList.contains("hidden")) return;
+
+    this.grammarSelection = { text, sentence };
+    this.grammarPoints = this.grammarExplainer.match(text);
+    this.hidePopup();
+    this.grammarPanelSelection.textContent = `「${text}」`;
+    this.grammarPanelStatus.textContent = "";
+    this.askGrammarBtn.classList.toggle("hidden", this.grammarPoints.length === 0);
+    this.renderGrammarPoints();
+    this.grammarPanel.classList.remove("hidden");
+    this.grammarPanel.scrollIntoView({ behavior: "smooth", block: "nearest" });
+
+    if (this.grammarPoints.length === 0) await this.askGrammar();
+  }
+
+  async askGrammar() {
+    const request = this.grammarSelection;
+    const guidePoints = this.grammarPoints.filter((point) => point.source === "guide");
+    this.askGrammarBtn.classList.add("hidden");
+
+    if (!this.llm.isReady()) {
+      this.grammarPanelStatus.textContent = `${guidePoints.length > 0 ? "" : "This isn't in the grammar guide. "}Enter your OpenAI API key or choose another AI provider to have it explained.`;
+      return;
+    }
+
+    this.grammarPanelStatus.textContent = "Asking the AI...";
+    try {
+      const points = await this.grammarExplainer.ask(request.text, request.sentence, guidePoints.map((point) => point.pattern));
+      // Something else may have been selected while the model was answering
+      if (this.grammarSelection !== request) return;
+      this.grammarPoints = [...guidePoints, ...points];
+      this.renderGrammarPoints();
+      this.grammarPanelStatus.textContent = points.length > 0 ? "" : "The AI found no other grammar in this selection.";
+    } catch (error) {
+      console.error("Error explaining grammar:", error);
+      if (this.grammarSelection !== request) return;
+      this.grammarPanelStatus.textContent = "Could not explain this selection. Please try again.";
+      this.askGrammarBtn.classList.remove("hidden");
+    }
+  }
+
+  renderGrammarPoints() {
+    this.grammarPanelPoints.innerHTML = this.grammarPoints.map((point) => `
+      <article class="grammar-point">
+        <h4><span lang="ja">${this.escapeHtml(point.pattern)}</span>${point.level ? ` <span class="level-badge">N${point.level}</span>` : ""}</h4>
+        <small class="grammar-source">${point.source === "guide"
+          ? `Matched 「<span lang="ja">${this.escapeHtml(point.matched)}</span>」 in the grammar guide`
+          : "Explained by the AI"}</small>
+        ${point.meaning ? `<p>${this.escapeHtml(point.meaning)}</p>` : ""}
+        ${point.formation ? `<p class="grammar-formation"><strong>Formation:</strong> ${this.escapeHtml(point.formation)}</p>` : ""}
+        ${point.examples.length > 0 ? `<ul class="grammar-examples">${point.examples.map((example) => `
+          <li><span class="japanese-text" lang="ja">${this.escapeHtml(example.japanese)}</span><br><small>${this.escapeHtml(example.english)}</small></li>`).join("")}
+        </ul>` : ""}
+      </article>`).join("");
   }
 
-  escapeRegex(string) {
-    return string.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  escapeHtml(string) {
+    return string
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;");
   }
 
   toggleLanguage() {
@@ -648,102 +2029,817 @@ In the evening, Tanaka sat by the Trevi Fountain and reflected on the day's memo
   }
 
   updateLanguageDisplay() {
-    if (this.currentLanguage === "japanese") {
+    const parallel = this.isParallelView();
+    this.parallelStory.classList.toggle("hidden", !parallel);
+    this.parallelStory.classList.toggle("interleaved", this.viewMode === "interleaved");
+    this.revealAllBtn.classList.toggle("hidden", !parallel);
+    this.toggleBtn.classList.toggle("hidden", parallel);
+
+    if (parallel) {
+      this.japaneseStory.classList.add("hidden");
+      this.englishStory.classList.add("hidden");
+      this.furiganaSelect.classList.remove("hidden");
+      this.resetWordCursor();
+    } else if (this.currentLanguage === "japanese") {
       this.japaneseStory.classList.remove("hidden");
       this.englishStory.classList.add("hidden");
       this.toggleBtn.textContent = "Show English";
-      this.bindWordClickEvents();
+      this.furiganaSelect.classList.remove("hidden");
+      this.resetWordCursor();
     } else {
       this.japaneseStory.classList.add("hidden");
       this.englishStory.classList.remove("hidden");
       this.toggleBtn.textContent = "Show Japanese";
+      this.furiganaSelect.classList.add("hidden");
     }
   }
 
-  bindWordClickEvents() {
-    // Remove existing event listeners to avoid duplicates
-    const existingWords = document.querySelectorAll(".clickable-word");
-    existingWords.forEach((word) => {
-      word.replaceWith(word.cloneNode(true));
+  // One set of listeners per story container, so re-rendering a text never
+  // has to bind anything to its words
+  bindWordEvents(container) {
+    const wordAt = (event) => event.target.closest && event.target.closest(".clickable-word");
+
+    container.addEventListener("click", (e) => {
+      // Dragging across text selects it for the grammar panel instead
+      if (!wordAt(e) || !window.getSelection().isCollapsed) return;
+      e.preventDefault();
+      e.stopPropagation();
+      this.showWordPopup(e);
     });
 
-    // Add event listeners to all clickable words
-    const clickableWords = document.querySelectorAll(".clickable-word");
-    console.log(`Found ${clickableWords.length} clickable words`); // Debug log
-
-    clickableWords.forEach((word, index) => {
-      // Add multiple event types for maximum compatibility
-      word.addEventListener("click", (e) => {
+    container.addEventListener(
+      "touchstart",
+      (e) => {
+        // Visual feedback on touch
+        const word = wordAt(e);
+        if (word) word.style.backgroundColor = "#ffc107";
+      },
+      { passive: true }
+    );
+
+    container.addEventListener(
+      "touchend",
+      (e) => {
+        const word = wordAt(e);
+        if (!word) return;
         e.preventDefault();
         e.stopPropagation();
-        console.log(`Clicked word: ${word.dataset.word}`); // Debug log
+        word.style.backgroundColor = "";
         this.showWordPopup(e);
-      });
-
-      word.addEventListener(
-        "touchstart",
-        (e) => {
-          // Visual feedback on touch
-          word.style.backgroundColor = "#ffc107";
-        },
-        { passive: true }
-      );
-
-      word.addEventListener(
-        "touchend",
-        (e) => {
-          e.preventDefault();
-          e.stopPropagation();
-          // Reset visual feedback
-          word.style.backgroundColor = "";
-          console.log(`Touched word: ${word.dataset.word}`); // Debug log
-          this.showWordPopup(e);
-        },
-        { passive: false }
-      );
+      },
+      { passive: false }
+    );
 
-      word.addEventListener("touchcancel", (e) => {
-        // Reset visual feedback if touch is cancelled
-        word.style.backgroundColor = "";
-      });
+    container.addEventListener("touchcancel", (e) => {
+      const word = wordAt(e);
+      if (word) word.style.backgroundColor = "";
     });
   }
 
   async showWordPopup(event) {
-    const word = event.target.dataset.word;
-    let definition = this.fallbackDefinitions.get(word);
+    // The click may land on a <ruby> or <rt> inside the word
+    const target = event.target.closest(".clickable-word");
+    const word = target.dataset.word;
+    this.popupOpener = target;
+    let inflection = this.resolveInflection(word, target.dataset.lemma);
+    let definition = this.fallbackDefinitions.get(inflection.lemma);
+
+    // Try the offline dictionary before asking the API
+    if (!definition) {
+      definition = await this.lookupDictionary(word, inflection);
+      // The dictionary may settle on a different deinflection than the tokenizer
+      if (definition && definition.lemma !== inflection.lemma) {
+        inflection = this.resolveInflection(word, definition.lemma);
+      }
+    }
 
-    // If no definition cached, fetch it dynamically
+    // Then the definitions fetched before, in this or an earlier session
     if (!definition) {
-      const apiKey = this.apiKeyInput.value.trim();
-      if (!apiKey) {
-        alert('API key needed to look up word definitions');
+      definition = this.definitionCache.get(inflection.lemma);
+      if (definition) {
+        this.fallbackDefinitions.set(inflection.lemma, definition);
+        this.definitionCache.touch(inflection.lemma).catch((error) => console.error("Failed to update definition cache:", error));
+      }
+    }
+
+    // If still not found, fetch it dynamically
+    if (!definition) {
+      if (!this.llm.isReady()) {
+        alert('Word not found in the offline dictionary. API key or another AI provider needed to look it up online');
         return;
       }
       
       // Show loading state
       this.popupWord.textContent = word;
       this.popupMeaning.innerHTML = '<div>📚 Looking up definition...</div>';
+      this.kanjiBreakdown.classList.add("hidden");
       const popup = this.wordPopup;
       popup.classList.remove("hidden");
       this.positionPopup(event, popup);
       
       // Fetch definition
-      definition = await this.getWordDefinition(word, apiKey);
+      definition = await this.getWordDefinition(word, inflection.lemma);
     }
 
     if (!definition) return;
 
     this.popupWord.textContent = word;
     this.popupMeaning.innerHTML = `
-            <div><strong>Reading:</strong> ${definition.reading}</div>
-            <div><strong>Meaning:</strong> ${definition.meaning}</div>
+            ${inflection.lemma !== word ? `<div class="inflection-chain"><strong>Dictionary form:</strong> ${this.escapeHtml(this.deinflector.formatChain(inflection.lemma, inflection.reasons))}</div>` : ""}
+            ${definition.entries ? this.renderDictionaryEntries(definition.entries) : `
+            <div><strong>Reading:</strong> ${this.escapeHtml(String(definition.reading))}</div>
+            <div><strong>Meaning:</strong> ${this.escapeHtml(String(definition.meaning))}</div>`}
         `;
 
     const popup = this.wordPopup;
     popup.classList.remove("hidden");
     this.positionPopup(event, popup);
     this.currentWord = word;
+    this.currentLemma = inflection.lemma;
+    this.currentSentence = this.getSentenceContext(target);
+    // Statuses follow the tokenizer's dictionary form, the same key the text is coloured by
+    this.currentStatusLemma = target.dataset.lemma;
+    this.updateStatusButtons();
+    this.updateSaveButton();
+    this.renderKanjiBreakdown(word, target.dataset.lemma);
+    this.recordLookup(word, inflection.lemma);
+  }
+
+  // The sentence around a clicked word, used as context on flashcards
+  getSentenceContext(element) {
+    // Walk the text nodes so furigana inside <rt> stays out of the sentence
+    let storyText = "";
+    let offset = -1;
+    const root = element.closest(".sentence-ja") || this.japaneseStory;
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+    while (walker.nextNode()) {
+      const node = walker.currentNode;
+      if (node.parentElement.closest("rt")) continue;
+      if (offset === -1 && element.contains(node)) offset = storyText.length;
+      storyText += node.textContent;
+    }
+
+    const before = storyText.slice(0, offset);
+    const start = Math.max(...["。", "！", "？", "\n"].map((mark) => before.lastIndexOf(mark))) + 1;
+    const endMatch = storyText.slice(offset).search(/[。！？\n]/);
+    const end = endMatch === -1 ? storyText.length : offset + endMatch + 1;
+    return storyText.slice(start, end).trim();
+  }
+
+  // One card per kanji in the word, with other words from the text that use it
+  async renderKanjiBreakdown(word, lemma) {
+    const characters = Array.from(new Set(word.match(new RegExp(`[${KANJI_CHARACTERS}]`, "g")) || []))
+      .filter((char) => !"々〆ヶ".includes(char));
+    this.kanjiBreakdown.classList.add("hidden");
+    if (characters.length === 0) return;
+
+    let entries;
+    try {
+      entries = await Promise.all(characters.map((char) => this.kanji.lookup(char)));
+    } catch (error) {
+      console.error("Kanji lookup failed:", error);
+      return;
+    }
+    if (word !== this.currentWord) return;
+
+    this.kanjiBreakdown.innerHTML = characters.map((char, index) => {
+      const entry = entries[index] || { literal: char, on: [], kun: [], meanings: [], strokePaths: null };
+      // Stroke order alone comes from KanjiVG; the rest needs KANJIDIC
+      const hasDetails = entry.strokes || entry.on.length || entry.kun.length || entry.meanings.length;
+      const radical = this.kanji.radicalFor(entry);
+      const facts = [
+        entry.strokes && `${entry.strokes} strokes`,
+        entry.grade && (entry.grade <= 6 ? `Grade ${entry.grade}` : entry.grade === 8 ? "Jōyō (secondary)" : "Jinmeiyō"),
+        entry.jlpt && `JLPT ${entry.jlpt} (old scale)`,
+        radical && `Radical ${radical} (${entry.radical})`,
+      ].filter(Boolean);
+      const shared = this.wordsSharingKanji(char, lemma);
+
+      return `<div class="kanji-card">
+        ${entry.strokePaths ? this.renderStrokeOrder(entry.strokePaths) : `<div class="kanji-literal japanese-text">${this.escapeHtml(char)}</div>`}
+        <div class="kanji-info">
+          <div class="kanji-heading"><span class="japanese-text">${this.escapeHtml(char)}</span> <small>${this.escapeHtml(facts.join(" · "))}</small></div>
+          ${entry.on.length ? `<div><strong>On:</strong> ${this.escapeHtml(entry.on.join("、"))}</div>` : ""}
+          ${entry.kun.length ? `<div><strong>Kun:</strong> ${this.escapeHtml(entry.kun.join("、"))}</div>` : ""}
+          ${entry.meanings.length ? `<div><strong>Meaning:</strong> ${this.escapeHtml(entry.meanings.join(", "))}</div>` : ""}
+          ${!hasDetails ? "<div class=\"kanji-missing\">Not in the kanji data yet. Import KANJIDIC for details.</div>" : ""}
+          ${shared.length ? `<div class="kanji-words"><strong>Also in this text:</strong> <span class="japanese-text">${this.escapeHtml(shared.join("、"))}</span></div>` : ""}
+        </div>
+      </div>`;
+    }).join("");
+    this.kanjiBreakdown.classList.remove("hidden");
+  }
+
+  // Strokes draw one after another; pathLength="1" lets a single CSS
+  // animation fit paths of any length
+  renderStrokeOrder(paths) {
+    const strokes = paths.map((path, index) =>
+      `<path d="${this.escapeHtml(path)}" pathLength="1" style="animation-delay: ${(index * 0.6).toFixed(1)}s"></path>`).join("");
+    return `<svg class="stroke-order" viewBox="0 0 109 109" role="img" aria-label="Stroke order"><title>Click to replay</title>${strokes}</svg>`;
+  }
+
+  wordsSharingKanji(char, lemma) {
+    const text = this.studyText(this.currentJapaneseText);
+    if (this.textWordsFor !== text) {
+      this.textWords = this.tokenizer.segmentWords(text).filter((word) => word.clickable);
+      this.textWordsFor = text;
+    }
+    const words = new Set(this.textWords
+      .filter((word) => word.baseForm !== lemma && word.surface.includes(char))
+      .map((word) => word.baseForm));
+    return Array.from(words).slice(0, 8);
+  }
+
+  async updateSaveButton() {
+    const lemma = this.currentLemma;
+    try {
+      const card = await this.deck.findByLemma(lemma);
+      if (lemma !== this.currentLemma) return;
+
+      this.saveCardBtn.textContent = card ? "✓ In deck" : "⭐ Save to deck";
+      this.saveCardBtn.disabled = Boolean(card);
+    } catch (error) {
+      console.error("Failed to look up card:", error);
+      alert("Could not check whether this word is in your deck.");
+    }
+  }
+
+  async saveToDeck() {
+    const definition = this.fallbackDefinitions.get(this.currentLemma);
+    if (!definition) return;
+
+    try {
+      const { added } = await this.deck.addCard({
+        word: this.currentWord,
+        lemma: this.currentLemma,
+        reading: definition.reading,
+        meaning: definition.meaning,
+        sentence: this.currentSentence,
+        source: this.currentSource,
+      });
+      console.log(added ? `✓ Saved "${this.currentLemma}" to deck` : `"${this.currentLemma}" is already in the deck`);
+      this.deckLemmas.add(this.currentLemma);
+      if (this.furiganaMode === "not-in-deck") this.refreshJapaneseStory();
+      // A word worth a flashcard is one the learner is working on
+      if (this.words.statusOf(this.currentStatusLemma) === "new") this.setWordStatus("learning");
+      this.updateSaveButton();
+      this.updateDueCount();
+    } catch (error) {
+      console.error("Failed to save card:", error);
+      alert("Could not save this word to your deck.");
+    }
+  }
+
+  async saveToLibrary(stories) {
+    const lookups = this.pendingLookups;
+    try {
+      const entry = await this.library.save({
+        japanese: stories.japanese,
+        english: stories.english,
+        sentences: stories.sentences,
+        source: stories.source,
+        prompt: stories.prompt,
+        grammar: stories.grammar,
+      });
+      // Another text was opened while this one was being saved
+      if (this.pendingLookups !== lookups) return;
+      this.currentEntryId = entry.id;
+      this.pendingLookups = [];
+      for (const lookup of lookups) {
+        await this.library.addLookup(entry.id, lookup);
+      }
+      if (!this.librarySidebar.classList.contains("hidden")) this.renderLibrary();
+    } catch (error) {
+      console.error("Failed to save to library:", error);
+    }
+  }
+
+  // Keeps the definition with the library entry so reopening it needs no fetches
+  async recordLookup(word, lemma) {
+    const definition = this.fallbackDefinitions.get(lemma);
+    if (!definition) return;
+    // Words looked up while the text is still being saved wait for its entry
+    if (!this.currentEntryId) {
+      this.pendingLookups.push({ word, lemma, definition });
+      return;
+    }
+
+    try {
+      await this.library.addLookup(this.currentEntryId, { word, lemma, definition });
+    } catch (error) {
+      console.error("Failed to record lookup:", error);
+    }
+  }
+
+  openLibrary() {
+    this.librarySidebar.classList.remove("hidden");
+    this.renderLibrary();
+    this.librarySearch.focus();
+  }
+
+  async renderLibrary() {
+    const query = this.librarySearch.value.trim();
+    try {
+      const entries = await this.library.search(query);
+      if (entries.length === 0) {
+        this.libraryList.innerHTML = `<li class="library-empty">${query ? "No matches" : "Stories and articles you load will appear here"}</li>`;
+        return;
+      }
+
+      this.libraryList.innerHTML = entries.map((entry) => `
+        <li class="library-item${entry.id === this.currentEntryId ? " current" : ""}" data-id="${entry.id}">
+          <div class="library-title" title="${this.escapeHtml(entry.title)}">${this.escapeHtml(entry.title)}</div>
+          <div class="library-meta">
+            ${new Date(entry.createdAt).toLocaleDateString()} · ${entry.prompt ? "Generated story" : entry.source && entry.source.url ? this.escapeHtml(entry.source.url.replace(/^https?:\/\//, "").split("/")[0]) : "Pasted text"} · ${entry.lookups.length} ${entry.lookups.length === 1 ? "word" : "words"} looked up${(entry.quizScores || []).slice(-1).map((score) => ` · quiz ${score.correct}/${score.total}`).join("")}
+          </div>
+          ${entry.tags.map((tag) => `<span class="library-tag">${this.escapeHtml(tag)}</span>`).join("")}
+          <div class="library-actions">
+            <button data-action="open">Open</button>
+            <button data-action="tag">Tags</button>
+            <button data-action="delete">Delete</button>
+          </div>
+        </li>`).join("");
+    } catch (error) {
+      console.error("Failed to load library:", error);
+      this.libraryList.innerHTML = `<li class="library-empty">Could not load the library</li>`;
+    }
+  }
+
+  async handleLibraryClick(event) {
+    const button = event.target.closest("[data-action]");
+    if (!button) return;
+    const id = button.closest(".library-item").dataset.id;
+
+    try {
+      if (button.dataset.action === "open") {
+        await this.openLibraryEntry(id);
+      } else if (button.dataset.action === "tag") {
+        const entry = await this.library.get(id);
+        const input = prompt("Tags (comma separated)", entry.tags.join(", "));
+        if (input === null) return;
+        await this.library.setTags(id, input.split(","));
+        this.renderLibrary();
+      } else if (button.dataset.action === "delete") {
+        const entry = await this.library.get(id);
+        if (!confirm(`Delete "${entry.title}" from your library?`)) return;
+        await this.library.delete(id);
+        if (this.currentEntryId === id) this.currentEntryId = null;
+        this.renderLibrary();
+      }
+    } catch (error) {
+      console.error("Library action failed:", error);
+      alert("Something went wrong with the library. Please try again.");
+    }
+  }
+
+  async openLibraryEntry(id) {
+    const entry = await this.library.get(id);
+    if (!entry) return;
+
+    // Restore the definitions looked up last time before rendering
+    entry.lookups.forEach(({ lemma, definition }) => this.fallbackDefinitions.set(lemma, definition));
+
+    this.displayStories({
+      japanese: entry.japanese,
+      english: entry.english,
+      sentences: entry.sentences || null,
+      wordDefinitions: new Map(),
+      source: entry.source,
+      grammar: entry.grammar || [],
+    });
+    this.currentEntryId = entry.id;
+    this.librarySidebar.classList.add("hidden");
+    this.storySection.scrollIntoView({ behavior: "smooth" });
+    await this.library.markOpened(id);
+  }
+
+  async exportDeck(format) {
+    try {
+      const cards = await this.deck.getAllCards();
+      if (cards.length === 0) {
+        alert("Your deck is empty. Save some words from the popup first.");
+        return;
+      }
+
+      const exports = {
+        apkg: () => this.exporter.exportApkg(),
+        csv: () => this.exporter.exportCsv(),
+        tsv: () => this.exporter.exportTsv(),
+      };
+      const blob = await exports[format]();
+      this.downloadBlob(blob, `japanese-study-vocabulary.${format}`);
+      console.log(`✓ Exported ${cards.length} cards as ${format.toUpperCase()}`);
+    } catch (error) {
+      console.error("Export failed:", error);
+      alert("Could not export your deck. Please try again.");
+    }
+  }
+
+  downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  async updateDueCount() {
+    try {
+      this.dueCount.textContent = await this.deck.countDue();
+    } catch (error) {
+      console.error("Failed to count due cards:", error);
+    }
+  }
+
+  async startReview() {
+    try {
+      this.reviewQueue = await this.deck.getDueCards();
+      if (this.reviewQueue.length === 0) {
+        alert("No cards due. Save words from the popup to build your deck.");
+        return;
+      }
+
+      this.reviewedCount = 0;
+      this.reviewSection.classList.remove("hidden");
+      this.reviewSection.scrollIntoView({ behavior: "smooth" });
+      this.showNextCard();
+    } catch (error) {
+      console.error("Failed to start review:", error);
+      alert("Could not load your deck for review. Please try again.");
+    }
+  }
+
+  showNextCard() {
+    const card = this.reviewQueue[0];
+    if (!card) {
+      this.reviewFront.innerHTML = `<div class="review-word">🎉</div><div>Review finished - ${this.reviewedCount} cards done.</div>`;
+      this.reviewBack.classList.add("hidden");
+      this.showAnswerBtn.classList.add("hidden");
+      this.gradeButtons.classList.add("hidden");
+      this.reviewProgress.textContent = "";
+      return;
+    }
+
+    const word = this.escapeHtml(card.word);
+    const sentence = this.escapeHtml(card.sentence || "").replace(word, `<mark>${word}</mark>`);
+    this.reviewFront.innerHTML = `
+            <div class="review-word">${this.escapeHtml(card.lemma)}</div>
+            <div class="review-sentence">${sentence}</div>
+        `;
+    this.reviewBack.innerHTML = `
+            <div class="review-reading">${this.escapeHtml(card.reading || "")}</div>
+            <div>${this.escapeHtml(card.meaning || "")}</div>
+        `;
+    this.reviewProgress.textContent = `${this.reviewQueue.length} remaining · ${card.lapses} lapses`;
+    this.reviewBack.classList.add("hidden");
+    this.gradeButtons.classList.add("hidden");
+    this.showAnswerBtn.classList.remove("hidden");
+  }
+
+  showAnswer() {
+    const card = this.reviewQueue[0];
+    if (!card) return;
+
+    this.gradeButtons.querySelectorAll(".grade-btn").forEach((button) => {
+      const grade = button.dataset.grade;
+      button.innerHTML = `${grade.charAt(0).toUpperCase() + grade.slice(1)}<small>${this.deck.describeInterval(card, grade)}</small>`;
+    });
+    this.reviewBack.classList.remove("hidden");
+    this.gradeButtons.classList.remove("hidden");
+    this.showAnswerBtn.classList.add("hidden");
+  }
+
+  async gradeCard(grade) {
+    const card = this.reviewQueue.shift();
+    if (!card) return;
+
+    try {
+      const next = await this.deck.review(card, grade);
+      this.reviewedCount++;
+      // Failed cards come back at the end of this session
+      if (grade === "again") {
+        this.reviewQueue.push(next);
+      }
+    } catch (error) {
+      console.error("Failed to save review:", error);
+      alert("Could not save your review. Please try again.");
+      this.reviewQueue.unshift(card);
+    }
+
+    this.showNextCard();
+    this.updateDueCount();
+  }
+
+  endReview() {
+    this.reviewSection.classList.add("hidden");
+    this.reviewQueue = [];
+    this.updateDueCount();
+  }
+
+  // Reuses the quiz saved with the library entry unless fresh questions are asked for
+  async startQuiz(fresh = false) {
+    const text = this.currentJapaneseText;
+    const entryId = this.currentEntryId;
+    if (!text) return;
+
+    try {
+      const entry = entryId ? await this.library.get(entryId) : null;
+      let questions = !fresh && entry ? entry.quiz : null;
+
+      if (!questions) {
+        if (!this.llm.isReady()) {
+          alert("Please enter your OpenAI API key or choose another AI provider (needed to write quiz questions)");
+          return;
+        }
+        this.showLoading(true, "Writing quiz questions...");
+        this.quizBtn.disabled = true;
+        this.newQuizBtn.disabled = true;
+        try {
+          questions = await this.quiz.generate(text);
+        } finally {
+          this.showLoading(false);
+          this.quizBtn.disabled = false;
+          this.newQuizBtn.disabled = false;
+        }
+        if (entryId) await this.library.setQuiz(entryId, questions);
+      }
+
+      // A different text may have been opened while the questions were written
+      if (text !== this.currentJapaneseText) return;
+
+      this.currentQuiz = questions;
+      this.renderQuiz();
+      this.renderQuizScores(entry ? entry.quizScores || [] : []);
+      this.quizSection.classList.remove("hidden");
+      this.quizSection.scrollIntoView({ behavior: "smooth" });
+    } catch (error) {
+      console.error("Error generating quiz:", error);
+      alert("Could not write a quiz for this text. Please try again.");
+    }
+  }
+
+  renderQuiz() {
+    this.quizQuestions.innerHTML = this.currentQuiz.map((question, index) => `
+      <li class="quiz-question" data-index="${index}">
+        <div class="quiz-prompt japanese-text">${this.escapeHtml(question.question)}</div>
+        ${question.type === "choice"
+          ? question.choices.map((choice, choiceIndex) => `
+            <label class="quiz-choice japanese-text">
+              <input type="radio" name="quiz-${index}" value="${choiceIndex}"> ${this.escapeHtml(choice)}
+            </label>`).join("")
+          : `<input type="text" class="quiz-answer japanese-text" placeholder="答え" autocomplete="off">`}
+        <div class="quiz-feedback hidden"></div>
+      </li>`).join("");
+    this.quizResult.classList.add("hidden");
+    this.checkQuizBtn.classList.remove("hidden");
+    this.retryQuizBtn.classList.add("hidden");
+  }
+
+  async checkQuiz() {
+    if (!this.currentQuiz) return;
+    let correct = 0;
+
+    this.currentQuiz.forEach((question, index) => {
+      const item = this.quizQuestions.querySelector(`.quiz-question[data-index="${index}"]`);
+      const checked = item.querySelector("input:checked");
+      const response = question.type === "choice" ? (checked ? checked.value : null) : item.querySelector(".quiz-answer").value;
+      const isCorrect = this.quiz.isCorrect(question, response);
+      if (isCorrect) correct++;
+
+      item.classList.toggle("correct", isCorrect);
+      item.classList.toggle("wrong", !isCorrect);
+      item.querySelectorAll("input").forEach((input) => { input.disabled = true; });
+
+      // Wrong answers get the right one, why, and where the text says so
+      const feedback = item.querySelector(".quiz-feedback");
+      const answer = question.type === "choice" ? question.choices[question.answer] : question.answer;
+      feedback.innerHTML = isCorrect ? "✓ Correct" : `
+        <div>✗ Answer: <span class="japanese-text">${this.escapeHtml(answer)}</span></div>
+        ${question.explanation ? `<div>${this.escapeHtml(question.explanation)}</div>` : ""}
+        ${question.quote ? `<blockquote class="quiz-quote japanese-text">${this.escapeHtml(question.quote)}</blockquote>` : ""}`;
+      feedback.classList.remove("hidden");
+    });
+
+    const total = this.currentQuiz.length;
+    this.quizResult.textContent = `${correct} / ${total} correct`;
+    this.quizResult.classList.remove("hidden");
+    this.checkQuizBtn.classList.add("hidden");
+    this.retryQuizBtn.classList.remove("hidden");
+
+    if (!this.currentEntryId) return;
+    try {
+      const entry = await this.library.addQuizScore(this.currentEntryId, { correct, total });
+      if (entry) this.renderQuizScores(entry.quizScores);
+    } catch (error) {
+      console.error("Failed to save quiz score:", error);
+    }
+  }
+
+  startCloze() {
+    if (!this.currentJapaneseText) return;
+
+    this.clozePieces = this.cloze.build(this.currentJapaneseText, {
+      kind: this.clozeInputs.kind.value,
+      level: Number(this.clozeInputs.level.value),
+    });
+    this.renderCloze();
+    if (this.clozeSection.classList.contains("hidden")) {
+      this.clozeSection.classList.remove("hidden");
+      this.clozeSection.scrollIntoView({ behavior: "smooth" });
+    }
+  }
+
+  renderCloze() {
+    const typing = this.clozeInputs.mode.value === "typing";
+    let index = 0;
+    const html = this.clozePieces.map((piece) => {
+      if (!piece.blank) return this.escapeHtml(piece.text);
+      const blank = piece.blank;
+      const title = blank.hint ? ` title="${this.escapeHtml(blank.hint)}"` : "";
+      const field = typing
+        ? `<input type="text" size="${Math.max(2, blank.answer.length + 1)}" autocomplete="off" autocapitalize="off" spellcheck="false">`
+        : `<select><option value=""></option>${blank.choices.map((choice) => `<option>${this.escapeHtml(choice)}</option>`).join("")}</select>`;
+      return `<span class="cloze-blank" data-index="${index++}"${title}>${field}</span>`;
+    }).join("");
+
+    this.clozeText.innerHTML = html.replace(/\n/g, "<br>");
+    this.clozeResult.classList.add("hidden");
+    this.checkClozeBtn.classList.toggle("hidden", index === 0);
+    if (index === 0) {
+      this.clozeResult.textContent = "Nothing to blank out in this text for that choice. Try another drill type or level.";
+      this.clozeResult.classList.remove("hidden");
+    }
+  }
+
+  // Typed romaji turns into kana as it goes, like an IME
+  convertClozeInput(event) {
+    const input = event.target;
+    if (input.tagName !== "INPUT" || event.isComposing) return;
+    const converted = this.cloze.romajiToKana(input.value.toLowerCase(), { final: false });
+    if (converted !== input.value) input.value = converted;
+  }
+
+  checkCloze() {
+    const blanks = this.clozePieces.filter((piece) => piece.blank).map((piece) => piece.blank);
+    let correct = 0;
+
+    this.clozeText.querySelectorAll(".cloze-blank").forEach((element) => {
+      const blank = blanks[Number(element.dataset.index)];
+      const field = element.querySelector("input, select");
+      const isCorrect = this.cloze.isCorrect(blank, field.value);
+      if (isCorrect) correct++;
+
+      element.classList.toggle("correct", isCorrect);
+      element.classList.toggle("wrong", !isCorrect);
+      field.disabled = true;
+      if (!isCorrect) {
+        element.insertAdjacentHTML("beforeend", `<span class="cloze-correction">${this.escapeHtml(blank.answer)}</span>`);
+      }
+    });
+
+    this.clozeResult.textContent = `${correct} / ${blanks.length} correct`;
+    this.clozeResult.classList.remove("hidden");
+    this.checkClozeBtn.classList.add("hidden");
+  }
+
+  startWriting() {
+    if (!this.currentJapaneseText) return;
+    this.writingSection.classList.remove("hidden");
+    this.writingSection.scrollIntoView({ behavior: "smooth" });
+    this.writingInput.focus();
+    if (this.writingStats.open) this.renderMistakeStats();
+  }
+
+  async checkWriting() {
+    const writing = this.writingInput.value.trim();
+    if (!writing) {
+      alert("Write something in Japanese first");
+      return;
+    }
+    if (!this.llm.isReady()) {
+      alert("Please enter your OpenAI API key or choose another AI provider (needed to correct your writing)");
+      return;
+    }
+
+    const text = this.currentJapaneseText;
+    const kind = this.writingKindSelect.value;
+    // Checked in place, so the text being written about stays on screen
+    this.checkWritingBtn.textContent = "Checking…";
+    this.checkWritingBtn.disabled = true;
+    try {
+      const result = await this.writingCoach.correct(writing, text, kind);
+      // A different text may have been opened while the writing was checked
+      if (text !== this.currentJapaneseText) return;
+
+      this.renderWritingResult(writing, result);
+      await this.writingCoach.record({ kind, writing, corrections: result.corrections, source: this.currentSource });
+      if (this.writingStats.open) this.renderMistakeStats();
+    } catch (error) {
+      console.error("Error checking writing:", error);
+      alert("Could not check your writing. Please try again.");
+    } finally {
+      this.checkWritingBtn.textContent = "Check my writing";
+      this.checkWritingBtn.disabled = false;
+    }
+  }
+
+  // The writing with each mistake struck through and its correction after
+  // it; the explanations are listed below with the same numbers
+  renderWritingResult(writing, { corrections, comment }) {
+    this.writingComment.textContent = corrections.length === 0
+      ? `No corrections needed. ${comment}`.trim()
+      : comment;
+
+    let number = 0;
+    this.writingDiff.innerHTML = this.writingCoach.diff(writing, corrections).map((piece) => {
+      if (!piece.correction) return this.escapeHtml(piece.text);
+      const { original, corrected, category, explanation } = piece.correction;
+      number++;
+      return `<span class="writing-change" title="${this.escapeHtml(`${WRITING_CATEGORIES[category]}: ${explanation}`)}"><del>${this.escapeHtml(original)}</del><ins>${this.escapeHtml(corrected)}</ins><sup>${number}</sup></span>`;
+    }).join("");
+
+    this.writingCorrections.innerHTML = corrections.map(({ original, corrected, category, explanation }) => `
+      <li>
+        <span class="writing-category">${WRITING_CATEGORIES[category]}</span>
+        <span class="japanese-text">${this.escapeHtml(original)} → ${this.escapeHtml(corrected)}</span>
+        ${explanation ? `<div>${this.escapeHtml(explanation)}</div>` : ""}
+      </li>`).join("");
+    this.writingResult.classList.remove("hidden");
+  }
+
+  async renderMistakeStats() {
+    try {
+      const stats = await this.writingCoach.mistakeStats();
+      if (stats.attempts === 0) {
+        this.writingStatsBody.textContent = "Check some writing to see which mistakes you make most.";
+        return;
+      }
+
+      this.writingStatsBody.innerHTML = `
+        <table>
+          <tr><th>Category</th><th>Last 30 days</th><th>All time</th></tr>
+          ${stats.categories.map((item) => `<tr><td>${item.label}</td><td>${item.recent}</td><td>${item.total}</td></tr>`).join("")}
+        </table>
+        <p>${stats.attempts} ${stats.attempts === 1 ? "piece" : "pieces"} of writing checked</p>
+        ${stats.repeated.length > 0 ? `
+          <p>Corrected more than once:</p>
+          <ul>${stats.repeated.map((item) => `<li><span class="japanese-text">${this.escapeHtml(item.original)} → ${this.escapeHtml(item.corrected)}</span> (${item.count}×, ${WRITING_CATEGORIES[item.category] || WRITING_CATEGORIES.other})</li>`).join("")}</ul>` : ""}`;
+    } catch (error) {
+      console.error("Failed to load writing statistics:", error);
+      this.writingStatsBody.textContent = "Could not load your writing history.";
+    }
+  }
+
+  renderQuizScores(scores) {
+    if (scores.length === 0) {
+      this.quizScores.textContent = "First attempt at this text";
+      return;
+    }
+    const recent = scores.slice(-5).map((score) => `${score.correct}/${score.total}`).join(" · ");
+    const best = scores.reduce((top, score) => (score.correct / score.total > top.correct / top.total ? score : top));
+    this.quizScores.textContent = `Scores: ${recent} (best ${best.correct}/${best.total}, ${scores.length} ${scores.length === 1 ? "attempt" : "attempts"})`;
+  }
+
+  // Pairs the tokenizer's lemma with the deinflection chain that reaches it
+  resolveInflection(word, lemma = word) {
+    const candidates = this.deinflector.deinflect(word);
+    const match = candidates.find((candidate) => candidate.term === lemma);
+    return { lemma, reasons: match ? match.reasons : [], candidates };
+  }
+
+  async lookupDictionary(word, inflection) {
+    try {
+      const candidates = [{ term: inflection.lemma }, ...inflection.candidates];
+      const definition = await this.dictionary.lookupDefinition(word, candidates);
+      if (definition) {
+        this.fallbackDefinitions.set(definition.lemma, definition);
+        console.log(`✓ Found "${word}" in offline dictionary:`, definition);
+      }
+      return definition;
+    } catch (error) {
+      console.error(`Dictionary lookup failed for "${word}":`, error);
+      return null;
+    }
+  }
+
+  renderDictionaryEntries(entries) {
+    return entries.map((entry) => `
+            <div class="dictionary-entry">
+              <div>
+                <strong>${this.escapeHtml(entry.headword)}</strong> 【${this.escapeHtml(entry.reading)}】
+                ${entry.common ? '<span class="common-tag">common</span>' : ""}
+              </div>
+              <ol class="sense-list">
+                ${entry.senses.slice(0, 5).map((sense) => `
+                <li>
+                  ${sense.pos.length > 0 ? `<span class="sense-pos">${this.escapeHtml(sense.pos.join(", "))}</span>` : ""}
+                  ${this.escapeHtml(sense.glosses.join("; "))}
+                </li>`).join("")}
+              </ol>
+            </div>`).join("");
   }
 
   positionPopup(event, popup) {
@@ -806,15 +2902,19 @@ In the evening, Tanaka sat by the Trevi Fountain and reflected on the day's memo
     });
   }
 
+  // Focus goes back to the word the popup was opened from
   hidePopup() {
+    if (this.wordPopup.classList.contains("hidden")) return;
+    const hadFocus = this.wordPopup.contains(document.activeElement);
     this.wordPopup.classList.add("hidden");
+    if (hadFocus && this.popupOpener && this.popupOpener.isConnected) this.popupOpener.focus();
   }
 
   async copyToClipboard() {
-    const definition = this.fallbackDefinitions.get(this.currentWord);
+    const definition = this.fallbackDefinitions.get(this.currentLemma);
     if (!definition) return;
 
-    const textToCopy = `${this.currentWord} (${definition.reading}): ${definition.meaning}`;
+    const textToCopy = `${this.currentLemma} (${definition.reading}): ${definition.meaning}`;
 
     try {
       await navigator.clipboard.writeText(textToCopy);
@@ -849,15 +2949,60 @@ In the evening, Tanaka sat by the Trevi Fountain and reflected on the day's memo
     }
   }
 
+  // The story is hidden while loading; if nothing replaces it (a quiz was
+  // written, or the request failed) it comes back when loading ends
   showLoading(show, message = "Generating your story...") {
+    this.streamPreview.textContent = "";
+    this.streamPreview.classList.add("hidden");
     if (show) {
-      this.loadingDiv.textContent = message;
+      this.loadingMessage.textContent = message;
       this.loadingDiv.classList.remove("hidden");
+      this.storyHiddenByLoading = this.storyHiddenByLoading || !this.storySection.classList.contains("hidden");
       this.storySection.classList.add("hidden");
     } else {
       this.loadingDiv.classList.add("hidden");
+      this.cancelRequestBtn.classList.add("hidden");
+      this.requestController = null;
+      if (this.storyHiddenByLoading) this.storySection.classList.remove("hidden");
+      this.storyHiddenByLoading = false;
     }
   }
+
+  // Shows the Cancel button until loading ends; returns the signal it aborts
+  startCancellableRequest() {
+    this.requestController = new AbortController();
+    this.cancelRequestBtn.classList.remove("hidden");
+    return this.requestController.signal;
+  }
+
+  // An onText callback for a streamed reply. Replies arrive a few characters
+  // at a time, so the preview is redrawn at most every 100ms.
+  previewUpdater(toPreview, lang) {
+    let latest = "";
+    let timer = null;
+    return (content) => {
+      latest = content;
+      if (timer) return;
+      timer = setTimeout(() => {
+        timer = null;
+        if (this.loadingDiv.classList.contains("hidden")) return;
+        this.streamPreview.lang = lang;
+        this.streamPreview.textContent = toPreview(latest);
+        this.streamPreview.classList.toggle("hidden", !this.streamPreview.textContent);
+        this.streamPreview.scrollTop = this.streamPreview.scrollHeight;
+      }, 100);
+    };
+  }
+
+  // One field of every sentence pair streamed in so far, as running text
+  streamedSentences(content, field, separator) {
+    const partial = this.llm.parsePartialJson(content);
+    if (!partial || typeof partial !== "object") return content;
+    const paragraphs = Array.isArray(partial.paragraphs) ? partial.paragraphs : [];
+    return paragraphs.map((paragraph) => (Array.isArray(paragraph) ? paragraph : [])
+      .map((item) => (item && typeof item[field] === "string" ? item[field] : ""))
+      .join(separator)).join("\n\n");
+  }
 }
 
 // Initialize the app when DOM is loaded
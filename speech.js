@@ -0,0 +1,128 @@
+// Reads the Japanese story aloud with the browser's Web Speech API, one
+// sentence at a time so the reader can highlight, jump and loop. Only
+// voices installed on the device are used, so playback works offline.
+
+class SpeechPlayer {
+  constructor({ onSentenceChange, onStateChange }) {
+    this.synth = typeof speechSynthesis !== "undefined" ? speechSynthesis : null;
+    this.onSentenceChange = onSentenceChange;
+    this.onStateChange = onStateChange;
+    this.sentences = [];
+    this.index = -1;
+    this.state = "stopped"; // "playing", "paused" or "stopped"
+    this.rate = 1;
+    this.loop = false;
+    this.voiceName = "";
+    // Bumped whenever playback is interrupted, so events from a cancelled
+    // utterance can't advance the new one
+    this.session = 0;
+  }
+
+  get supported() {
+    return Boolean(this.synth) && typeof SpeechSynthesisUtterance !== "undefined";
+  }
+
+  // Local Japanese voices only; network voices would need a connection
+  voices() {
+    if (!this.supported) return [];
+    return this.synth.getVoices().filter((voice) => voice.localService && /^ja(?:[-_]|$)/i.test(voice.lang));
+  }
+
+  voice() {
+    const voices = this.voices();
+    return voices.find((voice) => voice.name === this.voiceName) || voices[0] || null;
+  }
+
+  play(sentences, startIndex = 0) {
+    this.stop();
+    this.sentences = sentences;
+    this.setState("playing");
+    this.speakSentence(startIndex);
+  }
+
+  pause() {
+    if (this.state !== "playing") return;
+    this.synth.pause();
+    this.setState("paused");
+  }
+
+  resume() {
+    if (this.state !== "paused") return;
+    this.setState("playing");
+    if (this.synth.speaking) {
+      this.synth.resume();
+    } else {
+      // The sentence finished while paused
+      this.speakSentence(this.loop ? this.index : this.index + 1);
+    }
+  }
+
+  stop() {
+    this.session++;
+    if (this.supported) this.synth.cancel();
+    this.index = -1;
+    this.onSentenceChange(-1);
+    this.setState("stopped");
+  }
+
+  // A new speed applies straight away by restarting the current sentence
+  setRate(rate) {
+    this.rate = rate;
+    if (this.state === "playing") this.restartSentence();
+  }
+
+  setVoice(name) {
+    this.voiceName = name;
+    if (this.state === "playing") this.restartSentence();
+  }
+
+  restartSentence() {
+    this.session++;
+    this.synth.cancel();
+    this.speakSentence(this.index);
+  }
+
+  // One-off playback, e.g. a single word from the popup; stops the story
+  speakText(text) {
+    if (!this.supported) return;
+    this.stop();
+    this.synth.speak(this.utterance(text));
+  }
+
+  speakSentence(index) {
+    if (index < 0 || index >= this.sentences.length) {
+      this.stop();
+      return;
+    }
+
+    const session = ++this.session;
+    this.index = index;
+    this.onSentenceChange(index);
+
+    const utterance = this.utterance(this.sentences[index]);
+    utterance.onend = () => {
+      if (session !== this.session || this.state !== "playing") return;
+      this.speakSentence(this.loop ? index : index + 1);
+    };
+    utterance.onerror = (event) => {
+      if (session !== this.session) return;
+      console.error("Speech playback failed:", event.error);
+      this.stop();
+    };
+    this.synth.speak(utterance);
+  }
+
+  utterance(text) {
+    const utterance = new SpeechSynthesisUtterance(text);
+    const voice = this.voice();
+    utterance.lang = voice ? voice.lang : "ja-JP";
+    if (voice) utterance.voice = voice;
+    utterance.rate = this.rate;
+    return utterance;
+  }
+
+  setState(state) {
+    this.state = state;
+    this.onStateChange(state);
+  }
+}
@@ -0,0 +1,284 @@
+// Minimal writer for the SQLite 3 file format, enough to produce the
+// collection database inside an Anki package without a WebAssembly build
+// of SQLite. Tables are written once as rowid b-trees; there is no index,
+// freelist or WAL support.
+
+const SQLITE_PAGE_SIZE = 4096;
+const SQLITE_LEAF_TABLE = 0x0d;
+const SQLITE_INTERIOR_TABLE = 0x05;
+
+class SqliteWriter {
+  constructor() {
+    this.tables = [];
+    this.encoder = new TextEncoder();
+  }
+
+  // rows: [{ rowid, values }], values in column order. A column declared
+  // "integer primary key" must be passed as null; its value is the rowid.
+  addTable(name, sql, rows) {
+    this.tables.push({ name, sql, rows: [...rows].sort((a, b) => a.rowid - b.rowid) });
+  }
+
+  build() {
+    this.pages = [null];
+    const schemaRows = this.tables.map((table, index) => {
+      const rootPage = this.writeTable(table.rows);
+      return { rowid: index + 1, values: ["table", table.name, table.name, rootPage, table.sql] };
+    });
+
+    // sqlite_master always lives on page 1, after the 100-byte file header
+    const masterCells = schemaRows.map((row) => this.leafCell(row.rowid, this.encodeRecord(row.values)));
+    const masterPage = this.leafPage(masterCells, 100);
+    if (!masterPage) {
+      throw new Error("Schema does not fit on the first page");
+    }
+    this.pages[0] = masterPage;
+    this.writeFileHeader(masterPage);
+
+    const file = new Uint8Array(this.pages.length * SQLITE_PAGE_SIZE);
+    this.pages.forEach((page, index) => file.set(page, index * SQLITE_PAGE_SIZE));
+    return file;
+  }
+
+  writeFileHeader(page) {
+    const view = new DataView(page.buffer);
+    page.set(this.encoder.encode("SQLite format 3\0"), 0);
+    view.setUint16(16, SQLITE_PAGE_SIZE);
+    page[18] = 1; // file format write version (legacy)
+    page[19] = 1; // file format read version (legacy)
+    page[20] = 0; // reserved bytes per page
+    page[21] = 64; // max embedded payload fraction
+    page[22] = 32; // min embedded payload fraction
+    page[23] = 32; // leaf payload fraction
+    view.setUint32(24, 1); // file change counter
+    view.setUint32(28, this.pages.length); // database size in pages
+    view.setUint32(40, 1); // schema cookie
+    view.setUint32(44, 4); // schema format number
+    view.setUint32(56, 1); // UTF-8
+    view.setUint32(92, 1); // version-valid-for, matches the change counter
+    view.setUint32(96, 3040001); // SQLite version that "wrote" the file
+  }
+
+  allocatePage() {
+    this.pages.push(new Uint8Array(SQLITE_PAGE_SIZE));
+    return this.pages.length;
+  }
+
+  // Packs rows into leaf pages, then builds interior levels until one root remains
+  writeTable(rows) {
+    let level = [];
+    let cells = [];
+
+    const flushLeaf = () => {
+      const pageNumber = this.allocatePage();
+      this.pages[pageNumber - 1] = this.leafPage(cells.map((cell) => cell.bytes), 0);
+      level.push({ pageNumber, maxRowid: cells.length > 0 ? cells[cells.length - 1].rowid : 0 });
+      cells = [];
+    };
+
+    rows.forEach((row) => {
+      const bytes = this.leafCell(row.rowid, this.encodeRecord(row.values));
+      cells.push({ rowid: row.rowid, bytes });
+      if (!this.fits(cells.map((cell) => cell.bytes), 8)) {
+        const overflowing = cells.pop();
+        flushLeaf();
+        cells.push(overflowing);
+      }
+    });
+    if (cells.length > 0 || level.length === 0) flushLeaf();
+
+    while (level.length > 1) {
+      const parents = [];
+      let children = [];
+
+      const flushInterior = () => {
+        const pageNumber = this.allocatePage();
+        this.pages[pageNumber - 1] = this.interiorPage(children);
+        parents.push({ pageNumber, maxRowid: children[children.length - 1].maxRowid });
+        children = [];
+      };
+
+      level.forEach((child) => {
+        children.push(child);
+        const cellBytes = children.slice(0, -1).map((entry) => this.interiorCell(entry.pageNumber, entry.maxRowid));
+        if (!this.fits(cellBytes, 12)) {
+          const overflowing = children.pop();
+          flushInterior();
+          children.push(overflowing);
+        }
+      });
+      flushInterior();
+      level = parents;
+    }
+
+    return level[0].pageNumber;
+  }
+
+  fits(cells, headerSize, offset = 0) {
+    const used = cells.reduce((total, cell) => total + cell.length + 2, offset + headerSize);
+    return used <= SQLITE_PAGE_SIZE;
+  }
+
+  leafPage(cells, offset) {
+    if (!this.fits(cells, 8, offset)) return null;
+    return this.btreePage(SQLITE_LEAF_TABLE, cells, offset, 8);
+  }
+
+  interiorPage(children) {
+    const rightMost = children[children.length - 1];
+    const cells = children.slice(0, -1).map((child) => this.interiorCell(child.pageNumber, child.maxRowid));
+    const page = this.btreePage(SQLITE_INTERIOR_TABLE, cells, 0, 12);
+    new DataView(page.buffer).setUint32(8, rightMost.pageNumber);
+    return page;
+  }
+
+  btreePage(type, cells, offset, headerSize) {
+    const page = new Uint8Array(SQLITE_PAGE_SIZE);
+    const view = new DataView(page.buffer);
+    let contentStart = SQLITE_PAGE_SIZE;
+
+    cells.forEach((cell, index) => {
+      contentStart -= cell.length;
+      page.set(cell, contentStart);
+      view.setUint16(offset + headerSize + index * 2, contentStart);
+    });
+
+    page[offset] = type;
+    view.setUint16(offset + 3, cells.length);
+    // 65536 is stored as 0
+    view.setUint16(offset + 5, contentStart === 65536 ? 0 : contentStart);
+    return page;
+  }
+
+  interiorCell(childPage, rowid) {
+    const key = this.varint(rowid);
+    const cell = new Uint8Array(4 + key.length);
+    new DataView(cell.buffer).setUint32(0, childPage);
+    cell.set(key, 4);
+    return cell;
+  }
+
+  // Large payloads spill into a chain of overflow pages, as in the file format spec
+  leafCell(rowid, payload) {
+    const usable = SQLITE_PAGE_SIZE;
+    const maxLocal = usable - 35;
+    const minLocal = Math.floor(((usable - 12) * 32) / 255) - 23;
+    let local = payload.length;
+
+    if (payload.length > maxLocal) {
+      const k = minLocal + ((payload.length - minLocal) % (usable - 4));
+      local = k <= maxLocal ? k : minLocal;
+    }
+
+    const header = this.concat([this.varint(payload.length), this.varint(rowid)]);
+    const parts = [header, payload.subarray(0, local)];
+    if (local < payload.length) {
+      const pointer = new Uint8Array(4);
+      new DataView(pointer.buffer).setUint32(0, this.writeOverflow(payload.subarray(local)));
+      parts.push(pointer);
+    }
+    return this.concat(parts);
+  }
+
+  writeOverflow(data) {
+    const chunkSize = SQLITE_PAGE_SIZE - 4;
+    const pageNumbers = [];
+    for (let i = 0; i < data.length; i += chunkSize) {
+      pageNumbers.push(this.allocatePage());
+    }
+
+    pageNumbers.forEach((pageNumber, index) => {
+      const page = this.pages[pageNumber - 1];
+      new DataView(page.buffer).setUint32(0, pageNumbers[index + 1] || 0);
+      page.set(data.subarray(index * chunkSize, (index + 1) * chunkSize), 4);
+    });
+    return pageNumbers[0];
+  }
+
+  encodeRecord(values) {
+    const types = [];
+    const bodies = [];
+
+    values.forEach((value) => {
+      if (value === null || value === undefined) {
+        types.push(0);
+        bodies.push(new Uint8Array(0));
+      } else if (typeof value === "number" && Number.isInteger(value)) {
+        const [type, bytes] = this.encodeInteger(value);
+        types.push(type);
+        bodies.push(bytes);
+      } else if (typeof value === "number") {
+        const bytes = new Uint8Array(8);
+        new DataView(bytes.buffer).setFloat64(0, value);
+        types.push(7);
+        bodies.push(bytes);
+      } else if (value instanceof Uint8Array) {
+        types.push(12 + value.length * 2);
+        bodies.push(value);
+      } else {
+        const bytes = this.encoder.encode(String(value));
+        types.push(13 + bytes.length * 2);
+        bodies.push(bytes);
+      }
+    });
+
+    const typeBytes = this.concat(types.map((type) => this.varint(type)));
+    // The header size counts its own varint, which may grow by a byte
+    let headerSize = typeBytes.length + 1;
+    if (this.varint(headerSize).length > 1) headerSize = typeBytes.length + this.varint(headerSize + 1).length;
+    return this.concat([this.varint(headerSize), typeBytes, ...bodies]);
+  }
+
+  encodeInteger(value) {
+    if (value === 0) return [8, new Uint8Array(0)];
+    if (value === 1) return [9, new Uint8Array(0)];
+
+    const sizes = [[1, 1], [2, 2], [3, 3], [4, 4], [5, 6], [6, 8]];
+    const [type, size] = sizes.find(([, bytes]) => {
+      const limit = 2n ** BigInt(bytes * 8 - 1);
+      return BigInt(value) >= -limit && BigInt(value) < limit;
+    });
+
+    const bytes = new Uint8Array(size);
+    let remaining = BigInt.asUintN(size * 8, BigInt(value));
+    for (let i = size - 1; i >= 0; i--) {
+      bytes[i] = Number(remaining & 0xffn);
+      remaining >>= 8n;
+    }
+    return [type, bytes];
+  }
+
+  varint(value) {
+    let number = BigInt(value);
+    if (number < 0n) number = BigInt.asUintN(64, number);
+
+    if (number > 0x00ffffffffffffffn) {
+      // Nine-byte form: the last byte carries a full eight bits
+      const bytes = new Uint8Array(9);
+      bytes[8] = Number(number & 0xffn);
+      number >>= 8n;
+      for (let i = 7; i >= 0; i--) {
+        bytes[i] = Number(number & 0x7fn) | 0x80;
+        number >>= 7n;
+      }
+      return bytes;
+    }
+
+    const groups = [];
+    do {
+      groups.unshift(Number(number & 0x7fn));
+      number >>= 7n;
+    } while (number > 0n);
+    return new Uint8Array(groups.map((group, index) => (index < groups.length - 1 ? group | 0x80 : group)));
+  }
+
+  concat(parts) {
+    const result = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+    let offset = 0;
+    parts.forEach((part) => {
+      result.set(part, offset);
+      offset += part.length;
+    });
+    return result;
+  }
+}
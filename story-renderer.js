@@ -0,0 +1,138 @@
+// Builds the reader's DOM from Japanese text in one segmentation pass.
+// Words, furigana and grammar marks are created as nodes rather than HTML
+// strings, so nothing in a pasted article can inject markup. Long texts
+// are rendered a chunk at a time so the first screen shows up at once.
+
+// Roughly how much text goes into one rendering chunk
+const RENDER_CHUNK_CHARS = 2000;
+
+class StoryRenderer {
+  // wordClasses(word) → extra classes for a clickable word
+  // furigana(word) → the reading to show above the word, or null
+  // grammar() → the grammar points to mark, each with quoted occurrences
+  constructor(tokenizer, { wordClasses = () => [], furigana = () => null, grammar = () => [] } = {}) {
+    this.tokenizer = tokenizer;
+    this.wordClasses = wordClasses;
+    this.furigana = furigana;
+    this.grammar = grammar;
+    this.jobs = new Map();
+  }
+
+  renderText(text) {
+    const fragment = document.createDocumentFragment();
+    const ranges = this.grammarRanges(text);
+    let mark = null;
+    let markIndex = -1;
+
+    this.tokenizer.segmentWords(text).forEach((word) => {
+      // Consecutive words inside the same grammar occurrence share one <mark>
+      const range = ranges.find((candidate) => word.start < candidate.end && word.end > candidate.start);
+      const index = range ? range.index : -1;
+      if (index !== markIndex) {
+        mark = index !== -1 ? fragment.appendChild(this.createMark(index)) : null;
+        markIndex = index;
+      }
+      (mark || fragment).appendChild(word.clickable ? this.createWord(word) : this.createContent(word));
+    });
+    return fragment;
+  }
+
+  createWord(word) {
+    const span = document.createElement("span");
+    span.className = ["clickable-word", ...this.wordClasses(word)].join(" ");
+    span.setAttribute("role", "button");
+    span.setAttribute("tabindex", "-1");
+    span.dataset.word = word.surface;
+    span.dataset.lemma = word.baseForm;
+    span.dataset.reading = word.reading || "";
+    span.dataset.pos = word.pos;
+    span.dataset.source = "dynamic";
+    span.appendChild(this.createContent(word));
+    return span;
+  }
+
+  createContent(word) {
+    const reading = this.furigana(word);
+    if (!reading) return this.createText(word.surface);
+
+    const fragment = document.createDocumentFragment();
+    this.tokenizer.furigana(word.surface, reading).forEach(({ text, reading: rt }) => {
+      if (!rt) {
+        fragment.appendChild(document.createTextNode(text));
+        return;
+      }
+      const ruby = document.createElement("ruby");
+      const annotation = document.createElement("rt");
+      annotation.textContent = rt;
+      ruby.append(text, annotation);
+      fragment.appendChild(ruby);
+    });
+    return fragment;
+  }
+
+  // Text with its line breaks as <br>
+  createText(text) {
+    const fragment = document.createDocumentFragment();
+    text.split("\n").forEach((line, index) => {
+      if (index > 0) fragment.appendChild(document.createElement("br"));
+      if (line) fragment.appendChild(document.createTextNode(line));
+    });
+    return fragment;
+  }
+
+  createMark(index) {
+    const item = this.grammar()[index];
+    const mark = document.createElement("mark");
+    mark.className = `grammar-highlight grammar-${index % 5}`;
+    mark.dataset.grammar = index;
+    mark.title = item.meaning ? `${item.point}: ${item.meaning}` : item.point;
+    return mark;
+  }
+
+  // Character ranges of every grammar occurrence found in the text; the model
+  // quotes occurrences verbatim, so a quote that isn't in the text is skipped
+  grammarRanges(text) {
+    const ranges = [];
+    this.grammar().forEach((item, index) => {
+      item.occurrences.forEach((occurrence) => {
+        for (let start = text.indexOf(occurrence); start !== -1; start = text.indexOf(occurrence, start + occurrence.length)) {
+          const end = start + occurrence.length;
+          if (!ranges.some((range) => start < range.end && end > range.start)) {
+            ranges.push({ start, end, index });
+          }
+        }
+      });
+    });
+    return ranges;
+  }
+
+  // Replaces the container's content with renderItem(item) for every item.
+  // The first chunk is rendered straight away and the rest one chunk per
+  // task, so a long article never blocks the page. Rendering the same
+  // container again cancels whatever was left of the previous run.
+  renderInChunks(container, items, renderItem, { size = (item) => item.length, onDone = () => {} } = {}) {
+    clearTimeout(this.jobs.get(container));
+    this.jobs.delete(container);
+    container.replaceChildren();
+
+    let next = 0;
+    const renderChunk = () => {
+      const fragment = document.createDocumentFragment();
+      let length = 0;
+      while (next < items.length && length < RENDER_CHUNK_CHARS) {
+        length += Math.max(1, size(items[next]));
+        fragment.appendChild(renderItem(items[next], next));
+        next++;
+      }
+      container.appendChild(fragment);
+
+      if (next < items.length) {
+        this.jobs.set(container, setTimeout(renderChunk, 0));
+      } else {
+        this.jobs.delete(container);
+        onDone();
+      }
+    };
+    renderChunk();
+  }
+}
@@ -0,0 +1,62 @@
+// ArticleExtractor against saved pages shaped like NHK NEWS WEB, Asahi
+// Shimbun Digital and NHK NEWS WEB EASY: metadata, heading and paragraph
+// structure, and no site furniture in the text.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { JSDOM } = require("jsdom");
+const { loadScripts, readFixture, plain } = require("./load");
+
+const { window } = new JSDOM("");
+const run = loadScripts(["article-extractor.js"], { Node: window.Node });
+const extractor = run("new ArticleExtractor()");
+
+function extract(name) {
+  const doc = new window.DOMParser().parseFromString(readFixture(`articles/${name}.html`), "text/html");
+  return plain(extractor.extract(doc));
+}
+
+function assertNoFurniture(article, phrases) {
+  phrases.forEach((phrase) => assert.ok(!article.text.includes(phrase), `"${phrase}" leaked into the text`));
+}
+
+test("NHK NEWS WEB: JSON-LD metadata, summary, subheading and paragraphs", () => {
+  const article = extract("nhk-news");
+
+  assert.equal(article.title, "桜の開花 東京で平年より5日早く");
+  assert.equal(article.author, "NHK");
+  assert.equal(article.published, "2024-03-19T14:05:00+09:00");
+  assert.deepEqual(article.blocks.map((block) => block.type), [
+    "heading", "paragraph", "paragraph", "paragraph", "heading", "paragraph", "paragraph",
+  ]);
+  assert.equal(article.blocks[4].text, "満開は来週の見込み");
+  assert.ok(article.blocks[6].text.endsWith("と話していました。"));
+  assertNoFurniture(article, ["2024年3月19日", "共有", "関連ニュース", "ランキング", "Copyright", "社会"]);
+});
+
+test("Asahi: meta tag author and date, site name dropped from the title", () => {
+  const article = extract("asahi");
+
+  assert.equal(article.title, "商店街に新しい図書館 空き店舗を活用、住民が運営");
+  assert.equal(article.author, "山田花子");
+  assert.equal(article.published, "2024-05-02T07:30:00+09:00");
+  assert.deepEqual(article.blocks.map((block) => block.type), ["heading", "paragraph", "paragraph", "paragraph", "paragraph"]);
+  assert.ok(article.blocks[1].text.startsWith("閉店した洋品店の建物を改装した"));
+  assertNoFurniture(article, ["有料会員", "おすすめ記事", "ランキング", "まちづくり", "ログイン", "トップ"]);
+});
+
+test("NHK NEWS WEB EASY: furigana removed, date read from the dateline", () => {
+  const article = extract("nhk-easy");
+
+  assert.equal(article.title, "日本の 電車で 新しい 切符が 使えるように なる");
+  assert.equal(article.author, null);
+  assert.equal(article.published, "2024-03-24T11:32:00+09:00");
+  assert.deepEqual(article.blocks.map((block) => block.type), ["heading", "paragraph", "paragraph", "paragraph"]);
+  assert.equal(article.blocks[1].text, "日本の 鉄道会社は、来年から 新しい 切符を 使うと 言いました。");
+  assertNoFurniture(article, ["にっぽん", "きっぷ", "2024年3月24日", "ほかの ニュース", "ポスト"]);
+});
+
+test("text joins the blocks with blank lines", () => {
+  const article = extract("nhk-easy");
+  assert.equal(article.text, article.blocks.map((block) => block.text).join("\n\n"));
+});
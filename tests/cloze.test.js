@@ -0,0 +1,52 @@
+// ClozeDrill.romajiToKana: the romaji a learner types into a blank, including
+// the spellings an IME has to special-case.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadScripts } = require("./load");
+
+const run = loadScripts(["tokenizer-lexicon.js", "tokenizer.js", "cloze.js"]);
+const drill = run("new ClozeDrill(new JapaneseTokenizer())");
+
+function assertKana(cases, options) {
+  Object.entries(cases).forEach(([romaji, kana]) => {
+    assert.equal(drill.romajiToKana(romaji, options), kana, romaji);
+  });
+}
+
+test("tch is a small っ before ch", () => {
+  assertKana({ matcha: "まっちゃ", kotchi: "こっち", itchi: "いっち", ccha: "っちゃ", tcha: "っちゃ" });
+});
+
+test("doubled consonants become っ", () => {
+  assertKana({ itte: "いって", kitte: "きって", zasshi: "ざっし", chotto: "ちょっと", kakko: "かっこ", ippai: "いっぱい", xtsu: "っ" });
+});
+
+test("n, nn and n' as ん", () => {
+  assertKana({
+    hon: "ほん",
+    honn: "ほん",
+    shinbun: "しんぶん",
+    sanpo: "さんぽ",
+    ninja: "にんじゃ",
+    konnichiha: "こんにちは",
+    onna: "おんな",
+    "kon'ya": "こんや",
+    konya: "こにゃ",
+    "ken'ichi": "けんいち",
+    kenichi: "けにち",
+  });
+});
+
+test("while typing, a trailing n is kept as romaji", () => {
+  assertKana({ hon: "ほn", honn: "ほnn", shinbun: "しんぶn", ma: "ま", mat: "まt", matc: "まtc" }, { final: false });
+});
+
+test("answers compare as hiragana whatever was typed", () => {
+  const blank = { answer: "抹茶", accepted: ["抹茶", "まっちゃ"] };
+  assert.ok(drill.isCorrect(blank, "matcha"));
+  assert.ok(drill.isCorrect(blank, "マッチャ"));
+  assert.ok(drill.isCorrect(blank, " Matcha "));
+  assert.ok(!drill.isCorrect(blank, "macha"));
+  assert.ok(!drill.isCorrect(blank, ""));
+});
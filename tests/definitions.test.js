@@ -0,0 +1,172 @@
+// DefinitionCache over an in-memory stand-in for StudyDatabase: dropping
+// outdated entries, least-recently-used eviction, the export file format
+// and the prefetch batches sent to the model.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadScripts, plain } = require("./load");
+
+// The parts of StudyDatabase the cache uses, over one Map per store
+class MemoryDatabase {
+  constructor(definitions = []) {
+    this.stores = { definitions: new Map(definitions.map((record) => [record.lemma, record])) };
+  }
+
+  async run(storeName, mode, operation) {
+    const rows = this.stores[storeName];
+    return operation({
+      get: (key) => rows.get(key),
+      getAll: () => Array.from(rows.values()),
+      put: (value) => rows.set(value.lemma, value),
+      delete: (key) => rows.delete(key),
+      clear: () => rows.clear(),
+    });
+  }
+
+  getAll(storeName) { return this.run(storeName, "readonly", (store) => store.getAll()); }
+  put(storeName, value) { return this.run(storeName, "readwrite", (store) => store.put(value)); }
+  putAll(storeName, values) { return this.run(storeName, "readwrite", (store) => values.forEach((value) => store.put(value))); }
+  delete(storeName, key) { return this.run(storeName, "readwrite", (store) => store.delete(key)); }
+  clear(storeName) { return this.run(storeName, "readwrite", (store) => store.clear()); }
+}
+
+const localStorage = { getItem: () => null, setItem: () => {} };
+const run = loadScripts(["llm.js", "definitions.js"], { localStorage, Blob, setTimeout, clearTimeout });
+
+// A cache whose model answers batches with reply(words), recording each batch
+function cache(records = [], reply = (words) => JSON.stringify({ definitions: words.map((word) => ({ word, reading: "よみ", meaning: `meaning of ${word}` })) })) {
+  const database = new MemoryDatabase(records);
+  const llm = run("new LLMClient({ getApiKey: () => 'key', mock: null })");
+  const batches = [];
+  llm.complete = async (task, messages, { context }) => {
+    batches.push(context.words);
+    return reply(context.words);
+  };
+  return { definitions: run("(database, llm) => new DefinitionCache(database, llm)")(database, llm), database, batches };
+}
+
+function record(lemma, fields = {}) {
+  return { lemma, reading: "よみ", meaning: `meaning of ${lemma}`, version: run("DEFINITION_CACHE_VERSION"), savedAt: 1, usedAt: 1, ...fields };
+}
+
+test("load drops entries saved under another version", async () => {
+  const { definitions, database } = cache([record("猫"), record("犬", { version: 0 })]);
+
+  assert.equal(await definitions.load(), 1);
+  assert.deepEqual(plain(definitions.get("猫")), { reading: "よみ", meaning: "meaning of 猫" });
+  assert.equal(definitions.get("犬"), null);
+  assert.deepEqual(Array.from(database.stores.definitions.keys()), ["猫"]);
+});
+
+test("the least recently used entries are evicted beyond the limit", async () => {
+  const limit = run("DEFINITION_CACHE_LIMIT");
+  const records = Array.from({ length: limit }, (item, index) => record(`語${index}`, { usedAt: index + 1 }));
+  const { definitions, database } = cache(records);
+  await definitions.load();
+
+  await definitions.touch("語0");
+  await definitions.set("新しい", { reading: "あたらしい", meaning: "new" });
+
+  assert.equal(definitions.size, limit);
+  assert.equal(database.stores.definitions.size, limit);
+  assert.ok(definitions.get("語0"), "a word used just now was evicted");
+  assert.ok(definitions.get("新しい"));
+  assert.equal(definitions.get("語1"), null);
+  assert.equal(database.stores.definitions.has("語1"), false);
+});
+
+test("export and import round-trip, keeping words already cached", async () => {
+  const source = cache([record("猫"), record("犬")]);
+  await source.definitions.load();
+  const file = await source.definitions.export().text();
+  assert.equal(JSON.parse(file).format, "japanese-study-definitions");
+
+  const target = cache([record("猫", { meaning: "my own meaning" })]);
+  await target.definitions.load();
+  assert.deepEqual(plain(await target.definitions.import(file)), { added: 1, skipped: 1 });
+  assert.equal(target.definitions.get("猫").meaning, "my own meaning");
+  assert.equal(target.definitions.get("犬").meaning, "meaning of 犬");
+});
+
+test("import rejects other files, other versions and non-string values", async () => {
+  const { definitions } = cache();
+  const file = (fields) => JSON.stringify({ format: "japanese-study-definitions", version: run("DEFINITION_CACHE_VERSION"), definitions: [], ...fields });
+
+  await assert.rejects(definitions.import("not json"), { message: "Not a definition cache file" });
+  await assert.rejects(definitions.import(JSON.stringify({ definitions: [] })), { message: "Not a definition cache file" });
+  await assert.rejects(definitions.import(file({ version: 99 })), { message: "Unsupported definition cache version 99" });
+
+  const result = await definitions.import(file({
+    definitions: [
+      { lemma: "猫", reading: "ねこ", meaning: "cat" },
+      { lemma: "犬", reading: { toString: null }, meaning: "dog" },
+      { lemma: "鳥", reading: "とり", meaning: ["<img src=x onerror=alert(1)>"] },
+      { lemma: 5, reading: "ご", meaning: "five" },
+    ],
+  }));
+  assert.deepEqual(plain(result), { added: 1, skipped: 3 });
+  assert.equal(definitions.size, 1);
+});
+
+test("requestBatch keeps only the words that were asked about", async () => {
+  const { definitions } = cache([], () => JSON.stringify({
+    definitions: [
+      { word: "猫", reading: "ねこ", meaning: "cat" },
+      { word: "ネコ", reading: "ねこ", meaning: "cat, rewritten" },
+      { word: "魚", reading: "さかな", meaning: "fish, not asked for" },
+    ],
+  }));
+
+  assert.equal(await definitions.requestBatch(["猫", "犬"]), 1);
+  assert.deepEqual(plain(definitions.get("猫")), { reading: "ねこ", meaning: "cat" });
+  assert.equal(definitions.get("ネコ"), null);
+  assert.equal(definitions.get("魚"), null);
+});
+
+test("a reply cut off at the token limit keeps the complete entries", async () => {
+  const { definitions } = cache([], () => '{"definitions": [{"word": "猫", "reading": "ねこ", "meaning": "cat"}, {"word": "犬", "reading": "いぬ", "meaning": "do');
+
+  assert.equal(await definitions.requestBatch(["猫", "犬"]), 1);
+  assert.equal(definitions.get("猫").meaning, "cat");
+  assert.equal(definitions.get("犬"), null);
+});
+
+test("prefetch carries on after a failed batch and skips words cached meanwhile", async () => {
+  const size = run("DEFINITION_BATCH_SIZE");
+  const words = Array.from({ length: size * 3 }, (item, index) => `語${index}`);
+  let calls = 0;
+  const { definitions, batches } = cache([], (batch) => {
+    calls++;
+    if (calls === 1) {
+      // A popup looks up a word of the last batch while this one is out
+      definitions.set(words[size * 2], { reading: "よみ", meaning: "looked up alone" });
+      throw new Error("Status 500");
+    }
+    return JSON.stringify({ definitions: batch.map((word) => ({ word, reading: "よみ", meaning: word })) });
+  });
+
+  const errors = [];
+  const error = console.error;
+  console.error = (...args) => errors.push(args);
+  try {
+    assert.equal(await definitions.prefetch(words), size * 2 - 1);
+  } finally {
+    console.error = error;
+  }
+
+  assert.equal(batches.length, 3);
+  assert.equal(errors.length, 1);
+  assert.ok(!batches[2].includes(words[size * 2]));
+  assert.equal(definitions.get(words[0]), null);
+  assert.equal(definitions.get(words[size * 2]).meaning, "looked up alone");
+  assert.equal(definitions.pending.size, 0);
+});
+
+test("waitFor gives up on a slow batch after the timeout", async () => {
+  const { definitions } = cache();
+  definitions.pending.set("猫", new Promise(() => {}));
+  assert.equal(await definitions.waitFor("猫", { timeout: 10 }), null);
+
+  definitions.pending.set("犬", Promise.reject(new Error("Status 500")));
+  assert.equal(await definitions.waitFor("犬"), null);
+});
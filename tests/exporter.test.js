@@ -0,0 +1,120 @@
+// The Anki package built by VocabularyExporter, read back from the bytes:
+// the zip's local headers, central directory and CRCs, then the SQLite
+// collection inside it. When the sqlite3 command-line tool is installed the
+// collection is also opened and queried with real SQLite.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const zlib = require("node:zlib");
+const { execFileSync } = require("node:child_process");
+const { loadScripts } = require("./load");
+
+const run = loadScripts(["sqlite-writer.js", "zip-writer.js", "exporter.js"], { TextEncoder, Blob, crypto });
+
+// Enough cards to need interior b-tree pages, and one meaning long enough
+// to spill onto overflow pages
+const CARDS = Array.from({ length: 200 }, (item, index) => ({
+  id: `card-${index}`,
+  word: "忘れられない",
+  lemma: `忘れる${index}`,
+  reading: "わすれる",
+  meaning: index === 7 ? "long ".repeat(2000) : `to forget, "quoted" <${index}>`,
+  sentence: "一生忘れられない思い出。",
+  createdAt: 1700000000000 + index,
+  source: { title: "Story", url: index % 2 ? "https://example.com/?a=1&b=2" : "" },
+}));
+
+async function exportApkg() {
+  const exporter = run("(deck) => new VocabularyExporter(deck)")({ getAllCards: async () => CARDS });
+  return Buffer.from(await (await exporter.exportApkg()).arrayBuffer());
+}
+
+// { name: data } from the central directory, checking every entry against
+// its local header and CRC on the way
+function readZip(zip) {
+  const end = zip.length - 22;
+  assert.equal(zip.readUInt32LE(end), 0x06054b50, "end of central directory");
+  const count = zip.readUInt16LE(end + 10);
+  const centralSize = zip.readUInt32LE(end + 12);
+  const centralOffset = zip.readUInt32LE(end + 16);
+  assert.equal(centralOffset + centralSize, end);
+
+  const files = {};
+  let position = centralOffset;
+  for (let i = 0; i < count; i++) {
+    assert.equal(zip.readUInt32LE(position), 0x02014b50, "central directory entry");
+    const crc = zip.readUInt32LE(position + 16);
+    const size = zip.readUInt32LE(position + 20);
+    const nameLength = zip.readUInt16LE(position + 28);
+    const localOffset = zip.readUInt32LE(position + 42);
+    const name = zip.toString("utf8", position + 46, position + 46 + nameLength);
+
+    assert.equal(zip.readUInt32LE(localOffset), 0x04034b50, `local header of ${name}`);
+    assert.equal(zip.readUInt16LE(localOffset + 8), 0, "stored, not deflated");
+    assert.equal(zip.readUInt32LE(localOffset + 14), crc);
+    assert.equal(zip.readUInt32LE(localOffset + 18), size);
+    assert.equal(zip.toString("utf8", localOffset + 30, localOffset + 30 + nameLength), name);
+
+    const start = localOffset + 30 + nameLength;
+    const data = zip.subarray(start, start + size);
+    assert.equal(zlib.crc32(data), crc, `CRC of ${name}`);
+    files[name] = data;
+    position += 46 + nameLength;
+  }
+  assert.equal(position, end);
+  return files;
+}
+
+function hasSqlite3() {
+  try {
+    execFileSync("sqlite3", ["-version"], { stdio: "ignore" });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+test("the package is a valid zip with matching CRCs", async () => {
+  const files = readZip(await exportApkg());
+  assert.deepEqual(Object.keys(files), ["collection.anki2", "media"]);
+  assert.equal(files.media.toString(), "{}");
+});
+
+test("the collection has a valid SQLite header and page count", async () => {
+  const collection = readZip(await exportApkg())["collection.anki2"];
+  assert.equal(collection.toString("latin1", 0, 16), "SQLite format 3\0");
+  const pageSize = collection.readUInt16BE(16);
+  assert.equal(pageSize, 4096);
+  assert.equal(collection.length % pageSize, 0);
+  assert.equal(collection.readUInt32BE(28), collection.length / pageSize);
+  assert.ok(collection.length / pageSize > 10, "expected interior and overflow pages");
+  // Page 1 holds sqlite_master as a table leaf, after the file header
+  assert.equal(collection[100], 0x0d);
+});
+
+test("SQLite opens the collection and reads the notes back", { skip: !hasSqlite3() && "sqlite3 is not installed" }, async () => {
+  const collection = readZip(await exportApkg())["collection.anki2"];
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), "apkg-"));
+  const file = path.join(directory, "collection.anki2");
+  fs.writeFileSync(file, collection);
+  const query = (sql) => execFileSync("sqlite3", ["-readonly", file, sql], { encoding: "utf8" }).trim();
+
+  try {
+    assert.equal(query("PRAGMA integrity_check"), "ok");
+    assert.equal(query("SELECT name FROM sqlite_master ORDER BY rootpage"), "col\nnotes\ncards\nrevlog\ngraves");
+    assert.equal(query("SELECT count(*) FROM notes"), "200");
+    assert.equal(query("SELECT count(*) FROM cards WHERE nid IN (SELECT id FROM notes)"), "200");
+    assert.equal(query("SELECT ver FROM col"), "11");
+    assert.equal(query("SELECT id FROM notes WHERE guid = 'card-3'"), "1700000000003");
+    assert.equal(query("SELECT length(flds) > 10000 FROM notes WHERE guid = 'card-7'"), "1");
+    assert.equal(
+      query("SELECT replace(flds, char(31), '|') FROM notes WHERE guid = 'card-1'"),
+      '忘れる1|わすれる|to forget, &quot;quoted&quot; &lt;1&gt;|一生<b>忘れられない</b>思い出。|<a href="https://example.com/?a=1&amp;b=2">Story</a>',
+    );
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
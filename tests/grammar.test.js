@@ -0,0 +1,44 @@
+// GrammarExplainer.match against the bundled guide: which entry a phrase
+// is matched to, and phrases that look like a pattern but aren't one.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadScripts, plain } = require("./load");
+
+const run = loadScripts(["grammar-data.js", "grammar.js"]);
+const explainer = run("new GrammarExplainer(null)");
+
+function patterns(text) {
+  return plain(explainer.match(text).map((match) => `${match.pattern}: ${match.matched}`));
+}
+
+test("〜そうだ after a stem is 'looks like'", () => {
+  assert.deepEqual(patterns("このケーキはおいしそうだ。"), ["〜そうだ (looks like): そうだ"]);
+  assert.deepEqual(patterns("今にも雨が降りそうです。"), ["〜そうだ (looks like): そうです"]);
+  assert.deepEqual(patterns("元気そうな顔"), ["〜そうだ (looks like): そうな"]);
+  assert.deepEqual(patterns("よさそうに見える"), ["〜そうだ (looks like): そうに"]);
+  assert.deepEqual(patterns("時間がなさそうだ"), ["〜そうだ (looks like): そうだ"]);
+  assert.deepEqual(patterns("この本は子どもでも読めそうだ"), ["〜そうだ (looks like): そうだ"]);
+  assert.deepEqual(patterns("高そうな時計"), ["〜そうだ (looks like): そうな"]);
+});
+
+test("〜そうだ after a plain form is hearsay", () => {
+  assert.deepEqual(patterns("明日は雨が降るそうだ。"), ["〜そうだ (I hear): そうだ"]);
+  assert.deepEqual(patterns("田中さんは昨日京都に行ったそうです。"), ["〜そうだ (I hear): そうです"]);
+  assert.deepEqual(patterns("あの店は静かだそうだ"), ["〜そうだ (I hear): そうだ"]);
+  assert.deepEqual(patterns("あの映画は面白くないそうです"), ["〜そうだ (I hear): そうです"]);
+  assert.deepEqual(patterns("あの店のラーメンはおいしいそうです"), ["〜そうだ (I hear): そうです"]);
+  assert.deepEqual(patterns("弟は本を読んだそうだ"), ["〜そうだ (I hear): そうだ"]);
+});
+
+test("そうだ as a reply or interjection matches neither", () => {
+  assert.deepEqual(patterns("そうだ、いいことを思いついた。"), []);
+  assert.deepEqual(patterns("「そうです」と彼は答えた。"), []);
+  assert.deepEqual(patterns("ああ、そうですね。"), []);
+  assert.deepEqual(patterns("私もそうだ。"), []);
+  assert.deepEqual(patterns("本当にそうなんだ"), []);
+});
+
+test("そうになる is matched as a whole", () => {
+  assert.deepEqual(patterns("感動して泣きそうになった"), ["〜そうになる: そうになった"]);
+});
@@ -0,0 +1,67 @@
+// KanjiDictionary's three import formats, read from small fixtures: the
+// KANJIDIC text file, kanjidic2.xml and the combined kanjivg.xml.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadScripts, readFixture, plain } = require("./load");
+
+const run = loadScripts(["kanji-data.js", "kanji.js"]);
+const kanji = run("new KanjiDictionary(null)");
+
+test("KANJIDIC text: readings, meanings, stroke count, grade and radical", () => {
+  const [day, book, pass] = plain(kanji.parseKanjidic(readFixture("kanji/kanjidic.txt")));
+
+  // Name readings after T1 are left out
+  assert.deepEqual(day, {
+    literal: "日",
+    on: ["ニチ", "ジツ"],
+    kun: ["ひ", "-び", "-か"],
+    meanings: ["day", "sun", "Japan", "counter for days"],
+    strokes: 4,
+    grade: 1,
+    jlpt: 4,
+    radical: 72,
+  });
+  assert.equal(kanji.radicalFor(day), "日");
+
+  // The second S code is a common miscount
+  assert.equal(book.strokes, 5);
+  assert.equal(kanji.radicalFor(book), "木");
+
+  assert.equal(pass.grade, null);
+  assert.deepEqual(pass.kun, ["とうげ"]);
+  assert.equal(pass.strokes, 9);
+});
+
+test("kanjidic2.xml: English meanings only, classical radical", () => {
+  const [word, repeat] = plain(kanji.parseKanjidic2(readFixture("kanji/kanjidic2.xml")));
+
+  assert.deepEqual(word, {
+    literal: "語",
+    on: ["ゴ"],
+    kun: ["かた.る", "かた.らう"],
+    meanings: ["word", "speech", "language"],
+    strokes: 14,
+    grade: 2,
+    jlpt: 4,
+    radical: 149,
+  });
+  assert.equal(kanji.radicalFor(word), "言");
+
+  assert.deepEqual(repeat, { literal: "々", on: [], kun: [], meanings: [], strokes: 3, grade: null, jlpt: null, radical: 3 });
+});
+
+test("KanjiVG: stroke paths in stroke-number order, variants skipped", () => {
+  const strokes = plain(kanji.parseKanjiVg(readFixture("kanji/kanjivg.xml")));
+  assert.deepEqual(strokes.map((entry) => entry.literal), ["日", "一"]);
+
+  const [day, one] = strokes;
+  assert.equal(day.paths.length, 4);
+  assert.ok(day.paths[0].startsWith("M31.5,24.5"));
+  assert.ok(day.paths[1].startsWith("M33.48,26.47"));
+  // s4 comes before s3 in the file
+  assert.ok(day.paths[2].startsWith("M33.55,52.87"));
+  assert.ok(day.paths[3].startsWith("M33.82,82.68"));
+  assert.ok(!day.paths.includes("M30,25v60"));
+  assert.equal(one.paths.length, 1);
+});
@@ -0,0 +1,84 @@
+// WordTracker over an in-memory stand-in for StudyDatabase: reading word
+// lists and Anki exports, importing them, and the daily count of newly
+// known words.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadScripts, readFixture, plain } = require("./load");
+
+// The parts of StudyDatabase the tracker uses, over one Map
+class MemoryDatabase {
+  constructor(words = []) {
+    this.words = new Map(words.map((record) => [record.lemma, record]));
+  }
+
+  async get(storeName, key) { return this.words.get(key); }
+  async getAll() { return Array.from(this.words.values()); }
+  async put(storeName, value) { this.words.set(value.lemma, value); }
+  async putAll(storeName, values) { values.forEach((value) => this.words.set(value.lemma, value)); }
+  async delete(storeName, key) { this.words.delete(key); }
+}
+
+const run = loadScripts(["known-words.js"]);
+
+function tracker(words = []) {
+  const database = new MemoryDatabase(words);
+  return { words: run("(database) => new WordTracker(database)")(database), database };
+}
+
+const parseList = (text) => plain(tracker().words.parseList(text));
+
+test("plain lists: one word per line or separated by spaces and commas", () => {
+  assert.deepEqual(parseList("猫\n犬, 鳥、魚 馬\r\n\n猫\nhello\n"), ["猫", "犬", "鳥", "魚", "馬"]);
+});
+
+test("Anki exports: headers skipped, first field only, HTML and furigana removed", () => {
+  assert.deepEqual(parseList(readFixture("known-words/anki-export.txt")), ["食べる", "飲む", "漢字", "日本語を勉強する", "見る"]);
+});
+
+test("importList marks new words known and leaves existing statuses alone", async () => {
+  const { words, database } = tracker([{ lemma: "飲む", status: "learning", updatedAt: 1, knownAt: null, imported: false }]);
+  await words.load();
+
+  assert.deepEqual(plain(await words.importList(readFixture("known-words/anki-export.txt"))), { added: 4, skipped: 1 });
+  assert.equal(words.statusOf("食べる"), "known");
+  assert.equal(words.statusOf("飲む"), "learning");
+  assert.equal(database.words.get("漢字").imported, true);
+});
+
+test("dailyKnown counts words learned each day and leaves imported words out", async () => {
+  const now = new Date(2026, 9, 18, 12);
+  const day = 24 * 60 * 60 * 1000;
+  const known = (lemma, knownAt, fields = {}) => ({ lemma, status: "known", updatedAt: knownAt, knownAt, imported: false, ...fields });
+  const { words } = tracker([
+    known("猫", now.getTime()),
+    known("犬", now.getTime() - 60 * 1000),
+    known("鳥", now.getTime() - 2 * day),
+    known("魚", now.getTime() - 30 * day),
+    known("馬", now.getTime(), { imported: true }),
+    { lemma: "牛", status: "learning", updatedAt: now.getTime(), knownAt: null, imported: false },
+  ]);
+
+  const days = plain(await words.dailyKnown(3, now));
+  assert.deepEqual(days, [
+    { date: "2026-10-16", count: 1 },
+    { date: "2026-10-17", count: 0 },
+    { date: "2026-10-18", count: 2 },
+  ]);
+});
+
+test("an imported word counts once the learner marks it known again", async () => {
+  const { words, database } = tracker();
+  await words.importList("猫\n犬");
+
+  // Re-marking a word that is already known keeps its import date
+  await words.setStatus("猫", "known");
+  assert.equal(database.words.get("猫").imported, true);
+
+  await words.setStatus("犬", "learning");
+  await words.setStatus("犬", "known");
+  assert.equal(database.words.get("犬").imported, false);
+
+  const today = plain(await words.dailyKnown(1)).pop();
+  assert.equal(today.count, 1);
+});
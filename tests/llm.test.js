@@ -0,0 +1,61 @@
+// LLMClient settings: base URL and model are kept per provider, and OpenAI
+// requests always go to the OpenAI API.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadScripts, plain } = require("./load");
+
+function client(saved) {
+  const store = new Map(saved ? [["llm_settings", JSON.stringify(saved)]] : []);
+  const localStorage = {
+    getItem: (key) => (store.has(key) ? store.get(key) : null),
+    setItem: (key, value) => store.set(key, String(value)),
+  };
+  const run = loadScripts(["llm.js"], { localStorage });
+  return { llm: run("new LLMClient({ getApiKey: () => 'key', mock: null })"), store };
+}
+
+test("each provider keeps its own base URL and model", () => {
+  const { llm, store } = client({ provider: "ollama" });
+  llm.saveProviderSettings({ baseUrl: "http://gpu-box:11434", model: "qwen2.5" });
+  llm.saveSettings({ provider: "compatible" });
+  llm.saveProviderSettings({ baseUrl: "http://localhost:8000/v1", model: "mistral" });
+
+  llm.saveSettings({ provider: "ollama" });
+  assert.deepEqual(plain(llm.providerSettings), { baseUrl: "http://gpu-box:11434", model: "qwen2.5" });
+  assert.equal(llm.createProvider().baseUrl, "http://gpu-box:11434");
+  assert.equal(llm.taskConfig("story").model, "qwen2.5");
+
+  llm.saveSettings({ provider: "compatible" });
+  assert.equal(llm.createProvider().baseUrl, "http://localhost:8000/v1");
+  assert.equal(llm.taskConfig("story").model, "mistral");
+
+  assert.deepEqual(Object.keys(JSON.parse(store.get("llm_settings")).providers), ["ollama", "compatible"]);
+});
+
+test("a provider without saved settings uses its defaults", () => {
+  const { llm } = client({ provider: "compatible", providers: { ollama: { baseUrl: "http://gpu-box:11434", model: "qwen2.5" } } });
+  assert.equal(llm.createProvider().baseUrl, "http://localhost:1234/v1");
+  assert.equal(llm.taskConfig("story").model, "local-model");
+});
+
+test("OpenAI ignores any saved base URL", () => {
+  const { llm } = client({ provider: "openai", providers: { openai: { baseUrl: "http://localhost:11434", model: "gpt-4o" } } });
+  assert.equal(llm.createProvider().baseUrl, "https://api.openai.com/v1");
+  assert.equal(llm.taskConfig("story").model, "gpt-4o");
+});
+
+test("a shared base URL and model from older settings go to the provider saved with them", () => {
+  const { llm } = client({ provider: "ollama", baseUrl: "http://gpu-box:11434", model: "qwen2.5" });
+  assert.deepEqual(plain(llm.settings.providers), { ollama: { baseUrl: "http://gpu-box:11434", model: "qwen2.5" } });
+
+  llm.saveSettings({ provider: "openai" });
+  assert.equal(llm.createProvider().baseUrl, "https://api.openai.com/v1");
+  assert.equal(llm.taskConfig("story").model, "gpt-4o-mini");
+});
+
+test("per-task models override the provider model", () => {
+  const { llm } = client({ provider: "ollama", providers: { ollama: { model: "qwen2.5" } }, tasks: { quiz: { model: "llama3.1:70b" } } });
+  assert.equal(llm.taskConfig("quiz").model, "llama3.1:70b");
+  assert.equal(llm.taskConfig("story").model, "qwen2.5");
+});
@@ -0,0 +1,31 @@
+// The app is plain scripts that share globals, loaded by index.html. Tests
+// load the ones they need into a fresh context in the same order and read
+// the results back out of it.
+
+const fs = require("node:fs");
+const path = require("node:path");
+const vm = require("node:vm");
+
+const ROOT = path.join(__dirname, "..");
+
+// Returns a function that evaluates an expression inside the context, since
+// top-level classes and constants aren't properties of its global object
+function loadScripts(files, globals = {}) {
+  const context = vm.createContext({ console, ...globals });
+  files.forEach((file) => {
+    vm.runInContext(fs.readFileSync(path.join(ROOT, file), "utf8"), context, { filename: file });
+  });
+  return (expression) => vm.runInContext(expression, context);
+}
+
+function readFixture(name) {
+  return fs.readFileSync(path.join(ROOT, "fixtures", name), "utf8");
+}
+
+// Objects made inside the context have its prototypes; a JSON round trip
+// turns them into plain values that assert.deepStrictEqual accepts
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = { loadScripts, readFixture, plain };
@@ -0,0 +1,121 @@
+// Feed parsing for the headline picker (RSS 2.0 with content:encoded,
+// RSS 1.0/RDF and Atom) and NewsClient's filters and read list.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { JSDOM } = require("jsdom");
+const { loadScripts, readFixture, plain } = require("./load");
+
+const { window } = new JSDOM("");
+
+// A news client over an in-memory localStorage; fetch answers with feedXml
+function load({ settings = {}, feedXml = "" } = {}) {
+  const store = new Map([["news_settings", JSON.stringify(settings)]]);
+  const localStorage = {
+    getItem: (key) => (store.has(key) ? store.get(key) : null),
+    setItem: (key, value) => store.set(key, String(value)),
+    removeItem: (key) => store.delete(key),
+  };
+  const requests = [];
+  const fetch = async (url) => {
+    requests.push(url);
+    return { ok: true, text: async () => feedXml };
+  };
+  const run = loadScripts(["news.js"], { DOMParser: window.DOMParser, localStorage, fetch, URLSearchParams });
+  return { run, store, requests };
+}
+
+const { run } = load();
+const parse = (xml, name) => plain(run("(xml, name) => new FeedSource({ url: '', name }).parse(xml)")(xml, name));
+
+test("RSS 2.0: content:encoded becomes paragraphs, description stays a summary", () => {
+  const items = parse(run("NEWS_SAMPLE_FEED"));
+
+  assert.equal(items.length, 3);
+  assert.deepEqual(items[0], {
+    title: "駅前に新しい図書館 夜10時まで利用可能に",
+    url: "https://example.com/news/library",
+    description: "駅前に新しい図書館がオープンしました。",
+    content: "駅前に新しい図書館がオープンしました。仕事や学校の帰りにも立ち寄れるように、平日は夜10時まで利用できます。\n\n館内には約20万冊の本があり、外国語の本を集めたコーナーもあります。初日は朝から多くの人が訪れ、市の担当者は「地域の人が集まる場所にしたい」と話していました。",
+    sourceName: "サンプルニュース",
+    publishedAt: "Mon, 12 Oct 2026 09:00:00 +0900",
+    categories: ["社会"],
+  });
+});
+
+test("RSS 1.0 (RDF): items beside the channel, dc:date and dc:subject", () => {
+  assert.deepEqual(parse(readFixture("feeds/rdf.xml")), [{
+    title: "すい星 今夜から見ごろ",
+    url: "https://example.net/science/comet",
+    description: "明るいすい星が今夜から見ごろになります。",
+    content: "",
+    sourceName: "科学のニュース",
+    publishedAt: "2026-10-14T20:00:00+09:00",
+    categories: ["宇宙"],
+  }]);
+});
+
+test("Atom: link href, escaped HTML content without furigana, category terms", () => {
+  const [festival, typhoon] = parse(readFixture("feeds/atom.xml"));
+
+  assert.equal(festival.url, "https://example.org/town/festival");
+  assert.equal(festival.sourceName, "まちの話題");
+  assert.equal(festival.publishedAt, "2026-10-15T10:00:00+09:00");
+  assert.deepEqual(festival.categories, ["地域"]);
+  assert.equal(festival.content, "商店街で秋祭りが開かれ、三年ぶりに神輿が通りを練り歩きました。\n\n店の人たちは「にぎやかな通りが戻ってうれしい」と話していました。");
+
+  assert.equal(typhoon.description, "けが人はいませんでした。");
+  assert.equal(typhoon.content, "");
+  assert.equal(typhoon.publishedAt, "2026-10-16T07:30:00+09:00");
+});
+
+test("a source name given to the feed replaces the channel title", () => {
+  assert.equal(parse(readFixture("feeds/atom.xml"), "Town")[0].sourceName, "Town");
+});
+
+test("a page that isn't a feed is an error", () => {
+  assert.throws(() => parse("<html><body>Not found</body>"), { message: "Feed is not valid RSS or Atom" });
+});
+
+async function headlines(settings, read = []) {
+  const news = load({ settings, feedXml: run("NEWS_SAMPLE_FEED") });
+  const client = news.run("new NewsClient()");
+  read.forEach((url) => client.markRead(url));
+  const result = plain(await client.headlines());
+  return { titles: result.items.map((item) => item.title), readCount: result.readCount, requests: news.requests };
+}
+
+test("headlines: category, keyword terms and already-read articles", async () => {
+  assert.deepEqual((await headlines({ source: "sample", category: "科学" })).titles, ["小さな人工衛星 高校生が作って打ち上げへ"]);
+  assert.deepEqual((await headlines({ source: "sample", keyword: "図書館" })).titles, ["駅前に新しい図書館 夜10時まで利用可能に"]);
+  // Every term must match, in the title, description or text
+  assert.deepEqual((await headlines({ source: "sample", keyword: "雨 応援" })).titles, ["市民マラソンに1万人 雨の中でも笑顔で完走"]);
+  assert.deepEqual((await headlines({ source: "sample", keyword: "雨 図書館" })).titles, []);
+
+  const read = await headlines({ source: "sample" }, ["https://example.com/news/library"]);
+  assert.equal(read.titles.length, 2);
+  assert.equal(read.readCount, 1);
+});
+
+test("headlines: NHK categories pick the feed instead of filtering items", async () => {
+  const { titles, requests } = await headlines({ source: "nhk", category: "3" });
+  assert.equal(titles.length, 3);
+  assert.deepEqual(requests, [`https://corsproxy.io/?${encodeURIComponent("https://www.nhk.or.jp/rss/news/cat3.xml")}`]);
+});
+
+test("markRead keeps the 1000 most recent articles", () => {
+  const { run, store } = load();
+  const client = run("new NewsClient()");
+  for (let i = 0; i < 1005; i++) client.markRead(`https://example.com/${i}`);
+  // Reading an article again makes it the most recent
+  client.markRead("https://example.com/5");
+  client.markRead("https://example.com/1005");
+
+  const saved = JSON.parse(store.get("news_read"));
+  assert.equal(client.read.size, 1000);
+  assert.equal(saved.length, 1000);
+  assert.ok(client.read.has("https://example.com/5"));
+  assert.ok(!client.read.has("https://example.com/6"));
+  assert.deepEqual(saved.slice(-2), ["https://example.com/5", "https://example.com/1005"]);
+  assert.deepEqual(plain(Array.from(run("new NewsClient()").read)), saved);
+});
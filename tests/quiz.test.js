@@ -0,0 +1,47 @@
+// ComprehensionQuiz.normalize: malformed questions are dropped and a
+// multiple-choice answer still points at the same choice once non-string
+// choices are removed.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadScripts, plain } = require("./load");
+
+const run = loadScripts(["quiz.js"]);
+const quiz = run("new ComprehensionQuiz(null)");
+const TEXT = "田中さんは朝、駅で友達に会った。二人は公園まで歩いた。";
+
+function normalize(questions) {
+  return plain(quiz.normalize(questions, TEXT));
+}
+
+function choice(choices, answer) {
+  return { type: "choice", question: "田中さんはどこで友達に会いましたか。", choices, answer };
+}
+
+test("the answer index follows choices dropped before it", () => {
+  const [question] = normalize([choice([null, "公園", 3, "駅", "学校"], 3)]);
+  assert.deepEqual(question.choices, ["公園", "駅", "学校"]);
+  assert.equal(question.answer, 1);
+  assert.equal(question.choices[question.answer], "駅");
+  assert.equal(question.quote, "田中さんは朝、駅で友達に会った。");
+});
+
+test("choices dropped after the answer leave it where it is", () => {
+  const [question] = normalize([choice(["公園", "駅", { text: "学校" }], "1")]);
+  assert.deepEqual(question.choices, ["公園", "駅"]);
+  assert.equal(question.answer, 1);
+});
+
+test("a question whose answer was a dropped choice is skipped", () => {
+  assert.deepEqual(normalize([choice(["公園", 42, "駅"], 1)]), []);
+  assert.deepEqual(normalize([choice(["公園", "", "駅"], 1)]), []);
+  assert.deepEqual(normalize([choice(["公園", "駅"], 2)]), []);
+  assert.deepEqual(normalize([choice(["駅", null], 0)]), []);
+});
+
+test("short answers keep only string alternatives", () => {
+  const [question] = normalize([{ type: "short", question: "二人はどこまで歩きましたか。", answer: " 公園 ", accepted: ["こうえん", 7] }]);
+  assert.equal(question.answer, "公園");
+  assert.deepEqual(question.accepted, ["こうえん"]);
+  assert.ok(quiz.isCorrect(question, "コウエン。"));
+});
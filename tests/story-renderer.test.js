@@ -0,0 +1,55 @@
+// StoryRenderer builds the reader as nodes, so markup in an article comes
+// out as text: the only elements are the clickable word spans.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { JSDOM } = require("jsdom");
+const { loadScripts } = require("./load");
+
+const { window } = new JSDOM("");
+const run = loadScripts(["tokenizer-lexicon.js", "tokenizer.js", "story-renderer.js"], { document: window.document });
+const renderer = run("new StoryRenderer(new JapaneseTokenizer())");
+
+function render(text) {
+  const container = window.document.createElement("div");
+  container.appendChild(renderer.renderText(text));
+  return container;
+}
+
+// Every node below the container that isn't text or a word span
+function unexpectedNodes(container) {
+  const found = [];
+  const visit = (node) => {
+    node.childNodes.forEach((child) => {
+      if (child.nodeType === window.Node.TEXT_NODE) return;
+      if (child.nodeType === window.Node.ELEMENT_NODE && child.tagName === "SPAN" && child.classList.contains("clickable-word")) {
+        visit(child);
+        return;
+      }
+      found.push(child.nodeName);
+    });
+  };
+  visit(container);
+  return found;
+}
+
+test("markup in the text is rendered as text, not elements", () => {
+  const text = "猫が<img src=x onerror=alert(1)>好きです。";
+  const container = render(text);
+
+  assert.deepEqual(unexpectedNodes(container), []);
+  assert.equal(container.querySelector("img"), null);
+  assert.equal(container.textContent, text);
+  assert.ok(container.querySelectorAll(".clickable-word").length > 0);
+});
+
+test("word spans carry the word as data, without parsing it", () => {
+  const container = render("<img src=x onerror=alert(1)>");
+
+  assert.deepEqual(unexpectedNodes(container), []);
+  assert.equal(container.textContent, "<img src=x onerror=alert(1)>");
+  container.querySelectorAll(".clickable-word").forEach((span) => {
+    assert.equal(span.children.length, 0);
+    assert.equal(span.textContent, span.dataset.word);
+  });
+});
@@ -0,0 +1,54 @@
+// JapaneseTokenizer.segmentWords against fixtures/tokenizer-corpus.txt: the
+// words each sentence splits into and the dictionary form of each word.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+const { loadScripts, readFixture } = require("./load");
+
+const run = loadScripts(["tokenizer-lexicon.js", "tokenizer.js"]);
+const tokenizer = run("new JapaneseTokenizer()");
+
+// [{ sentence, expected }], where expected is the " | " line of the case
+function readCorpus() {
+  return readFixture("tokenizer-corpus.txt")
+    .split(/\n\s*\n/)
+    .map((block) => block.split("\n").map((line) => line.trim()).filter((line) => line && !line.startsWith("#")))
+    .filter((lines) => lines.length > 0)
+    .map(([sentence, expected]) => ({ sentence, expected }));
+}
+
+// 読んでいます(読む) for a word read as 読む, plain 本 when the two agree
+function describe(word) {
+  return word.baseForm === word.surface ? word.surface : `${word.surface}(${word.baseForm})`;
+}
+
+const corpus = readCorpus();
+
+corpus.forEach(({ sentence, expected }) => {
+  test(`segments ${sentence}`, () => {
+    assert.ok(expected, "the case has no expected segmentation");
+    assert.equal(tokenizer.segmentWords(sentence).map(describe).join(" | "), expected);
+  });
+});
+
+test("the corpus covers every paragraph of the mock story", () => {
+  const script = fs.readFileSync(path.join(__dirname, "..", "script.js"), "utf8");
+  const story = script.match(/generateMockJapaneseStory\(\) \{\s*return `([^`]*)`/)[1];
+  const sentences = new Set(corpus.map((item) => item.sentence));
+
+  story.split(/\n\s*\n/).forEach((paragraph) => {
+    assert.ok(sentences.has(paragraph.trim()), `missing from the corpus: ${paragraph.slice(0, 20)}…`);
+  });
+});
+
+test("words cover the text with no gaps", () => {
+  corpus.forEach(({ sentence }) => {
+    const words = tokenizer.segmentWords(sentence);
+    assert.equal(words.map((word) => word.surface).join(""), sentence);
+    words.forEach((word, index) => {
+      assert.equal(word.start, index === 0 ? 0 : words[index - 1].end);
+    });
+  });
+});
@@ -0,0 +1,92 @@
+// ArticleTranslator retries: which failures are tried again and which mark
+// the chunk as untranslated straight away. Requests go through the real
+// OpenAI-compatible provider with fetch replaced.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadScripts } = require("./load");
+
+const REPLY = JSON.stringify({ paragraphs: [[{ source: "猫がいる。", translation: "There is a cat." }]] });
+
+// A streamed reply: one server-sent event per delta, then [DONE]
+function response(status, events = [{ choices: [{ delta: { content: REPLY } }] }]) {
+  const text = events.map((event) => `data: ${JSON.stringify(event)}\n\n`).join("") + "data: [DONE]\n\n";
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    statusText: `Status ${status}`,
+    headers: { get: () => null },
+    body: {
+      getReader() {
+        const chunks = [new TextEncoder().encode(text)];
+        return { read: async () => (chunks.length > 0 ? { done: false, value: chunks.shift() } : { done: true, value: undefined }) };
+      },
+    },
+  };
+}
+
+// Translates one sentence with fetch answering from replies in turn: a
+// number is a status, an Error is thrown, an array is the events of a 200 reply
+async function translate(replies) {
+  let calls = 0;
+  const fetch = async () => {
+    const reply = replies[Math.min(calls++, replies.length - 1)];
+    if (reply instanceof Error) throw reply;
+    return typeof reply === "number" ? response(reply) : response(200, reply);
+  };
+  const settings = JSON.stringify({ provider: "compatible" });
+  const localStorage = { getItem: () => settings, setItem: () => {} };
+  const run = loadScripts(["llm.js", "translator.js"], { fetch, localStorage, DOMException, TextDecoder });
+  const translator = run("new ArticleTranslator(new LLMClient({ getApiKey: () => '', mock: null }))");
+  translator.wait = async () => {};
+
+  const originalError = console.error;
+  const originalWarn = console.warn;
+  console.error = () => {};
+  console.warn = () => {};
+  try {
+    const result = await translator.translate("猫がいる。");
+    return { calls, failed: result.failed, english: result.sentences.map((sentence) => sentence.english) };
+  } finally {
+    console.error = originalError;
+    console.warn = originalWarn;
+  }
+}
+
+test("a request that fails before any response is retried", async () => {
+  const result = await translate([new TypeError("Failed to fetch"), new TypeError("Failed to fetch"), 200]);
+  assert.equal(result.calls, 3);
+  assert.equal(result.failed, 0);
+  assert.deepEqual([...result.english], ["There is a cat."]);
+});
+
+test("rate limits and server errors are retried", async () => {
+  assert.equal((await translate([429, 200])).calls, 2);
+  assert.equal((await translate([503, 502, 200])).calls, 3);
+});
+
+test("retries stop after three", async () => {
+  const result = await translate([500]);
+  assert.equal(result.calls, 4);
+  assert.equal(result.failed, 1);
+  assert.deepEqual([...result.english], ["[Not translated: HTTP 500: Status 500]"]);
+});
+
+test("a TypeError from a malformed reply is not retried", async () => {
+  const result = await translate([[{ choices: null }]]);
+  assert.equal(result.calls, 1);
+  assert.equal(result.failed, 1);
+});
+
+test("client errors are not retried", async () => {
+  const result = await translate([400]);
+  assert.equal(result.calls, 1);
+  assert.equal(result.failed, 1);
+});
+
+test("a cancelled request is not marked as a network failure", async () => {
+  const aborted = new DOMException("The operation was aborted", "AbortError");
+  const result = await translate([aborted, 200]);
+  assert.equal(result.calls, 1);
+  assert.equal(result.failed, 1);
+});
@@ -0,0 +1,66 @@
+// WritingCoach.normalize places the model's corrections in the learner's
+// writing, and WritingCoach.diff splits the writing around them.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadScripts, plain } = require("./load");
+
+const run = loadScripts(["writing.js"]);
+const coach = run("new WritingCoach(null, null)");
+
+function normalize(corrections, writing) {
+  return plain(coach.normalize(corrections, writing));
+}
+
+function fix(original, corrected, category = "particle") {
+  return { original, corrected, category, explanation: "" };
+}
+
+test("a repeated span is searched for after the previous match", () => {
+  const writing = "猫は好きだ。犬は好きだ。";
+  const kept = normalize([fix("好きだ", "好きです", "register"), fix("好きだ", "好きです", "register")], writing);
+  assert.deepEqual(kept.map((item) => [item.start, item.end]), [[2, 5], [8, 11]]);
+});
+
+test("a span listed out of order is found from the start and sorted", () => {
+  const kept = normalize([fix("犬は", "犬が"), fix("猫は", "猫が")], "猫は好きだ。犬は嫌いだ。");
+  assert.deepEqual(kept.map((item) => [item.original, item.start]), [["猫は", 0], ["犬は", 6]]);
+});
+
+test("a span overlapping an earlier correction is dropped", () => {
+  const kept = normalize([fix("好きだ", "好きです", "register"), fix("きだ", "きです", "register")], "猫は好きだ。");
+  assert.deepEqual(kept.map((item) => item.original), ["好きだ"]);
+});
+
+test("spans not in the writing, unchanged or malformed are dropped", () => {
+  const kept = normalize([
+    fix("鳥が", "鳥は"),
+    fix("猫", " 猫 "),
+    { original: 5, corrected: "が" },
+    null,
+    fix(" は ", "が"),
+  ], "猫は好きだ。");
+  assert.deepEqual(kept, [{ original: "は", corrected: "が", category: "particle", explanation: "", start: 1, end: 2 }]);
+  assert.deepEqual(normalize("not a list", "猫は好きだ。"), []);
+});
+
+test("an unknown category falls back to other", () => {
+  const [item] = normalize([{ original: "好き", corrected: "大好き", category: "spelling", explanation: 3 }], "猫は好きだ。");
+  assert.equal(item.category, "other");
+  assert.equal(item.explanation, "");
+});
+
+test("diff alternates unchanged text and corrections", () => {
+  const writing = "猫は好きだ。";
+  const corrections = coach.normalize([fix("は", "が"), fix("だ。", "です。", "register")], writing);
+  const pieces = plain(coach.diff(writing, corrections));
+  assert.deepEqual(pieces.map((piece) => piece.text || `[${piece.correction.original}→${piece.correction.corrected}]`),
+    ["猫", "[は→が]", "好き", "[だ。→です。]"]);
+});
+
+test("diff has no empty text pieces at the edges", () => {
+  const writing = "猫は好きだ。";
+  const corrections = coach.normalize([fix("猫は", "猫が")], writing);
+  assert.deepEqual(plain(coach.diff(writing, corrections)).map((piece) => piece.text || "*"), ["*", "好きだ。"]);
+  assert.deepEqual(plain(coach.diff(writing, [])), [{ text: writing }]);
+});
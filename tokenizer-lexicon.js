@@ -0,0 +1,608 @@
+// Bundled lexicon for the offline tokenizer.
+// One entry per line: surface, reading ("=" when it matches the surface),
+// word class and approximate JLPT level (5 = N5 ... 1 = N1, "-" if unlisted).
+// Word classes follow JMdict codes: n, n-vs (takes する), na (na-adjective),
+// n-adv, n-prop, n-pron, n-num, n-suf, pref, adv, adn, conj, int,
+// v1, v5k ... v5u, v5k-s (行く), v5r-i (ある), v5aru (くださる), vk, vs-i,
+// adj-i and adj-ix (いい).
+// Conjugated forms are generated by the tokenizer, so only dictionary forms
+// belong here.
+const TOKENIZER_LEXICON = `
+昔々 むかしむかし n-adv 3
+昔 むかし n-adv 4
+都市 とし n 3
+古代 こだい n 2
+歴史 れきし n 4
+文化 ぶんか n 4
+名前 なまえ n 5
+日本人 にほんじん n 5
+日本 にほん n-prop 5
+日本語 にほんご n 5
+観光客 かんこうきゃく n 3
+観光 かんこう n-vs 3
+興味 きょうみ n 4
+時 とき n-adv 5
+とき = n-adv 5
+帝国 ていこく n 1
+建物 たてもの n 5
+生活 せいかつ n-vs 4
+ここ = n-pron 5
+そこ = n-pron 5
+あそこ = n-pron 5
+どこ = n-pron 5
+これ = n-pron 5
+それ = n-pron 5
+あれ = n-pron 5
+どれ = n-pron 5
+こと = n 5
+事 こと n 5
+もの = n 5
+物 もの n 5
+その後 そのご n-adv 3
+市 し n-suf 3
+市国 しこく n -
+国 くに n 5
+天井 てんじょう n 3
+天井画 てんじょうが n -
+芸術 げいじゅつ n 3
+涙 なみだ n 3
+夕方 ゆうがた n-adv 5
+泉 いずみ n 2
+そば = n 4
+側 そば n 4
+一日 いちにち n-adv 5
+思い出 おもいで n 4
+旅行 りょこう n-vs 5
+一生 いっしょう n-adv 3
+心 こころ n 4
+心から こころから adv 3
+ガイドブック = n -
+ローマ = n-prop -
+田中 たなか n-prop -
+彼 かれ n-pron 4
+彼女 かのじょ n-pron 4
+私 わたし n-pron 5
+僕 ぼく n-pron 4
+あなた = n-pron 5
+自分 じぶん n 4
+人 ひと n 5
+男 おとこ n 5
+女 おんな n 5
+子供 こども n 5
+友達 ともだち n 5
+家族 かぞく n 5
+父 ちち n 5
+母 はは n 5
+先生 せんせい n 5
+学生 がくせい n 5
+学校 がっこう n 5
+大学 だいがく n 5
+会社 かいしゃ n 5
+仕事 しごと n-vs 5
+家 いえ n 5
+部屋 へや n 5
+町 まち n 5
+駅 えき n 5
+道 みち n 5
+店 みせ n 5
+山 やま n 5
+川 かわ n 5
+海 うみ n 5
+空 そら n 5
+花 はな n 5
+木 き n 5
+水 みず n 5
+雨 あめ n 5
+雪 ゆき n 5
+天気 てんき n 5
+朝 あさ n-adv 5
+昼 ひる n-adv 5
+夜 よる n-adv 5
+今日 きょう n-adv 5
+明日 あした n-adv 5
+昨日 きのう n-adv 5
+今 いま n-adv 5
+今週 こんしゅう n-adv 5
+来週 らいしゅう n-adv 5
+先週 せんしゅう n-adv 5
+今年 ことし n-adv 5
+来年 らいねん n-adv 5
+去年 きょねん n-adv 5
+東京 とうきょう n-prop 5
+京都 きょうと n-prop -
+大阪 おおさか n-prop -
+毎日 まいにち n-adv 5
+時間 じかん n 5
+年 とし n 5
+日 ひ n 5
+週 しゅう n 4
+月 つき n 5
+本 ほん n 5
+車 くるま n 5
+電車 でんしゃ n 5
+手紙 てがみ n 5
+言葉 ことば n 5
+音楽 おんがく n 5
+映画 えいが n 5
+写真 しゃしん n 5
+料理 りょうり n-vs 5
+食べ物 たべもの n 5
+飲み物 のみもの n 5
+お金 おかね n 5
+金 かね n 5
+目 め n 5
+手 て n 5
+足 あし n 5
+顔 かお n 5
+体 からだ n 5
+頭 あたま n 5
+声 こえ n 5
+気 き n 4
+気持ち きもち n 4
+意味 いみ n-vs 4
+問題 もんだい n 5
+質問 しつもん n-vs 5
+答え こたえ n 5
+話 はなし n 5
+世界 せかい n 4
+社会 しゃかい n 4
+政府 せいふ n 2
+経済 けいざい n 3
+政治 せいじ n 3
+首相 しゅしょう n 2
+大統領 だいとうりょう n 2
+ニュース = n 5
+記事 きじ n 3
+新聞 しんぶん n 5
+情報 じょうほう n 3
+結果 けっか n 4
+理由 りゆう n 4
+場所 ばしょ n 4
+方法 ほうほう n 4
+目的 もくてき n 3
+関係 かんけい n-vs 4
+影響 えいきょう n-vs 3
+状況 じょうきょう n 2
+事故 じこ n 4
+事件 じけん n 3
+地震 じしん n 4
+台風 たいふう n 4
+警察 けいさつ n 4
+病院 びょういん n 5
+医者 いしゃ n 5
+病気 びょうき n 5
+健康 けんこう n 3
+男性 だんせい n 4
+女性 じょせい n 4
+子ども こども n 5
+市民 しみん n 2
+住民 じゅうみん n 2
+国民 こくみん n 2
+企業 きぎょう n 2
+会議 かいぎ n 4
+発表 はっぴょう n-vs 3
+調査 ちょうさ n-vs 3
+研究 けんきゅう n-vs 4
+開発 かいはつ n-vs 2
+予定 よてい n-vs 4
+計画 けいかく n-vs 4
+準備 じゅんび n-vs 4
+説明 せつめい n-vs 4
+連絡 れんらく n-vs 4
+相談 そうだん n-vs 4
+経験 けいけん n-vs 4
+練習 れんしゅう n-vs 5
+勉強 べんきょう n-vs 5
+散歩 さんぽ n-vs 5
+結婚 けっこん n-vs 5
+電話 でんわ n-vs 5
+運動 うんどう n-vs 4
+利用 りよう n-vs 3
+使用 しよう n-vs 3
+建築 けんちく n-vs 2
+圧倒 あっとう n-vs 1
+想像 そうぞう n-vs 3
+興奮 こうふん n-vs 2
+感動 かんどう n-vs 3
+訪問 ほうもん n-vs 3
+見学 けんがく n-vs 4
+礼拝 れいはい n-vs -
+礼拝堂 れいはいどう n -
+都 みやこ n 2
+文学 ぶんがく n 4
+美術 びじゅつ n 4
+美術館 びじゅつかん n 4
+博物館 はくぶつかん n 4
+教会 きょうかい n 3
+寺 てら n 4
+神社 じんじゃ n 4
+城 しろ n 3
+広場 ひろば n 3
+景色 けしき n 4
+風景 ふうけい n 3
+自然 しぜん na 4
+未来 みらい n 3
+過去 かこ n 3
+現在 げんざい n-adv 3
+将来 しょうらい n-adv 4
+最初 さいしょ n-adv 4
+最後 さいご n 4
+途中 とちゅう n 4
+以上 いじょう n 4
+以下 いか n 4
+全部 ぜんぶ n-adv 5
+半分 はんぶん n 5
+皆 みんな n-pron 5
+みんな = n-pron 5
+誰 だれ n-pron 5
+何 なに n-pron 5
+なに = n-pron 5
+いつ = n-pron 5
+ため = n 4
+為 ため n 4
+ところ = n 4
+所 ところ n 4
+はず = n 4
+わけ = n 3
+訳 わけ n 3
+よう = na 4
+様 よう na 4
+つもり = n 4
+まま = n 3
+ほう = n 4
+方 ほう n 4
+方 かた n 5
+中 なか n 5
+上 うえ n 5
+下 した n 5
+前 まえ n 5
+後 あと n 5
+後ろ うしろ n 5
+外 そと n 5
+内 うち n 4
+横 よこ n 5
+隣 となり n 5
+近く ちかく n 5
+周り まわり n 4
+間 あいだ n 4
+次 つぎ n 5
+他 ほか n 4
+別 べつ na 4
+一番 いちばん adv 5
+初め はじめ n 4
+はじめ = n 4
+一 いち n-num 5
+二 に n-num 5
+三 さん n-num 5
+十 じゅう n-num 5
+百 ひゃく n-num 5
+千 せん n-num 5
+万 まん n-num 5
+一つ ひとつ n-num 5
+二つ ふたつ n-num 5
+一人 ひとり n 5
+二人 ふたり n 5
+一緒 いっしょ n 5
+本当 ほんとう na 5
+大切 たいせつ na 4
+大事 だいじ na 4
+大丈夫 だいじょうぶ na 4
+有名 ゆうめい na 5
+壮大 そうだい na 1
+偉大 いだい na 1
+静か しずか na 5
+元気 げんき na 5
+好き すき na 5
+嫌い きらい na 5
+上手 じょうず na 5
+下手 へた na 5
+簡単 かんたん na 4
+便利 べんり na 5
+不便 ふべん na 4
+特別 とくべつ na 4
+大変 たいへん na 5
+必要 ひつよう na 4
+十分 じゅうぶん na 4
+心配 しんぱい na 4
+安全 あんぜん na 4
+危険 きけん na 4
+丁寧 ていねい na 4
+親切 しんせつ na 4
+複雑 ふくざつ na 3
+重要 じゅうよう na 3
+非常 ひじょう na 3
+様々 さまざま na 3
+色々 いろいろ na 5
+いろいろ = na 5
+きれい = na 5
+綺麗 きれい na 5
+幸せ しあわせ na 3
+残念 ざんねん na 4
+無理 むり na 4
+自由 じゆう na 4
+普通 ふつう na 4
+確か たしか na 4
+急 きゅう na 4
+同じ おなじ na 5
+こんな = adn 4
+そんな = adn 4
+あんな = adn 4
+どんな = adn 5
+この = adn 5
+その = adn 5
+あの = adn 5
+どの = adn 5
+ある = adn 4
+大きな おおきな adn 4
+小さな ちいさな adn 4
+ある日 あるひ n-adv 4
+とても = adv 5
+とっても = adv 4
+たくさん = adv 5
+沢山 たくさん adv 5
+少し すこし adv 5
+ちょっと = adv 5
+もう = adv 5
+まだ = adv 5
+すぐ = adv 5
+よく = adv 5
+また = adv 5
+いつも = adv 5
+時々 ときどき adv 5
+ときどき = adv 5
+ずっと = adv 4
+やっと = adv 4
+きっと = adv 4
+たぶん = adv 5
+多分 たぶん adv 5
+必ず かならず adv 4
+全然 ぜんぜん adv 4
+一緒に いっしょに adv 5
+初めて はじめて adv 5
+はじめて = adv 5
+特に とくに adv 4
+非常に ひじょうに adv 3
+本当に ほんとうに adv 5
+こんなに = adv 4
+そんなに = adv 4
+どう = adv 5
+こう = adv 4
+そう = adv 5
+ああ = adv 4
+もっと = adv 5
+突然 とつぜん adv 3
+さらに = adv 3
+更に さらに adv 3
+まず = adv 4
+先ず まず adv 4
+ほとんど = adv 4
+だんだん = adv 4
+ゆっくり = adv 5
+しっかり = adv 3
+はっきり = adv 4
+そっと = adv 3
+思わず おもわず adv 3
+ついに = adv 3
+再び ふたたび adv 2
+既に すでに adv 2
+やはり = adv 4
+やっぱり = adv 4
+ただ = adv 3
+しかし = conj 4
+でも = conj 5
+だから = conj 5
+そして = conj 5
+それから = conj 5
+それで = conj 4
+ところが = conj 3
+けれども = conj 4
+また = conj 4
+または = conj 3
+つまり = conj 3
+なぜなら = conj 3
+はい = int 5
+いいえ = int 5
+ああ = int 4
+ええ = int 4
+さあ = int 4
+ご = pref -
+お = pref -
+さん = n-suf 5
+様 さま n-suf 4
+君 くん n-suf 4
+ちゃん = n-suf 5
+たち = n-suf 4
+達 たち n-suf 4
+人 じん n-suf 5
+的 てき n-suf 3
+者 しゃ n-suf 3
+家 か n-suf 3
+中 ちゅう n-suf 4
+語 ご n-suf 5
+屋 や n-suf 5
+性 せい n-suf 3
+化 か n-suf 3
+時代 じだい n 3
+行く いく v5k-s 5
+いく = v5k-s 4
+来る くる vk 5
+くる = vk 4
+する = vs-i 5
+ある = v5r-i 5
+有る ある v5r-i 5
+いる = v1 5
+居る いる v1 5
+くださる = v5aru 4
+下さる くださる v5aru 4
+なさる = v5aru 3
+いらっしゃる = v5aru 4
+おっしゃる = v5aru 4
+見る みる v1 5
+見上げる みあげる v1 3
+見つける みつける v1 4
+見せる みせる v1 5
+訪れる おとずれる v1 2
+忘れる わすれる v1 5
+食べる たべる v1 5
+出る でる v1 5
+出かける でかける v1 5
+起きる おきる v1 5
+寝る ねる v1 5
+着る きる v1 5
+教える おしえる v1 5
+覚える おぼえる v1 5
+考える かんがえる v1 4
+答える こたえる v1 5
+始める はじめる v1 5
+続ける つづける v1 4
+決める きめる v1 4
+変える かえる v1 4
+伝える つたえる v1 4
+受ける うける v1 4
+入れる いれる v1 5
+比べる くらべる v1 4
+調べる しらべる v1 4
+集める あつめる v1 4
+止める とめる v1 4
+借りる かりる v1 5
+できる = v1 5
+出来る できる v1 5
+生きる いきる v1 4
+信じる しんじる v1 3
+感じる かんじる v1 3
+遅れる おくれる v1 4
+疲れる つかれる v1 5
+生まれる うまれる v1 4
+分かれる わかれる v1 4
+離れる はなれる v1 3
+流れる ながれる v1 3
+知らせる しらせる v1 4
+見える みえる v1 4
+聞こえる きこえる v1 4
+増える ふえる v1 4
+考え かんがえ n 4
+続く つづく v5k 4
+書く かく v5k 5
+聞く きく v5k 5
+歩く あるく v5k 5
+働く はたらく v5k 5
+着く つく v5k 5
+置く おく v5k 5
+おく = v5k 4
+開く ひらく v5k 4
+驚く おどろく v5k 3
+泳ぐ およぐ v5g 5
+急ぐ いそぐ v5g 4
+話す はなす v5s 5
+出す だす v5s 5
+返す かえす v5s 4
+過ごす すごす v5s 3
+探す さがす v5s 4
+思い出す おもいだす v5s 4
+待つ まつ v5t 5
+持つ もつ v5t 5
+立つ たつ v5t 5
+勝つ かつ v5t 4
+死ぬ しぬ v5n 5
+遊ぶ あそぶ v5b 5
+呼ぶ よぶ v5b 4
+学ぶ まなぶ v5b 3
+選ぶ えらぶ v5b 4
+飛ぶ とぶ v5b 5
+読む よむ v5m 5
+飲む のむ v5m 5
+住む すむ v5m 5
+休む やすむ v5m 5
+楽しむ たのしむ v5m 4
+進む すすむ v5m 4
+分かる わかる v5r 5
+わかる = v5r 5
+なる = v5r 5
+成る なる v5r 5
+座る すわる v5r 5
+帰る かえる v5r 5
+入る はいる v5r 5
+走る はしる v5r 5
+作る つくる v5r 5
+知る しる v5r 5
+終わる おわる v5r 5
+始まる はじまる v5r 4
+止まる とまる v5r 4
+乗る のる v5r 5
+取る とる v5r 5
+残る のこる v5r 4
+送る おくる v5r 4
+守る まもる v5r 4
+降る ふる v5r 5
+振り返る ふりかえる v5r 2
+やる = v5r 4
+触る さわる v5r 4
+戦う たたかう v5u 3
+思う おもう v5u 5
+言う いう v5u 5
+いう = v5u 5
+会う あう v5u 5
+買う かう v5u 5
+使う つかう v5u 5
+習う ならう v5u 5
+歌う うたう v5u 5
+笑う わらう v5u 4
+手伝う てつだう v5u 4
+違う ちがう v5u 4
+しまう = v5u 4
+もらう = v5u 5
+貰う もらう v5u 5
+向かう むかう v5u 3
+くれる = v1 5
+あげる = v1 5
+みる = v1 4
+美しい うつくしい adj-i 4
+若い わかい adj-i 4
+大きい おおきい adj-i 5
+小さい ちいさい adj-i 5
+新しい あたらしい adj-i 5
+古い ふるい adj-i 5
+高い たかい adj-i 5
+安い やすい adj-i 5
+長い ながい adj-i 5
+短い みじかい adj-i 5
+早い はやい adj-i 5
+速い はやい adj-i 5
+遅い おそい adj-i 5
+多い おおい adj-i 5
+少ない すくない adj-i 5
+楽しい たのしい adj-i 5
+嬉しい うれしい adj-i 4
+悲しい かなしい adj-i 4
+寂しい さびしい adj-i 4
+難しい むずかしい adj-i 5
+易しい やさしい adj-i 5
+優しい やさしい adj-i 4
+面白い おもしろい adj-i 5
+素晴らしい すばらしい adj-i 3
+暑い あつい adj-i 5
+寒い さむい adj-i 5
+暖かい あたたかい adj-i 5
+明るい あかるい adj-i 5
+暗い くらい adj-i 5
+近い ちかい adj-i 5
+遠い とおい adj-i 5
+強い つよい adj-i 5
+弱い よわい adj-i 5
+忙しい いそがしい adj-i 5
+欲しい ほしい adj-i 5
+怖い こわい adj-i 4
+痛い いたい adj-i 5
+白い しろい adj-i 5
+黒い くろい adj-i 5
+赤い あかい adj-i 5
+青い あおい adj-i 5
+良い よい adj-i 5
+よい = adj-i 5
+いい = adj-ix 5
+悪い わるい adj-i 5
+ない = adj-i 5
+無い ない adj-i 5
+すごい = adj-i 4
+凄い すごい adj-i 4
+`;
@@ -0,0 +1,586 @@
+// Offline morphological tokenizer in the style of kuromoji.
+// Builds a lattice of dictionary and unknown-word candidates over the text and
+// picks the cheapest path with Viterbi, so every token carries a part of
+// speech, a dictionary form and a reading.
+
+// Conjugated forms use short internal codes; these are the names shown to users
+const CONJUGATED_FORM_NAMES = {
+  mizen: "未然形",
+  volitional: "未然ウ接続",
+  renyou: "連用形",
+  ta: "連用タ接続",
+  base: "基本形",
+  attributive: "体言接続",
+  katei: "仮定形",
+  meirei: "命令形",
+  "adj-ku": "連用テ接続",
+  "adj-katt": "連用タ接続",
+  "adj-kere": "仮定形",
+  "adj-stem": "ガル接続",
+};
+
+// Extra cost for ending a phrase on a form that expects something after it
+const FORM_END_PENALTY = {
+  base: 0,
+  attributive: 0,
+  "adj-ku": 0,
+  meirei: 300,
+  renyou: 800,
+  mizen: 2500,
+  volitional: 2500,
+  ta: 2500,
+  katei: 2500,
+  "adj-katt": 2500,
+  "adj-kere": 2500,
+  "adj-stem": 2500,
+};
+
+const WORD_CLASS_POS = {
+  n: ["名詞", "一般"],
+  "n-vs": ["名詞", "サ変接続"],
+  na: ["名詞", "形容動詞語幹"],
+  "n-adv": ["名詞", "副詞可能"],
+  "n-prop": ["名詞", "固有名詞"],
+  "n-pron": ["名詞", "代名詞"],
+  "n-num": ["名詞", "数"],
+  "n-suf": ["名詞", "接尾"],
+  pref: ["接頭詞", "名詞接続"],
+  adv: ["副詞", "一般"],
+  adn: ["連体詞", "*"],
+  conj: ["接続詞", "*"],
+  int: ["感動詞", "*"],
+};
+
+const GODAN_ROWS = {
+  k: "かきくけこ",
+  g: "がぎぐげご",
+  s: "さしすせそ",
+  t: "たちつてと",
+  n: "なにぬねの",
+  b: "ばびぶべぼ",
+  m: "まみむめも",
+  r: "らりるれろ",
+  u: "わいうえお",
+};
+
+// Sound-changed stem used before た/て (書い, 読ん, 待っ ...)
+const GODAN_TA_ENDINGS = { k: "い", g: "い", s: "し", t: "っ", n: "ん", b: "ん", m: "ん", r: "っ", u: "っ" };
+
+// Particles, grouped by kuromoji sub-category. Earlier groups win ties.
+const PARTICLES = {
+  格助詞: ["が", "を", "に", "へ", "と", "で", "から", "より", "まで", "の", "や"],
+  係助詞: ["は", "も", "こそ", "しか", "でも"],
+  副助詞: ["ばかり", "だけ", "ほど", "くらい", "ぐらい", "など", "さえ", "ずつ", "か", "とか"],
+  接続助詞: ["て", "で", "ば", "ながら", "けど", "けれど", "けれども", "のに", "ので", "し", "たり", "だり", "ても", "でも", "と", "が", "から"],
+  終助詞: ["よ", "ね", "わ", "ぞ", "ぜ", "な", "か", "かな", "かしら", "の", "さ"],
+  連語: ["という", "といった", "について", "として", "によって", "による", "にとって", "に対して", "って"],
+};
+
+// Conjugated forms each connective particle attaches to
+const PARTICLE_ATTACH = {
+  て: ["ta", "adj-ku"],
+  で: ["ta"],
+  ても: ["ta", "adj-ku"],
+  でも: ["ta"],
+  たり: ["ta", "adj-katt"],
+  だり: ["ta"],
+  ば: ["katei", "adj-kere"],
+  ながら: ["renyou"],
+  し: ["base"],
+};
+
+// Auxiliaries: [base form, [surface, forms]..., attach, options]
+const AUXILIARIES = [
+  ["ない", [["ない", ["base"]], ["なく", ["adj-ku"]], ["なかっ", ["adj-katt"]], ["なけれ", ["adj-kere"]]], ["mizen"]],
+  ["ます", [["ます", ["base"]], ["まし", ["renyou", "ta"]], ["ませ", ["mizen"]], ["ましょ", ["volitional"]]], ["renyou"]],
+  ["た", [["た", ["base"]], ["たら", ["katei"]], ["たろ", ["volitional"]]], ["ta", "adj-katt"]],
+  ["だ", [["だ", ["base"]], ["だら", ["katei"]]], ["ta"]],
+  ["たい", [["たい", ["base"]], ["たく", ["adj-ku"]], ["たかっ", ["adj-katt"]], ["たけれ", ["adj-kere"]]], ["renyou"]],
+  ["う", [["う", ["base"]]], ["volitional"]],
+  ["ず", [["ず", ["base"]]], ["mizen"]],
+  ["ぬ", [["ぬ", ["base"]]], ["mizen"]],
+  ["ん", [["ん", ["base"]]], ["mizen"]],
+  ["そう", [["そう", ["base"]]], ["renyou", "adj-stem"]],
+  ["だ", [["だ", ["base"]], ["だっ", ["ta"]], ["で", ["renyou"]], ["な", ["attributive"]], ["なら", ["katei"]], ["だろ", ["volitional"]]], null, { copula: true }],
+  ["です", [["です", ["base"]], ["でし", ["ta"]], ["でしょ", ["volitional"]]], null, { copula: true }],
+];
+
+// Suffix-like verbs that conjugate as ichidan: [base form, attach, pos detail]
+const VERB_SUFFIXES = [
+  ["れる", ["mizen"], "接尾"],
+  ["られる", ["mizen"], "接尾"],
+  ["せる", ["mizen"], "接尾"],
+  ["させる", ["mizen"], "接尾"],
+  ["すぎる", ["renyou", "adj-stem"], "非自立"],
+];
+
+// Verbs that lose their own meaning after て (食べている, 忘れてしまう)
+const AUXILIARY_VERBS = new Set(["いる", "ある", "しまう", "おく", "みる", "くる", "いく", "くれる", "もらう", "あげる", "くださる"]);
+
+const VOLITIONAL_FOLLOWERS = new Set(["と", "か", "かな", "が", "けど", "けれど", "けれども", "よ", "ね", "な", "って"]);
+
+// Characters that take furigana: CJK ideographs plus the iteration and abbreviation marks
+const KANJI_CHARACTERS = "\u4e00-\u9fff\u3400-\u4dbf々〆ヶ";
+
+const CHAR_CLASS = {
+  SPACE: "SPACE",
+  KANJI: "KANJI",
+  HIRAGANA: "HIRAGANA",
+  KATAKANA: "KATAKANA",
+  NUMERIC: "NUMERIC",
+  ALPHA: "ALPHA",
+  SYMBOL: "SYMBOL",
+};
+
+class JapaneseTokenizer {
+  constructor(lexicon = TOKENIZER_LEXICON) {
+    this.entries = new Map();
+    this.maxLength = 1;
+    this.loadLexicon(lexicon);
+    this.loadGrammar();
+  }
+
+  loadLexicon(lexicon) {
+    lexicon.split("\n").forEach((line) => {
+      const fields = line.trim().split(/\s+/);
+      if (fields.length < 3) return;
+
+      const [surface, readingField, wordClass, level] = fields;
+      const reading = readingField === "=" ? surface : readingField;
+      const jlpt = level && level !== "-" ? Number(level) : null;
+      this.addWord(surface, reading, wordClass, jlpt);
+    });
+  }
+
+  addWord(surface, reading, wordClass, jlpt = null) {
+    const info = { baseForm: surface, baseReading: reading, wordClass, jlpt };
+
+    if (WORD_CLASS_POS[wordClass]) {
+      const [pos, posDetail] = WORD_CLASS_POS[wordClass];
+      this.addMorpheme({ ...info, surface, reading, pos, posDetail, forms: null });
+      return;
+    }
+
+    const isAdjective = wordClass.startsWith("adj");
+    const pos = isAdjective ? "形容詞" : "動詞";
+    this.conjugate(surface, reading, wordClass).forEach((form) => {
+      this.addMorpheme({ ...info, ...form, pos, posDetail: form.posDetail || "自立" });
+    });
+  }
+
+  // Generates every conjugated stem of a verb or i-adjective
+  conjugate(surface, reading, wordClass) {
+    const forms = [];
+    const add = (surfaceTail, readingTail, stemForms, extra = {}) => {
+      forms.push({ surface: surfaceTail, reading: readingTail, forms: stemForms, ...extra });
+    };
+
+    if (wordClass === "v1") {
+      const stem = surface.slice(0, -1);
+      const readingStem = reading.slice(0, -1);
+      add(stem, readingStem, ["mizen", "renyou", "ta"]);
+      add(surface, reading, ["base"]);
+      add(stem + "れ", readingStem + "れ", ["katei"]);
+      add(stem + "ろ", readingStem + "ろ", ["meirei"]);
+      add(stem + "よ", readingStem + "よ", ["volitional"]);
+      return forms;
+    }
+
+    if (wordClass === "vs-i") {
+      [["さ", ["mizen"]], ["し", ["mizen", "renyou", "ta"]], ["せ", ["mizen"]], ["する", ["base"]],
+        ["すれ", ["katei"]], ["しろ", ["meirei"]], ["しよ", ["volitional"]]].forEach(([kana, stemForms]) => {
+        add(kana, kana, stemForms);
+      });
+      return forms;
+    }
+
+    if (wordClass === "vk") {
+      const kanji = surface !== reading ? surface.slice(0, -1) : null;
+      [["こ", "", ["mizen"]], ["き", "", ["renyou", "ta"]], ["くる", "る", ["base"]], ["くれ", "れ", ["katei"]],
+        ["こい", "い", ["meirei"]], ["こよ", "よ", ["volitional"]]].forEach(([kana, tail, stemForms]) => {
+        add(kanji ? kanji + tail : kana, kana, stemForms);
+      });
+      return forms;
+    }
+
+    if (wordClass === "adj-i" || wordClass === "adj-ix") {
+      const isIi = wordClass === "adj-ix";
+      const stem = isIi ? "よ" : surface.slice(0, -1);
+      const readingStem = isIi ? "よ" : reading.slice(0, -1);
+      add(surface, reading, ["base"]);
+      add(stem + "く", readingStem + "く", ["adj-ku"]);
+      add(stem + "かっ", readingStem + "かっ", ["adj-katt"]);
+      add(stem + "けれ", readingStem + "けれ", ["adj-kere"]);
+      add(stem + "かろ", readingStem + "かろ", ["volitional"]);
+      // Bare stems like な or よ would match everywhere
+      if (stem.length > 1 || stem !== readingStem) add(stem, readingStem, ["adj-stem"]);
+      return forms;
+    }
+
+    if (wordClass.startsWith("v5")) {
+      const row = wordClass === "v5k-s" ? "k" : wordClass === "v5r-i" || wordClass === "v5aru" ? "r" : wordClass.charAt(2);
+      const vowels = GODAN_ROWS[row];
+      const stem = surface.slice(0, -1);
+      const readingStem = reading.slice(0, -1);
+      const taEnding = wordClass === "v5k-s" ? "っ" : GODAN_TA_ENDINGS[row];
+      const stemAt = (index) => [stem + vowels[index], readingStem + vowels[index]];
+
+      add(...stemAt(0), ["mizen"]);
+      add(...stemAt(1), ["renyou"]);
+      add(surface, reading, ["base"]);
+      add(...stemAt(3), ["katei", "meirei"]);
+      add(...stemAt(4), ["volitional"]);
+      add(stem + taEnding, readingStem + taEnding, ["ta"]);
+
+      if (wordClass === "v5aru") {
+        // ください, いらっしゃい, なさい
+        add(stem + "い", readingStem + "い", ["renyou", "meirei"]);
+      } else if (wordClass !== "v5r-i") {
+        // Potential verbs (書ける) conjugate as ichidan but keep the godan lemma
+        const [potentialStem, potentialReading] = stemAt(3);
+        const potential = { posDetail: "自立", derivation: "potential" };
+        add(potentialStem, potentialReading, ["mizen", "renyou", "ta"], potential);
+        add(potentialStem + "る", potentialReading + "る", ["base"], potential);
+        add(potentialStem + "れ", potentialReading + "れ", ["katei"], potential);
+      }
+      return forms;
+    }
+
+    // Unknown class: keep the bare form so the word is still found
+    add(surface, reading, ["base"]);
+    return forms;
+  }
+
+  loadGrammar() {
+    Object.entries(PARTICLES).forEach(([posDetail, surfaces]) => {
+      surfaces.forEach((surface) => {
+        const attach = posDetail === "接続助詞" ? PARTICLE_ATTACH[surface] || null : null;
+        this.addMorpheme({
+          surface,
+          reading: surface,
+          baseForm: surface,
+          pos: "助詞",
+          posDetail,
+          forms: null,
+          attach,
+          cost: 1500,
+        });
+      });
+    });
+
+    AUXILIARIES.forEach(([baseForm, paradigm, attach, options = {}]) => {
+      paradigm.forEach(([surface, forms]) => {
+        this.addMorpheme({
+          surface,
+          reading: surface,
+          baseForm,
+          pos: "助動詞",
+          posDetail: "*",
+          forms,
+          attach,
+          cost: 1500,
+          copula: Boolean(options.copula),
+        });
+      });
+    });
+
+    VERB_SUFFIXES.forEach(([baseForm, attach, posDetail]) => {
+      this.conjugate(baseForm, baseForm, "v1").forEach((form) => {
+        this.addMorpheme({ ...form, baseForm, pos: "動詞", posDetail, attach, cost: 1500 });
+      });
+    });
+
+    // Nominalising さ (美しさ, 偉大さ)
+    this.addMorpheme({
+      surface: "さ",
+      reading: "さ",
+      baseForm: "さ",
+      pos: "名詞",
+      posDetail: "接尾",
+      forms: null,
+      attach: ["adj-stem", "noun"],
+      cost: 1500,
+    });
+  }
+
+  addMorpheme(morpheme) {
+    if (morpheme.cost === undefined) {
+      morpheme.cost = Math.max(1800, 3000 - 150 * morpheme.surface.length);
+    }
+    if (!this.entries.has(morpheme.surface)) {
+      this.entries.set(morpheme.surface, []);
+    }
+    this.entries.get(morpheme.surface).push(morpheme);
+    this.maxLength = Math.max(this.maxLength, morpheme.surface.length);
+  }
+
+  getCharClass(char) {
+    if (/\s/.test(char)) return CHAR_CLASS.SPACE;
+    if (/[一-鿿㐀-䶿豈-﫿々〆ヶ\uD800-\uDFFF]/.test(char)) return CHAR_CLASS.KANJI;
+    if (/[ぁ-ゟ]/.test(char)) return CHAR_CLASS.HIRAGANA;
+    if (/[ァ-ヺー-ヿｦ-ﾟ]/.test(char)) return CHAR_CLASS.KATAKANA;
+    if (/[0-9０-９]/.test(char)) return CHAR_CLASS.NUMERIC;
+    if (/[A-Za-zＡ-Ｚａ-ｚ]/.test(char)) return CHAR_CLASS.ALPHA;
+    return CHAR_CLASS.SYMBOL;
+  }
+
+  // Candidates for characters the lexicon does not cover, grouped by character class
+  unknownCandidates(text, start, hasDictionaryMatch) {
+    const charClass = this.getCharClass(text[start]);
+    let runEnd = start + 1;
+    while (runEnd < text.length && this.getCharClass(text[runEnd]) === charClass) {
+      runEnd++;
+    }
+    const run = text.slice(start, runEnd);
+    const unknown = (surface, pos, posDetail, cost) => ({
+      surface,
+      reading: charClass === CHAR_CLASS.KATAKANA ? this.katakanaToHiragana(surface) : null,
+      baseForm: surface,
+      pos,
+      posDetail,
+      forms: null,
+      cost,
+      isUnknown: true,
+    });
+
+    switch (charClass) {
+      case CHAR_CLASS.SPACE:
+        return [unknown(run, "記号", "空白", 0)];
+      case CHAR_CLASS.KANJI: {
+        const candidates = [];
+        for (let length = 1; length <= Math.min(run.length, 4); length++) {
+          candidates.push(unknown(run.slice(0, length), "名詞", "一般", 7000 + 400 * length));
+        }
+        return candidates;
+      }
+      case CHAR_CLASS.KATAKANA:
+        return [unknown(run, "名詞", "一般", 3500)];
+      case CHAR_CLASS.NUMERIC:
+        return [unknown(run, "名詞", "数", 2000)];
+      case CHAR_CLASS.ALPHA:
+        return [unknown(run, "名詞", "固有名詞", 2000)];
+      case CHAR_CLASS.HIRAGANA:
+        return hasDictionaryMatch ? [] : [unknown(text[start], "その他", "*", 10000)];
+      default:
+        return [unknown(text[start], "記号", this.symbolDetail(text[start]), 0)];
+    }
+  }
+
+  symbolDetail(char) {
+    if ("。．.！!？?".includes(char)) return "句点";
+    if ("、，,".includes(char)) return "読点";
+    if ("「『（(【〈《［[“‘".includes(char)) return "括弧開";
+    if ("」』）)】〉》］]”’".includes(char)) return "括弧閉";
+    return "一般";
+  }
+
+  connectionCost(left, right) {
+    let cost = 0;
+    const leftForms = left.forms;
+
+    if (right.attach) {
+      const attaches = (leftForms && right.attach.some((form) => leftForms.includes(form))) ||
+        (right.attach.includes("noun") && left.pos === "名詞");
+      cost += attaches ? -200 : 3000;
+    }
+
+    if (leftForms && !(right.attach && right.attach.some((form) => leftForms.includes(form)))) {
+      cost += Math.min(...leftForms.map((form) => FORM_END_PENALTY[form]));
+    }
+
+    if (left.pos === "接頭詞" && right.pos !== "名詞") cost += 2000;
+    if (right.posDetail === "接尾" && !right.attach) cost += left.pos === "名詞" ? -500 : 1500;
+    if (right.pos === "接続詞" && left.pos !== "BOS" && left.pos !== "記号") cost += 1500;
+    // Particles follow something; one opening a sentence or clause is a misread (し in しなければ)
+    if (right.pos === "助詞" && (left.pos === "BOS" || (left.pos === "記号" && left.posDetail !== "括弧閉"))) cost += 2000;
+    if (left.posDetail === "サ変接続" && right.pos === "動詞" && right.baseForm === "する") cost -= 1500;
+    // Volitional う closes a clause; only quoting or final particles follow it
+    if (left.pos === "助動詞" && left.baseForm === "う" && right.pos === "助詞" && !VOLITIONAL_FOLLOWERS.has(right.surface)) {
+      cost += 2000;
+    }
+
+    return cost;
+  }
+
+  tokenize(text) {
+    const length = text.length;
+    const bos = { morpheme: { pos: "BOS", forms: null }, start: 0, end: 0, total: 0, prev: null };
+    const endingAt = Array.from({ length: length + 1 }, () => []);
+    endingAt[0].push(bos);
+
+    for (let start = 0; start < length; start++) {
+      const leftNodes = endingAt[start];
+      if (leftNodes.length === 0) continue;
+
+      const candidates = [];
+      for (let size = 1; size <= this.maxLength && start + size <= length; size++) {
+        const matches = this.entries.get(text.substr(start, size));
+        if (matches) candidates.push(...matches);
+      }
+      candidates.push(...this.unknownCandidates(text, start, candidates.length > 0));
+
+      candidates.forEach((morpheme) => {
+        let best = null;
+        let bestTotal = Infinity;
+        leftNodes.forEach((left) => {
+          const total = left.total + this.connectionCost(left.morpheme, morpheme) + morpheme.cost;
+          if (total < bestTotal) {
+            bestTotal = total;
+            best = left;
+          }
+        });
+        const end = start + morpheme.surface.length;
+        endingAt[end].push({ morpheme, start, end, total: bestTotal, prev: best });
+      });
+    }
+
+    let last = null;
+    let lastTotal = Infinity;
+    endingAt[length].forEach((node) => {
+      const forms = node.morpheme.forms;
+      const total = node.total + (forms ? Math.min(...forms.map((form) => FORM_END_PENALTY[form])) : 0);
+      if (total < lastTotal) {
+        lastTotal = total;
+        last = node;
+      }
+    });
+
+    const tokens = [];
+    for (let node = last; node && node !== bos; node = node.prev) {
+      tokens.unshift(this.toToken(node));
+    }
+    return tokens;
+  }
+
+  toToken(node) {
+    const morpheme = node.morpheme;
+    return {
+      surface: morpheme.surface,
+      pos: morpheme.pos,
+      posDetail: morpheme.posDetail,
+      baseForm: morpheme.baseForm,
+      reading: morpheme.reading,
+      conjugatedForm: morpheme.forms ? CONJUGATED_FORM_NAMES[morpheme.forms[0]] : null,
+      forms: morpheme.forms,
+      wordClass: morpheme.wordClass || null,
+      jlpt: morpheme.jlpt || null,
+      copula: Boolean(morpheme.copula),
+      derivation: morpheme.derivation || null,
+      isUnknown: Boolean(morpheme.isUnknown),
+      start: node.start,
+      end: node.end,
+    };
+  }
+
+  // Groups morphemes into the units a learner would look up: a verb with its
+  // auxiliaries (忘れられない), a suru-noun with する, a noun with its suffixes
+  segmentWords(text) {
+    const tokens = this.tokenize(text);
+    const words = [];
+
+    for (let i = 0; i < tokens.length; i++) {
+      const head = tokens[i];
+      const group = [head];
+      let baseForm = head.baseForm;
+      let isInflecting = head.pos === "動詞" || head.pos === "形容詞" || head.copula;
+      let isCompound = false;
+
+      if (head.pos === "接頭詞" && tokens[i + 1] && tokens[i + 1].pos === "名詞") {
+        group.push(tokens[++i]);
+        isCompound = true;
+      }
+
+      if (group[group.length - 1].pos === "名詞") {
+        while (tokens[i + 1] && tokens[i + 1].posDetail === "接尾" && tokens[i + 1].pos === "名詞") {
+          group.push(tokens[++i]);
+          isCompound = true;
+        }
+        const next = tokens[i + 1];
+        if (head.posDetail === "サ変接続" && next && next.pos === "動詞" && next.baseForm === "する") {
+          group.push(tokens[++i]);
+          baseForm = group.map((token) => token.surface).join("").slice(0, -next.surface.length) + "する";
+          isInflecting = true;
+          isCompound = false;
+        }
+      }
+
+      if (isCompound) {
+        baseForm = group.map((token) => token.surface).join("");
+      }
+
+      while (isInflecting && tokens[i + 1] && this.continuesInflection(group[group.length - 1], tokens[i + 1])) {
+        group.push(tokens[++i]);
+      }
+
+      // 美しさ: an adjective stem turned into a noun
+      const last = group[group.length - 1];
+      const next = tokens[i + 1];
+      if (last.forms && last.forms.includes("adj-stem") && next && next.pos === "名詞" && next.posDetail === "接尾") {
+        group.push(tokens[++i]);
+        baseForm = group.map((token) => token.surface).join("");
+      }
+
+      const surface = group.map((token) => token.surface).join("");
+      const hasReading = group.every((token) => token.reading);
+      words.push({
+        surface,
+        baseForm,
+        reading: hasReading ? group.map((token) => token.reading).join("") : null,
+        pos: head.pos,
+        posDetail: head.posDetail,
+        wordClass: head.wordClass,
+        jlpt: head.jlpt,
+        tokens: group,
+        start: head.start,
+        end: group[group.length - 1].end,
+        clickable: this.isContentWord(head),
+      });
+    }
+
+    return words;
+  }
+
+  continuesInflection(previous, next) {
+    // ません takes でした for the past (しませんでした)
+    if (next.pos === "助動詞") return !next.copula || (previous.baseForm === "ん" && next.baseForm === "です");
+    if (next.pos === "動詞" && (next.posDetail === "接尾" || next.posDetail === "非自立")) return true;
+    if (next.pos === "助詞" && next.posDetail === "接続助詞") return ["て", "で", "ば"].includes(next.surface);
+    if (next.pos === "動詞" && previous.pos === "助詞" && ["て", "で"].includes(previous.surface)) {
+      return AUXILIARY_VERBS.has(next.baseForm);
+    }
+    if (next.pos === "形容詞" && next.baseForm === "ない") {
+      return Boolean(previous.forms && previous.forms.includes("adj-ku"));
+    }
+    return false;
+  }
+
+  isContentWord(token) {
+    if (token.pos === "その他" || token.pos === "記号" || token.pos === "助詞" || token.pos === "助動詞") {
+      return false;
+    }
+    return !(token.pos === "名詞" && token.posDetail === "接尾");
+  }
+
+  katakanaToHiragana(text) {
+    return text.replace(/[ァ-ヶ]/g, (char) => String.fromCharCode(char.charCodeAt(0) - 0x60));
+  }
+
+  // Splits a word into kanji and kana runs and gives each kanji run its part
+  // of the reading, so okurigana stays outside the ruby (忘|わす + れられない).
+  // The kana runs anchor the match; if they don't line up with the reading
+  // the whole word gets one reading.
+  furigana(surface, reading) {
+    const kanji = new RegExp(`[${KANJI_CHARACTERS}]`);
+    if (!reading || !kanji.test(surface)) return [{ text: surface, reading: null }];
+
+    const hiragana = this.katakanaToHiragana(reading);
+    const runs = surface.match(new RegExp(`[${KANJI_CHARACTERS}]+|[^${KANJI_CHARACTERS}]+`, "g"));
+    const pattern = runs.map((run) => (kanji.test(run)
+      ? "(.+?)"
+      : `(${this.katakanaToHiragana(run).replace(/[.*+?^${}()|[\]\\]/g, "\\$&")})`)).join("");
+    const match = hiragana.match(new RegExp(`^${pattern}$`));
+
+    if (!match) return [{ text: surface, reading: hiragana }];
+    return runs.map((run, index) => ({ text: run, reading: kanji.test(run) ? match[index + 1] : null }));
+  }
+}
@@ -0,0 +1,270 @@
+// Translates articles of any length. The text is split into chunks at
+// paragraph and sentence boundaries so no reply runs into the model's token
+// limit; a few chunks are translated at once, each with its neighbours'
+// text for context, and the sentence pairs are put back together in order.
+// A chunk that still fails is marked in the translation instead of losing
+// the rest of it.
+
+const TRANSLATION_CHUNK_CHARS = 1200;
+const TRANSLATION_CONCURRENCY = 2;
+// Characters of the neighbouring chunks sent along for context
+const TRANSLATION_CONTEXT_CHARS = 200;
+const TRANSLATION_RETRIES = 3;
+const TRANSLATION_RETRY_DELAY = 1000;
+
+class ArticleTranslator {
+  constructor(llm) {
+    this.llm = llm;
+  }
+
+  // Returns { sentences, failed, total }: [{ japanese, english, paragraph }]
+  // for the whole text, and how many of its chunks couldn't be translated.
+  // onProgress is called as replies stream in with { replies, done, total }:
+  // the text of every chunk's reply so far, in order, and the chunks finished.
+  async translate(text, { direction = "ja-to-en", signal = null, onProgress = () => {} } = {}) {
+    const chunks = this.split(text);
+    const results = new Array(chunks.length);
+    const replies = chunks.map(() => "");
+    let next = 0;
+    let done = 0;
+    const progress = () => onProgress({ replies, done, total: chunks.length });
+
+    const worker = async () => {
+      while (next < chunks.length && !(signal && signal.aborted)) {
+        const index = next++;
+        results[index] = await this.translateChunk(chunks[index], this.contextFor(chunks, index), {
+          direction,
+          signal,
+          onText: (content) => {
+            replies[index] = content;
+            progress();
+          },
+        });
+        done++;
+        progress();
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(TRANSLATION_CONCURRENCY, chunks.length) }, worker));
+
+    // Cancelled before anything was translated: nothing worth showing
+    if (signal && signal.aborted && !results.some((result) => result && result.pairs.length > 0)) {
+      throw new DOMException("The translation was cancelled", "AbortError");
+    }
+
+    const sentences = [];
+    let failed = 0;
+    chunks.forEach((chunk, index) => {
+      const result = results[index] || { pairs: [], error: new DOMException("The translation was cancelled", "AbortError") };
+      sentences.push(...result.pairs);
+      if (result.error) {
+        failed++;
+        sentences.push(...this.untranslated(chunk, result.pairs.length, result.error));
+      }
+    });
+    return {
+      sentences: sentences.map((pair) => this.toSentence(pair, direction)),
+      failed,
+      total: chunks.length,
+    };
+  }
+
+  // Chunks of { parts: [{ paragraph, text }], length }. Paragraphs stay
+  // whole where they fit; a paragraph longer than a chunk is split between
+  // sentences.
+  split(text) {
+    const chunks = [];
+    let current = { parts: [], length: 0 };
+    text.split(/\n\s*\n/).map((paragraph) => paragraph.trim()).filter(Boolean).forEach((paragraph, index) => {
+      const pieces = paragraph.length > TRANSLATION_CHUNK_CHARS ? this.sentences(paragraph) : [paragraph];
+      pieces.forEach((piece) => {
+        if (current.length > 0 && current.length + piece.length > TRANSLATION_CHUNK_CHARS) {
+          chunks.push(current);
+          current = { parts: [], length: 0 };
+        }
+        current.parts.push({ paragraph: index, text: piece });
+        current.length += piece.length;
+      });
+    });
+    if (current.length > 0) chunks.push(current);
+    return chunks;
+  }
+
+  // Japanese or English sentences, keeping closing quotes and the spaces after them
+  sentences(text) {
+    return text.match(/[^。！？.!?]*[。！？.!?]+[」』）)"'’”]*\s*|[^。！？.!?]+$/g) || [text];
+  }
+
+  // The chunk's text, one paragraph per blank-line separated block
+  textOf(chunk) {
+    const paragraphs = [];
+    chunk.parts.forEach((part) => {
+      const last = paragraphs[paragraphs.length - 1];
+      if (last && last.paragraph === part.paragraph) {
+        last.text += part.text;
+      } else {
+        paragraphs.push({ ...part });
+      }
+    });
+    return paragraphs.map((paragraph) => paragraph.text.trim()).join("\n\n");
+  }
+
+  contextFor(chunks, index) {
+    const before = index > 0 ? this.textOf(chunks[index - 1]) : "";
+    const after = index < chunks.length - 1 ? this.textOf(chunks[index + 1]) : "";
+    return {
+      before: before.slice(-TRANSLATION_CONTEXT_CHARS),
+      after: after.slice(0, TRANSLATION_CONTEXT_CHARS),
+    };
+  }
+
+  // Returns { pairs, error }. Rate limits, server errors and requests that
+  // failed before any response are retried with exponential backoff; a
+  // reply cut off by the token limit is retried as two smaller chunks.
+  async translateChunk(chunk, context, options) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return { pairs: await this.requestChunk(chunk, context, options), error: null };
+      } catch (error) {
+        const pieces = chunk.parts.flatMap((part) => this.sentences(part.text).map((text) => ({ paragraph: part.paragraph, text })));
+        if (error.cutOff && pieces.length > 1) {
+          const half = Math.ceil(pieces.length / 2);
+          const first = await this.translateChunk({ parts: pieces.slice(0, half) }, context, options);
+          if (first.error) return first;
+          const second = await this.translateChunk({ parts: pieces.slice(half) }, context, options);
+          return { pairs: [...first.pairs, ...second.pairs], error: second.error };
+        }
+
+        const aborted = options.signal && options.signal.aborted;
+        if (aborted || attempt >= TRANSLATION_RETRIES || !this.isRetryable(error)) {
+          if (!aborted) console.error("Translation of a chunk failed:", error);
+          // Sentences that streamed in before the failure are kept
+          return { pairs: error.partial ? this.pairsFrom(this.llm.parsePartialJson(error.partial), chunk) : [], error };
+        }
+
+        const delay = error.retryAfter ? error.retryAfter * 1000 : TRANSLATION_RETRY_DELAY * 2 ** attempt;
+        console.warn(`Translation chunk failed (${error.message}), retrying in ${delay}ms`);
+        await this.wait(delay, options.signal);
+      }
+    }
+  }
+
+  async requestChunk(chunk, context, { direction, signal, onText }) {
+    const [from, to] = direction === "ja-to-en" ? ["Japanese", "English"] : ["English", "Japanese"];
+    const text = this.textOf(chunk);
+    const messages = [
+      {
+        role: "system",
+        content: `You are a professional translator. Translate the following ${from} news article to natural, fluent ${to}, sentence by sentence. Maintain the paragraph structure. The article is translated in parts; you get one part, with some of the text around it so names and terms stay consistent.
+
+Your response must be a valid JSON object with this exact structure:
+{
+  "paragraphs": [
+    [
+      { "source": "One ${from} sentence copied from the article", "translation": "Its ${to} translation" }
+    ]
+  ]
+}`,
+      },
+    ];
+    if (context.before || context.after) {
+      messages.push({
+        role: "user",
+        content: `For context only, do not translate:\n\nText before this part:\n${context.before || "(start of article)"}\n\nText after this part:\n${context.after || "(end of article)"}`,
+      });
+    }
+    messages.push({ role: "user", content: text });
+
+    const content = await this.llm.complete("translation", messages, {
+      json: true,
+      context: { direction },
+      signal,
+      onText,
+    });
+
+    let parsed;
+    try {
+      parsed = this.llm.parseJson(content);
+    } catch (parseError) {
+      const partial = this.llm.parsePartialJson(content);
+      if (partial && Array.isArray(partial.paragraphs)) {
+        const error = new Error("The translation was cut off by the token limit");
+        error.cutOff = true;
+        throw error;
+      }
+      // Plain text is still a usable translation, aligned with the chunk as a whole
+      return [{ source: text, translation: content.trim(), paragraph: chunk.parts[0].paragraph }];
+    }
+
+    const pairs = this.pairsFrom(parsed, chunk);
+    if (pairs.length === 0) {
+      throw new Error("Translation is missing its sentence pairs");
+    }
+    return pairs;
+  }
+
+  // The model's paragraphs are numbered within the chunk; map them back to
+  // the article's, keeping any extras in the chunk's last paragraph
+  pairsFrom(parsed, chunk) {
+    if (!parsed || !Array.isArray(parsed.paragraphs)) return [];
+    const paragraphs = Array.from(new Set(chunk.parts.map((part) => part.paragraph)));
+    return parsed.paragraphs.flatMap((items, index) => (Array.isArray(items) ? items : [])
+      .filter((item) => item && typeof item.source === "string" && typeof item.translation === "string")
+      .map((item) => ({
+        source: item.source.trim(),
+        translation: item.translation.trim(),
+        paragraph: paragraphs[Math.min(index, paragraphs.length - 1)],
+      })));
+  }
+
+  // Marker pairs for the part of a chunk with no translation, one per paragraph
+  untranslated(chunk, translatedCount, error) {
+    const reason = error.name === "AbortError" ? "cancelled" : error.message;
+    const remaining = chunk.parts
+      .flatMap((part) => this.sentences(part.text).map((text) => ({ paragraph: part.paragraph, text })))
+      .slice(translatedCount);
+    const paragraphs = [];
+    remaining.forEach((piece) => {
+      const last = paragraphs[paragraphs.length - 1];
+      if (last && last.paragraph === piece.paragraph) {
+        last.source += piece.text;
+      } else {
+        paragraphs.push({ paragraph: piece.paragraph, source: piece.text, translation: null, reason });
+      }
+    });
+    return paragraphs.map((paragraph) => ({ ...paragraph, source: paragraph.source.trim() }));
+  }
+
+  toSentence(pair, direction) {
+    if (direction === "ja-to-en") {
+      return {
+        japanese: pair.source,
+        english: pair.translation !== null ? pair.translation : `[Not translated: ${pair.reason}]`,
+        paragraph: pair.paragraph,
+      };
+    }
+    return {
+      japanese: pair.translation !== null ? pair.translation : "［この部分は翻訳されていません］",
+      english: pair.source,
+      paragraph: pair.paragraph,
+    };
+  }
+
+  // Other errors, such as a TypeError from a malformed reply, would only
+  // fail again
+  isRetryable(error) {
+    return error.status === 429 || error.status >= 500 || Boolean(error.network);
+  }
+
+  // Resolves early if the request is cancelled
+  wait(ms, signal) {
+    return new Promise((resolve) => {
+      const timer = setTimeout(resolve, ms);
+      if (signal) {
+        signal.addEventListener("abort", () => {
+          clearTimeout(timer);
+          resolve();
+        }, { once: true });
+      }
+    });
+  }
+}
@@ -0,0 +1,152 @@
+// Writing practice: the learner writes a summary of, or a reply to, the text
+// on screen and the model marks what to fix. Every correction names the span
+// it replaces, so the answer can be shown as an inline diff, and attempts are
+// kept in IndexedDB so recurring kinds of mistake show up over time.
+
+const WRITING_CATEGORIES = {
+  particle: "Particles",
+  conjugation: "Conjugation",
+  register: "Register",
+  "word-choice": "Word choice",
+  other: "Other",
+};
+
+const WRITING_KINDS = {
+  summary: "a summary of",
+  reply: "a reply to",
+};
+
+const WRITING_SYSTEM_PROMPT = `You are a Japanese language teacher correcting a learner's writing.
+
+Your response must be a valid JSON object with this exact structure:
+{
+  "corrections": [
+    {
+      "original": "The wrong part, copied character for character from the learner's text",
+      "corrected": "What it should be",
+      "category": "particle",
+      "explanation": "Short English explanation of the mistake"
+    }
+  ],
+  "comment": "One or two encouraging English sentences about the writing as a whole"
+}
+
+Rules:
+- "category" is one of: particle, conjugation, register, word-choice, other
+- Keep each "original" as short as possible, just the words that change
+- List corrections in the order they appear in the text
+- Correct real mistakes only, not choices that are already natural
+- An empty "corrections" list is fine when the writing is correct`;
+
+class WritingCoach {
+  constructor(llm, database) {
+    this.llm = llm;
+    this.database = database;
+  }
+
+  // Returns { corrections, comment }. Corrections are in reading order with
+  // the start and end of their span in the writing.
+  async correct(writing, text, kind = "summary") {
+    const response = await this.llm.completeJson("writing", [
+      { role: "system", content: WRITING_SYSTEM_PROMPT },
+      {
+        role: "user",
+        content: `The learner wrote ${WRITING_KINDS[kind]} this text:\n\n${text}\n\nTheir writing:\n\n${writing}`,
+      },
+    ], { context: { writing, kind } });
+
+    return {
+      corrections: this.normalize(response.corrections, writing),
+      comment: typeof response.comment === "string" ? response.comment : "",
+    };
+  }
+
+  // Drops corrections whose span isn't in the writing, changes nothing or
+  // overlaps an earlier one. Spans are searched from the previous match on,
+  // so a repeated word is matched at the right place.
+  normalize(corrections, writing) {
+    if (!Array.isArray(corrections)) return [];
+    const kept = [];
+    let from = 0;
+
+    corrections.forEach((item) => {
+      if (!item || typeof item.original !== "string" || typeof item.corrected !== "string") return;
+      const original = item.original.trim();
+      if (!original || original === item.corrected.trim()) return;
+
+      let start = writing.indexOf(original, from);
+      if (start === -1) start = writing.indexOf(original);
+      if (start === -1) return;
+      const end = start + original.length;
+      if (kept.some((other) => start < other.end && end > other.start)) return;
+
+      kept.push({
+        original,
+        corrected: item.corrected.trim(),
+        category: WRITING_CATEGORIES[item.category] ? item.category : "other",
+        explanation: typeof item.explanation === "string" ? item.explanation : "",
+        start,
+        end,
+      });
+      from = end;
+    });
+
+    return kept.sort((a, b) => a.start - b.start);
+  }
+
+  // The writing as pieces for an inline diff: { text } for unchanged runs
+  // and { correction } where a span is replaced
+  diff(writing, corrections) {
+    const pieces = [];
+    let position = 0;
+    corrections.forEach((correction) => {
+      if (correction.start > position) pieces.push({ text: writing.slice(position, correction.start) });
+      pieces.push({ correction });
+      position = correction.end;
+    });
+    if (position < writing.length) pieces.push({ text: writing.slice(position) });
+    return pieces;
+  }
+
+  async record({ kind, writing, corrections, source = null }) {
+    const now = Date.now();
+    const attempt = {
+      id: `writing-${now}-${Math.random().toString(36).slice(2, 8)}`,
+      kind,
+      writing,
+      corrections: corrections.map(({ original, corrected, category, explanation }) => ({ original, corrected, category, explanation })),
+      source,
+      createdAt: now,
+    };
+    await this.database.put("writing", attempt);
+    return attempt;
+  }
+
+  // Mistakes per category over every attempt and over the last few days,
+  // plus the corrections the learner has needed more than once
+  async mistakeStats(days = 30, now = Date.now()) {
+    const attempts = await this.database.getAll("writing");
+    const since = now - days * 24 * 60 * 60 * 1000;
+    const categories = Object.keys(WRITING_CATEGORIES).map((category) => ({ category, label: WRITING_CATEGORIES[category], total: 0, recent: 0 }));
+    const repeated = new Map();
+
+    attempts.forEach((attempt) => {
+      attempt.corrections.forEach((correction) => {
+        const counts = categories.find((item) => item.category === correction.category) || categories[categories.length - 1];
+        counts.total++;
+        if (attempt.createdAt >= since) counts.recent++;
+
+        const key = `${correction.original}\n${correction.corrected}`;
+        const seen = repeated.get(key) || { original: correction.original, corrected: correction.corrected, category: correction.category, count: 0 };
+        seen.count++;
+        repeated.set(key, seen);
+      });
+    });
+
+    return {
+      attempts: attempts.length,
+      categories: categories.sort((a, b) => b.total - a.total),
+      repeated: Array.from(repeated.values()).filter((item) => item.count > 1).sort((a, b) => b.count - a.count).slice(0, 5),
+    };
+  }
+}
@@ -0,0 +1,95 @@
+// Store-only (uncompressed) zip writer. Anki packages are plain zip files,
+// and the collection inside is small enough that skipping deflate is fine.
+
+const CRC32_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+class ZipWriter {
+  constructor() {
+    this.files = [];
+    this.encoder = new TextEncoder();
+  }
+
+  addFile(name, data) {
+    const bytes = typeof data === "string" ? this.encoder.encode(data) : data;
+    this.files.push({ name: this.encoder.encode(name), data: bytes, crc: this.crc32(bytes) });
+  }
+
+  crc32(bytes) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+      crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+
+  // DOS date/time fields for the local and central headers
+  dosDateTime(date) {
+    const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+    const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+    return { time, day };
+  }
+
+  build(date = new Date()) {
+    const { time, day } = this.dosDateTime(date);
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    this.files.forEach((file) => {
+      const local = new Uint8Array(30 + file.name.length);
+      const localView = new DataView(local.buffer);
+      localView.setUint32(0, 0x04034b50, true);
+      localView.setUint16(4, 20, true); // version needed
+      localView.setUint16(6, 0x0800, true); // UTF-8 file names
+      localView.setUint16(8, 0, true); // stored
+      localView.setUint16(10, time, true);
+      localView.setUint16(12, day, true);
+      localView.setUint32(14, file.crc, true);
+      localView.setUint32(18, file.data.length, true);
+      localView.setUint32(22, file.data.length, true);
+      localView.setUint16(26, file.name.length, true);
+      local.set(file.name, 30);
+
+      const central = new Uint8Array(46 + file.name.length);
+      const centralView = new DataView(central.buffer);
+      centralView.setUint32(0, 0x02014b50, true);
+      centralView.setUint16(4, 20, true); // version made by
+      centralView.setUint16(6, 20, true); // version needed
+      centralView.setUint16(8, 0x0800, true);
+      centralView.setUint16(10, 0, true);
+      centralView.setUint16(12, time, true);
+      centralView.setUint16(14, day, true);
+      centralView.setUint32(16, file.crc, true);
+      centralView.setUint32(20, file.data.length, true);
+      centralView.setUint32(24, file.data.length, true);
+      centralView.setUint16(28, file.name.length, true);
+      centralView.setUint32(42, offset, true);
+      central.set(file.name, 46);
+
+      localParts.push(local, file.data);
+      centralParts.push(central);
+      offset += local.length + file.data.length;
+    });
+
+    const centralSize = centralParts.reduce((total, part) => total + part.length, 0);
+    const end = new Uint8Array(22);
+    const endView = new DataView(end.buffer);
+    endView.setUint32(0, 0x06054b50, true);
+    endView.setUint16(8, this.files.length, true);
+    endView.setUint16(10, this.files.length, true);
+    endView.setUint32(12, centralSize, true);
+    endView.setUint32(16, offset, true);
+
+    return new Blob([...localParts, ...centralParts, end], { type: "application/zip" });
+  }
+}